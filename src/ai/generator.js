@@ -1,4 +1,3 @@
-const tf = require('@tensorflow/tfjs-node');
 const natural = require('natural');
 const logger = require('../utils/logger');
 
@@ -312,7 +311,7 @@ class AITestGenerator {
       type: 'accessibility',
       steps: [
         { action: 'navigate', url: '/' },
-        { action: 'custom', handler: 'checkAccessibility', params: { rules: ['wcag2a', 'wcag2aa'] } }
+        { action: 'checkAccessibility', standards: ['wcag2a', 'wcag2aa'] }
       ],
       metadata: {
         category: 'accessibility',
@@ -328,7 +327,7 @@ class AITestGenerator {
       type: 'performance',
       steps: [
         { action: 'navigate', url: '/', options: { waitUntil: 'networkidle' } },
-        { action: 'custom', handler: 'measurePerformance', params: { metrics: ['FCP', 'LCP', 'CLS'] } }
+        { action: 'measurePerformance', metrics: ['FCP', 'LCP', 'CLS'] }
       ],
       metadata: {
         category: 'performance',
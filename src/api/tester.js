@@ -1,9 +1,17 @@
 const axios = require('axios');
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { runWithRetries, resolveRetries } = require('../utils/retry');
+const { interpolate } = require('../utils/template');
+const { resolveUrl } = require('../core/environment');
+const { PluginRegistry } = require('../core/plugins');
+const { HookError, resolveHooks, runHook, runBeforeHooks, runAfterHooks, applyAfterHookError } = require('../core/hooks');
+const { orderByDependencies, dependencySkipReason } = require('../core/dependencies');
+const { resolveSecurity, auditResponse, summarizeFindings } = require('../core/security');
 
 class APITester {
-  constructor(config = {}) {
+  constructor(config = {}, plugins = new PluginRegistry()) {
+    this.plugins = plugins;
     this.config = {
       timeout: 30000,
       retries: 3,
@@ -51,45 +59,120 @@ class APITester {
     );
   }
 
-  async runTests(testSuite = []) {
+  async runTests(testSuite = [], options = {}) {
     logger.info('🔌 Running API tests...');
     
     const results = [];
-    
-    for (const test of testSuite) {
+    const hooks = resolveHooks(options.hooks);
+    this.environment = options.environment;
+
+    // Prerequisites (dependsOn) run first; a cycle fails the run before any request is made
+    const tests = orderByDependencies(testSuite);
+    const outcomes = new Map();
+
+    // Values saved by beforeAll (e.g. an auth response) are visible to every test
+    const suiteContext = { ...options.variables };
+    const beforeAllResult = await this.runSuiteHook('beforeAll', hooks.beforeAll, suiteContext);
+    const blockedBy = beforeAllResult && beforeAllResult.status !== 'passed'
+      ? new HookError('beforeAll', beforeAllResult.error)
+      : null;
+
+    for (const test of tests) {
+      const skipReason = !blockedBy && dependencySkipReason(test, outcomes);
+
+      if (skipReason) {
+        logger.info(`⏭️ Skipping ${test.name || test.id}: ${skipReason}`);
+        results.push({
+          id: test.id,
+          name: test.name,
+          type: 'api',
+          environment: this.environment?.name,
+          status: 'skipped',
+          reason: skipReason,
+          timestamp: new Date().toISOString()
+        });
+        outcomes.set(test.id, ['skipped']);
+        continue;
+      }
+
+      if (blockedBy) {
+        results.push({
+          id: test.id,
+          name: test.name,
+          type: 'api',
+          environment: this.environment?.name,
+          status: 'failed',
+          error: blockedBy.message,
+          failedPhase: blockedBy.phase,
+          timestamp: new Date().toISOString()
+        });
+        continue;
+      }
+
       try {
-        const result = await this.runAPITest(test);
+        const result = await runWithRetries(
+          () => this.runAPITest(test, { hooks: options.hooks, context: suiteContext }),
+          { retries: resolveRetries(test.retries, options.retries), name: test.name || test.id }
+        );
         results.push(result);
       } catch (error) {
         results.push({
           id: test.id,
           name: test.name,
+          environment: this.environment?.name,
           status: 'failed',
           error: error.message,
+          attempts: error.attempts,
           timestamp: new Date().toISOString()
         });
       }
+
+      outcomes.set(test.id, [results[results.length - 1].status]);
+    }
+
+    const afterAllResult = await this.runSuiteHook('afterAll', hooks.afterAll, suiteContext);
+
+    // Failed suite-level hooks are reported as results of their own
+    for (const hookResult of [beforeAllResult, afterAllResult]) {
+      if (hookResult && hookResult.status !== 'passed') {
+        results.push(hookResult);
+      }
     }
 
     logger.info(`✅ API tests completed: ${results.filter(r => r.status === 'passed').length}/${results.length} passed`);
     return results;
   }
 
-  async runAPITest(test) {
+  async runAPITest(test, options = {}) {
     const testResult = {
       id: test.id,
       name: test.name,
       type: 'api',
+      environment: this.environment?.name,
       status: 'running',
       startTime: new Date().toISOString(),
       requests: [],
-      assertions: []
+      assertions: [],
+      hooks: []
     };
 
+    const testContext = { ...options.context };
+    const hooks = resolveHooks(options.hooks, test);
+    const steps = test.steps || [];
+
+    // `setup` and `cleanup` steps are lifted out of the body into the matching hook phases
+    const setupSteps = [...hooks.setup, ...steps.filter(step => step.type === 'setup')];
+    const cleanupSteps = [...steps.filter(step => step.type === 'cleanup'), ...hooks.cleanup];
+    const bodySteps = steps.filter(step => step.type !== 'setup' && step.type !== 'cleanup');
+
+    const runStep = (step) => this.executeAPIStep(step, testContext);
+
     try {
+      await runBeforeHooks(testResult, [['beforeEach', hooks.beforeEach], ['setup', setupSteps]], runStep);
+
       // Execute test steps
-      for (const step of test.steps || []) {
-        const stepResult = await this.executeAPIStep(step, testResult);
+      for (const step of bodySteps) {
+        const stepResult = await runStep(step);
         
         if (stepResult.type === 'request') {
           testResult.requests.push(stepResult);
@@ -108,12 +191,41 @@ class APITester {
     } catch (error) {
       testResult.status = 'failed';
       testResult.error = error.message;
+      testResult.failedPhase = error instanceof HookError ? error.phase : 'test';
       testResult.endTime = new Date().toISOString();
     }
 
+    // cleanup and afterEach always run, even after a failure
+    const afterHookError = await runAfterHooks(
+      testResult,
+      [['cleanup', cleanupSteps], ['afterEach', hooks.afterEach]],
+      runStep
+    );
+    applyAfterHookError(testResult, afterHookError);
+
     return testResult;
   }
 
+  async runSuiteHook(phase, steps, suiteContext) {
+    if (!steps || steps.length === 0) {
+      return null;
+    }
+
+    const hookResult = await runHook(phase, steps, (step) => this.executeAPIStep(step, suiteContext));
+
+    if (hookResult.status !== 'passed') {
+      logger.error(`❌ API ${phase} hook failed: ${hookResult.error}`);
+    }
+
+    return {
+      ...hookResult,
+      id: `api_${phase}`,
+      name: `API ${phase} hook`,
+      type: 'hook',
+      environment: this.environment?.name
+    };
+  }
+
   async executeAPIStep(step, testContext) {
     const stepResult = {
       name: step.name,
@@ -137,8 +249,8 @@ class APITester {
           break;
 
         case 'assertion':
-          await this.executeAssertion(step, testContext);
           stepResult.assertion = step.assertion;
+          await this.executeAssertion(step, testContext, stepResult);
           break;
 
         case 'wait':
@@ -154,7 +266,10 @@ class APITester {
           break;
 
         default:
-          throw new Error(`Unknown step type: ${step.type}`);
+          if (!this.plugins.has('apiStep', step.type)) {
+            throw new Error(`Unknown step type: ${step.type}`);
+          }
+          stepResult.output = await this.plugins.getAPIStep(step.type)(step, testContext, this);
       }
 
       stepResult.status = 'passed';
@@ -172,7 +287,7 @@ class APITester {
   async makeRequest(step, testContext) {
     const config = {
       method: step.method || 'GET',
-      url: this.interpolateVariables(step.url, testContext),
+      url: resolveUrl(this.interpolateVariables(step.url, testContext), this.environment?.apiUrl),
       headers: this.interpolateVariables(step.headers || {}, testContext),
       data: this.interpolateVariables(step.data, testContext),
       params: this.interpolateVariables(step.params, testContext),
@@ -208,7 +323,7 @@ class APITester {
     throw lastError;
   }
 
-  async executeAssertion(step, testContext) {
+  async executeAssertion(step, testContext, stepResult = {}) {
     const { assertion } = step;
     const response = testContext[assertion.target] || testContext.lastResponse;
 
@@ -248,6 +363,16 @@ class APITester {
         }
         break;
 
+      // Security headers, cookie flags and (for HTML) the CSP; findings are kept on the step result
+      case 'security':
+        const settings = resolveSecurity(this.config.security, assertion);
+        stepResult.security = auditResponse(response.config?.url || assertion.target, response.headers, settings);
+
+        if (stepResult.security.failing.length > 0) {
+          throw new Error(`Security assertion failed: ${summarizeFindings(stepResult.security.failing)}`);
+        }
+        break;
+
       case 'custom':
         if (typeof assertion.validator === 'function') {
           const result = await assertion.validator(response, testContext);
@@ -272,25 +397,7 @@ class APITester {
   }
 
   interpolateVariables(obj, context) {
-    if (typeof obj === 'string') {
-      return obj.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-        return context[key] !== undefined ? context[key] : match;
-      });
-    }
-    
-    if (Array.isArray(obj)) {
-      return obj.map(item => this.interpolateVariables(item, context));
-    }
-    
-    if (obj && typeof obj === 'object') {
-      const result = {};
-      for (const [key, value] of Object.entries(obj)) {
-        result[key] = this.interpolateVariables(value, context);
-      }
-      return result;
-    }
-    
-    return obj;
+    return interpolate(obj, { ...context, env: process.env });
   }
 
   getNestedValue(obj, path) {
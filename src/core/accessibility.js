@@ -0,0 +1,336 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Rules of the built-in audit. `level` maps to the wcag2a/wcag2aa/wcag2aaa standards;
+// warnings are reported with includeWarnings but never fail the step.
+const RULES = {
+  'image-alt': { impact: 'critical', wcag: '1.1.1', level: 'A', description: 'Images must have alternative text' },
+  label: { impact: 'critical', wcag: '1.3.1, 4.1.2', level: 'A', description: 'Form controls must have a label' },
+  'button-name': { impact: 'critical', wcag: '4.1.2', level: 'A', description: 'Buttons must have an accessible name' },
+  'link-name': { impact: 'serious', wcag: '2.4.4, 4.1.2', level: 'A', description: 'Links must have an accessible name' },
+  'html-has-lang': { impact: 'serious', wcag: '3.1.1', level: 'A', description: 'The page must declare its language' },
+  'aria-valid-role': { impact: 'critical', wcag: '4.1.2', level: 'A', description: 'ARIA roles must be valid' },
+  'aria-valid-attr': { impact: 'critical', wcag: '4.1.2', level: 'A', description: 'ARIA attributes must be valid' },
+  'aria-hidden-focus': { impact: 'serious', wcag: '4.1.2', level: 'A', description: 'aria-hidden elements must not contain focusable elements' },
+  'keyboard-focusable': { impact: 'serious', wcag: '2.1.1', level: 'A', description: 'Interactive elements must be reachable with the keyboard' },
+  'color-contrast': { impact: 'serious', wcag: '1.4.3', level: 'AA', description: 'Text must have sufficient color contrast' },
+  'heading-order': { impact: 'moderate', wcag: '1.3.1', level: 'A', description: 'Heading levels should only increase by one', warning: true },
+  tabindex: { impact: 'moderate', wcag: '2.4.3', level: 'A', description: 'tabindex should not be greater than zero', warning: true }
+};
+
+const STANDARD_LEVELS = {
+  wcag2a: 'A',
+  wcag2aa: 'AA',
+  wcag2aaa: 'AAA'
+};
+
+// Conformance levels are cumulative: AA includes A, AAA includes A and AA
+const LEVEL_ORDER = ['A', 'AA', 'AAA'];
+
+// Runs in the page against the live DOM and returns raw findings ({ rule, selector, html, message, data })
+function auditDocument({ rules, scope }) {
+  const root = scope ? document.querySelector(scope) : document.documentElement;
+  if (!root) {
+    return { error: `No element matches "${scope}"` };
+  }
+
+  const enabled = new Set(rules);
+  const findings = [];
+  let lowestContrast = null;
+
+  const escape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&'));
+  const selectorFor = (element) => {
+    const parts = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${escape(node.id)}`);
+        break;
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  };
+
+  const report = (rule, element, message, data) => {
+    if (!enabled.has(rule)) return;
+    const html = element.outerHTML || '';
+    const openingTag = html.slice(0, html.indexOf('>') + 1) || html;
+    findings.push({ rule, selector: selectorFor(element), html: openingTag.slice(0, 200), message, data });
+  };
+
+  const all = (selector) => [root, ...root.querySelectorAll('*')].filter(element => element.matches(selector));
+  const text = (element) => (element.textContent || '').replace(/\s+/g, ' ').trim();
+  const isHidden = (element) => {
+    for (let node = element; node; node = node.parentElement) {
+      if (node.hidden || node.getAttribute('aria-hidden') === 'true') return true;
+      if (getComputedStyle(node).display === 'none') return true;
+    }
+    return getComputedStyle(element).visibility === 'hidden';
+  };
+  const labelledBy = (element) => (element.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(id => document.getElementById(id))
+    .filter(Boolean)
+    .map(text)
+    .join(' ')
+    .trim();
+  const ariaName = (element) => (element.getAttribute('aria-label') || '').trim() || labelledBy(element) || (element.getAttribute('title') || '').trim();
+  const contentName = (element) => text(element) ||
+    Array.from(element.querySelectorAll('img[alt]')).map(image => image.alt.trim()).join(' ').trim();
+
+  const NATIVE_FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, [contenteditable=""], [contenteditable="true"], audio[controls], video[controls]';
+  const INTERACTIVE_ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'slider', 'spinbutton', 'combobox', 'textbox', 'searchbox', 'treeitem'];
+  const isFocusable = (element) => !element.disabled && (element.matches(NATIVE_FOCUSABLE) || (element.hasAttribute('tabindex') && element.tabIndex >= 0));
+
+  // image-alt
+  for (const image of all('img, input[type="image"], [role="img"]')) {
+    if (isHidden(image) || ['presentation', 'none'].includes(image.getAttribute('role'))) continue;
+    const hasAlt = image.matches('img, input') ? image.hasAttribute('alt') : false;
+    if (!hasAlt && !ariaName(image)) {
+      report('image-alt', image, 'Image has no alt attribute or accessible name');
+    }
+  }
+
+  // label
+  for (const control of all('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea')) {
+    if (isHidden(control)) continue;
+    const labels = Array.from(control.labels || []).map(text).join(' ').trim();
+    if (!labels && !ariaName(control)) {
+      report('label', control, control.placeholder ? 'Form control is only described by its placeholder' : 'Form control has no label');
+    }
+  }
+
+  // button-name, link-name
+  for (const button of all('button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"]')) {
+    if (isHidden(button)) continue;
+    const value = button.matches('input') ? (button.value || (button.type === 'submit' ? 'Submit' : button.type === 'reset' ? 'Reset' : '')) : '';
+    if (!ariaName(button) && !contentName(button) && !value.trim()) {
+      report('button-name', button, 'Button has no text or accessible name');
+    }
+  }
+
+  for (const link of all('a[href]')) {
+    if (isHidden(link)) continue;
+    if (!ariaName(link) && !contentName(link)) {
+      report('link-name', link, 'Link has no text or accessible name');
+    }
+  }
+
+  // html-has-lang
+  if (root === document.documentElement && !(document.documentElement.getAttribute('lang') || '').trim()) {
+    report('html-has-lang', document.documentElement, '<html> has no lang attribute');
+  }
+
+  // aria-valid-role, aria-valid-attr
+  const ROLES = ['alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'];
+  const ATTRIBUTES = ['activedescendant', 'atomic', 'autocomplete', 'braillelabel', 'brailleroledescription', 'busy', 'checked', 'colcount', 'colindex', 'colindextext', 'colspan', 'controls', 'current', 'describedby', 'description', 'details', 'disabled', 'dropeffect', 'errormessage', 'expanded', 'flowto', 'grabbed', 'haspopup', 'hidden', 'invalid', 'keyshortcuts', 'label', 'labelledby', 'level', 'live', 'modal', 'multiline', 'multiselectable', 'orientation', 'owns', 'placeholder', 'posinset', 'pressed', 'readonly', 'relevant', 'required', 'roledescription', 'rowcount', 'rowindex', 'rowindextext', 'rowspan', 'selected', 'setsize', 'sort', 'valuemax', 'valuemin', 'valuenow', 'valuetext'];
+
+  for (const element of all('*')) {
+    const role = (element.getAttribute('role') || '').trim();
+    if (element.hasAttribute('role') && !ROLES.includes(role.split(/\s+/)[0])) {
+      report('aria-valid-role', element, `Invalid role "${role}"`, { role });
+    }
+
+    for (const attribute of Array.from(element.attributes)) {
+      if (attribute.name.startsWith('aria-') && !ATTRIBUTES.includes(attribute.name.slice(5))) {
+        report('aria-valid-attr', element, `Unknown ARIA attribute "${attribute.name}"`, { attribute: attribute.name });
+      }
+    }
+  }
+
+  // aria-hidden-focus
+  for (const hidden of all('[aria-hidden="true"]')) {
+    const focusable = [hidden, ...hidden.querySelectorAll('*')].filter(element => isFocusable(element) && element.tabIndex !== -1 && getComputedStyle(element).display !== 'none');
+    if (focusable.length > 0) {
+      report('aria-hidden-focus', hidden, `aria-hidden element contains ${focusable.length} focusable element(s)`);
+    }
+  }
+
+  // keyboard-focusable, tabindex
+  for (const element of all('[role], [onclick]')) {
+    if (isHidden(element)) continue;
+    const role = (element.getAttribute('role') || '').trim();
+    const interactive = INTERACTIVE_ROLES.includes(role) || element.hasAttribute('onclick');
+    if (interactive && !isFocusable(element) && !element.disabled) {
+      report('keyboard-focusable', element, `${role ? `role="${role}"` : 'Clickable'} element cannot receive keyboard focus`);
+    }
+  }
+
+  for (const element of all('[tabindex]')) {
+    if (element.tabIndex > 0) {
+      report('tabindex', element, `tabindex="${element.getAttribute('tabindex')}" changes the natural tab order`);
+    }
+  }
+
+  // heading-order
+  let previousLevel = 0;
+  for (const heading of all('h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]')) {
+    if (isHidden(heading)) continue;
+    const level = Number(heading.getAttribute('aria-level')) || Number(heading.tagName[1]);
+    if (previousLevel && level > previousLevel + 1) {
+      report('heading-order', heading, `Heading level ${level} follows level ${previousLevel}`, { level, previousLevel });
+    }
+    previousLevel = level;
+  }
+
+  // color-contrast, from computed styles; text over background images is not judged
+  if (enabled.has('color-contrast')) {
+    const parse = (value) => {
+      const match = /rgba?\(([^)]+)\)/.exec(value || '');
+      if (!match) return null;
+      const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+      return { r, g, b, a };
+    };
+    const blend = (top, bottom) => ({
+      r: top.r * top.a + bottom.r * (1 - top.a),
+      g: top.g * top.a + bottom.g * (1 - top.a),
+      b: top.b * top.a + bottom.b * (1 - top.a),
+      a: 1
+    });
+    const luminance = ({ r, g, b }) => {
+      const channel = (value) => {
+        const srgb = value / 255;
+        return srgb <= 0.03928 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+      };
+      return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    };
+    const background = (element) => {
+      const layers = [];
+      for (let node = element; node; node = node.parentElement) {
+        const style = getComputedStyle(node);
+        if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+        const color = parse(style.backgroundColor);
+        if (color && color.a > 0) layers.push(color);
+        if (color && color.a === 1) break;
+      }
+      return layers.reverse().reduce((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+    };
+    const hex = ({ r, g, b }) => `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+    for (const element of all('*')) {
+      const ownText = Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+      if (!ownText || isHidden(element) || element.disabled || element.closest('[aria-disabled="true"]')) continue;
+
+      const style = getComputedStyle(element);
+      const back = background(element);
+      const color = parse(style.color);
+      if (!back || !color || parseFloat(style.opacity) === 0) continue;
+
+      const fore = blend(color, back);
+      const [light, dark] = [luminance(fore), luminance(back)].sort((a, b) => b - a);
+      const ratio = Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100;
+      const size = parseFloat(style.fontSize);
+      const bold = Number(style.fontWeight) >= 700 || style.fontWeight === 'bold';
+      const required = size >= 24 || (bold && size >= 18.66) ? 3 : 4.5;
+      lowestContrast = lowestContrast === null ? ratio : Math.min(lowestContrast, ratio);
+
+      if (ratio < required) {
+        report('color-contrast', element, `Contrast ratio ${ratio}:1 is below ${required}:1`, {
+          ratio,
+          required,
+          foreground: hex(fore),
+          background: hex(back),
+          fontSize: style.fontSize
+        });
+      }
+    }
+  }
+
+  return { findings, lowestContrast };
+}
+
+// Rules up to the highest configured standard, minus ignoreRules; `rules` narrows them further
+function resolveRules(settings = {}) {
+  const standards = settings.standards || Object.keys(STANDARD_LEVELS);
+
+  // An audit without a known standard would check nothing and always pass
+  const unknown = standards.filter(standard => !STANDARD_LEVELS[standard]);
+  if (standards.length === 0 || unknown.length > 0) {
+    const given = unknown.length > 0 ? unknown.map(standard => `"${standard}"`).join(', ') : 'none given';
+    throw new Error(`Invalid accessibility standards: ${given} (expected ${Object.keys(STANDARD_LEVELS).join(', ')})`);
+  }
+
+  const highest = Math.max(...standards.map(standard => LEVEL_ORDER.indexOf(STANDARD_LEVELS[standard])));
+  const ignored = settings.ignoreRules || [];
+
+  return Object.keys(RULES).filter(rule =>
+    LEVEL_ORDER.indexOf(RULES[rule].level) <= highest &&
+    !ignored.includes(rule) &&
+    (!settings.rules || settings.rules.includes(rule)) &&
+    (settings.includeWarnings !== false || !RULES[rule].warning)
+  );
+}
+
+function violationKey(violation) {
+  return `${violation.rule}|${violation.selector}`;
+}
+
+async function readBaseline(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Cannot read accessibility baseline ${file}: ${error.message}`);
+  }
+}
+
+async function writeBaseline(file, url, violations) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({
+    url,
+    updated: new Date().toISOString(),
+    violations: violations.map(({ rule, selector, message }) => ({ rule, selector, message }))
+  }, null, 2));
+}
+
+// Audits the page (or the step's `selector`) and compares violations with the
+// step's `baseline` file, if any. A missing baseline is created from this run,
+// like a visual baseline; `updateBaseline: true` rewrites it.
+async function auditAccessibility(page, step = {}, accessibilityConfig = {}) {
+  const settings = { ...accessibilityConfig, ...step };
+  const rules = resolveRules(settings);
+  const { findings, lowestContrast, error } = await page.evaluate(auditDocument, { rules, scope: step.selector });
+
+  if (error) {
+    throw new Error(error);
+  }
+
+  const entries = findings.map(finding => ({ ...finding, ...RULES[finding.rule] }));
+  const violations = entries.filter(entry => !entry.warning).map(({ warning, level, ...violation }) => violation);
+  const warnings = entries.filter(entry => entry.warning).map(({ warning, level, ...entry }) => entry);
+
+  const audit = { url: page.url(), rules, violations, warnings, newViolations: violations, lowestContrast };
+
+  if (step.baseline) {
+    const baselinePath = path.resolve(step.baseline);
+    const baseline = step.updateBaseline ? null : await readBaseline(baselinePath);
+
+    if (!baseline) {
+      await writeBaseline(baselinePath, audit.url, violations);
+      audit.baseline = { path: baselinePath, created: true, known: violations.length, fixed: [] };
+      audit.newViolations = [];
+      logger.info(`♿ Accessibility baseline ${step.updateBaseline ? 'updated' : 'created'}: ${baselinePath}`);
+    } else {
+      const known = new Set((baseline.violations || []).map(violationKey));
+      const current = new Set(violations.map(violationKey));
+
+      audit.newViolations = violations.filter(violation => !known.has(violationKey(violation)));
+      audit.baseline = {
+        path: baselinePath,
+        created: false,
+        known: violations.length - audit.newViolations.length,
+        fixed: (baseline.violations || []).filter(violation => rules.includes(violation.rule) && !current.has(violationKey(violation)))
+      };
+    }
+  }
+
+  logger.info(`♿ Accessibility audit: ${violations.length} violation(s), ${audit.newViolations.length} new, ${warnings.length} warning(s)`);
+  return audit;
+}
+
+module.exports = { RULES, STANDARD_LEVELS, auditDocument, resolveRules, auditAccessibility };
@@ -0,0 +1,142 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+const CAPTURE_MODES = ['off', 'always', 'on-failure', 'on-first-retry'];
+const KEEP_ON_STATUSES = ['failed', 'cancelled'];
+
+const DEFAULT_SETTINGS = {
+  trace: 'on-failure',
+  video: 'off',
+  har: 'off'
+};
+
+function sanitize(name) {
+  return String(name).replace(/[^\w.-]+/g, '_');
+}
+
+// Plans and collects the artifacts of one test attempt: failure screenshots,
+// Playwright traces, videos and HAR files. Everything is written below
+// `<outputDir>/artifacts/<test>-<browser>-attempt<n>/` and linked by path.
+class ArtifactRecorder {
+  constructor(dir, settings, attempt) {
+    this.dir = dir;
+    this.settings = settings;
+    this.attempt = attempt;
+    this.files = {};
+    this.screenshotCount = 0;
+  }
+
+  isRecording(kind) {
+    const mode = this.settings[kind];
+
+    if (mode === 'on-first-retry') {
+      return this.attempt === 2;
+    }
+
+    return mode !== 'off';
+  }
+
+  shouldKeep(kind, status) {
+    const mode = this.settings[kind];
+    return mode === 'on-failure' ? KEEP_ON_STATUSES.includes(status) : this.isRecording(kind);
+  }
+
+  async prepare() {
+    if (this.isRecording('video') || this.isRecording('har') || this.isRecording('trace')) {
+      await fs.mkdir(this.dir, { recursive: true });
+    }
+  }
+
+  // Options to merge into browser.newContext()
+  contextOptions() {
+    const options = {};
+
+    if (this.isRecording('video')) {
+      options.recordVideo = { dir: this.dir };
+    }
+
+    if (this.isRecording('har')) {
+      options.recordHar = { path: path.join(this.dir, 'network.har') };
+    }
+
+    return options;
+  }
+
+  async start(context) {
+    if (this.isRecording('trace')) {
+      await context.tracing.start({ screenshots: true, snapshots: true, sources: true });
+    }
+  }
+
+  // Must run before the context is closed
+  async stopTrace(context, status) {
+    if (!this.isRecording('trace')) return;
+
+    if (this.shouldKeep('trace', status)) {
+      const tracePath = path.join(this.dir, 'trace.zip');
+      await context.tracing.stop({ path: tracePath });
+      this.files.trace = tracePath;
+    } else {
+      await context.tracing.stop();
+    }
+  }
+
+  // Must run after the context is closed, once the video and HAR are flushed to disk
+  async finalize(video, status) {
+    if (this.isRecording('video') && video) {
+      if (this.shouldKeep('video', status)) {
+        this.files.video = await video.path();
+      } else {
+        await video.delete().catch(() => {});
+      }
+    }
+
+    if (this.isRecording('har')) {
+      const harPath = path.join(this.dir, 'network.har');
+      if (this.shouldKeep('har', status)) {
+        this.files.har = harPath;
+      } else {
+        await fs.unlink(harPath).catch(() => {});
+      }
+    }
+
+    return this.files;
+  }
+
+  async saveScreenshot(buffer, name) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Screenshots of one attempt are numbered so equally named steps don't overwrite each other
+    this.screenshotCount += 1;
+    const fileName = `${String(this.screenshotCount).padStart(2, '0')}-${sanitize(name)}.png`;
+    const screenshotPath = path.join(this.dir, fileName);
+    await fs.writeFile(screenshotPath, buffer);
+    return screenshotPath;
+  }
+}
+
+class ArtifactManager {
+  constructor(reportingConfig = {}) {
+    this.outputDir = reportingConfig.outputDir || './reports';
+    this.settings = { ...DEFAULT_SETTINGS, ...reportingConfig.artifacts };
+  }
+
+  // Test-level `artifacts` override the suite's, which override the config's
+  createRecorder(test, browserType, attempt = 1, suiteSettings = {}) {
+    const settings = { ...this.settings, ...suiteSettings, ...test.artifacts };
+
+    for (const kind of Object.keys(DEFAULT_SETTINGS)) {
+      if (!CAPTURE_MODES.includes(settings[kind])) {
+        throw new Error(`Invalid ${kind} capture mode: "${settings[kind]}" (expected one of ${CAPTURE_MODES.join(', ')})`);
+      }
+    }
+
+    const dir = path.join(this.outputDir, 'artifacts', `${sanitize(test.id || 'test')}-${browserType}-attempt${attempt}`);
+
+    logger.debug(`🎞️ Artifacts for ${test.id} (${browserType}) → ${dir}`);
+    return new ArtifactRecorder(dir, settings, attempt);
+  }
+}
+
+module.exports = { ArtifactManager, ArtifactRecorder, CAPTURE_MODES };
@@ -0,0 +1,239 @@
+const { isDeepStrictEqual } = require('util');
+const { resolveUrl } = require('./environment');
+
+const DEFAULT_ASSERTION_TIMEOUT = 5000;
+const POLL_INTERVAL = 100;
+
+const OPERATORS = {
+  equals: {
+    describe: '',
+    test: (actual, expected) => isDeepStrictEqual(actual, expected)
+  },
+  contains: {
+    describe: ' to contain',
+    test: (actual, expected) => Array.isArray(actual)
+      ? actual.includes(expected)
+      : actual != null && String(actual).includes(expected)
+  },
+  matches: {
+    describe: ' to match',
+    test: (actual, expected) => actual != null && toRegExp(expected).test(String(actual))
+  },
+  startsWith: {
+    describe: ' to start with',
+    test: (actual, expected) => actual != null && String(actual).startsWith(expected)
+  },
+  endsWith: {
+    describe: ' to end with',
+    test: (actual, expected) => actual != null && String(actual).endsWith(expected)
+  },
+  gt: {
+    describe: ' to be greater than',
+    test: (actual, expected) => Number(actual) > expected
+  },
+  gte: {
+    describe: ' to be at least',
+    test: (actual, expected) => Number(actual) >= expected
+  },
+  lt: {
+    describe: ' to be less than',
+    test: (actual, expected) => Number(actual) < expected
+  },
+  lte: {
+    describe: ' to be at most',
+    test: (actual, expected) => Number(actual) <= expected
+  }
+};
+
+// Resolves the actual value of each assertion target. `label` is used in failure messages.
+const ASSERTION_TARGETS = {
+  text: {
+    label: 'Text',
+    requires: ['selector'],
+    read: async (page, assertion) => (await findElement(page, assertion.selector)).textContent()
+  },
+  visible: {
+    label: 'Visibility',
+    requires: ['selector'],
+    defaultExpected: true,
+    read: (page, assertion) => page.locator(assertion.selector).first().isVisible()
+  },
+  url: {
+    label: 'URL',
+    expected: (assertion, context) => isExactUrl(assertion) ? resolveUrl(assertion.expected, context.baseUrl) : assertion.expected,
+    read: (page, assertion, context) => isExactUrl(assertion)
+      ? comparableUrl(page.url(), resolveUrl(assertion.expected, context.baseUrl))
+      : page.url()
+  },
+  count: {
+    label: 'Count',
+    requires: ['selector'],
+    read: (page, assertion) => page.locator(assertion.selector).count()
+  },
+  attribute: {
+    label: 'Attribute',
+    requires: ['selector', 'attribute'],
+    read: async (page, assertion) => (await findElement(page, assertion.selector)).getAttribute(assertion.attribute)
+  },
+  value: {
+    label: 'Value',
+    requires: ['selector'],
+    read: async (page, assertion) => (await findElement(page, assertion.selector)).inputValue()
+  },
+  enabled: {
+    label: 'Enabled',
+    requires: ['selector'],
+    defaultExpected: true,
+    read: async (page, assertion) => (await findElement(page, assertion.selector)).isEnabled()
+  },
+  checked: {
+    label: 'Checked',
+    requires: ['selector'],
+    defaultExpected: true,
+    read: async (page, assertion) => (await findElement(page, assertion.selector)).isChecked()
+  },
+  cssProperty: {
+    label: 'CSS property',
+    requires: ['selector', 'property'],
+    read: async (page, assertion) => (await findElement(page, assertion.selector)).evaluate(
+      (element, property) => window.getComputedStyle(element).getPropertyValue(property),
+      assertion.property
+    )
+  },
+  title: {
+    label: 'Title',
+    read: (page) => page.title()
+  },
+  cookie: {
+    label: 'Cookie',
+    requires: ['name'],
+    read: async (page, assertion) => {
+      const cookies = await page.context().cookies();
+      const cookie = cookies.find(c => c.name === assertion.name);
+      return cookie ? cookie.value : undefined;
+    }
+  },
+  localStorage: {
+    label: 'localStorage',
+    requires: ['key'],
+    read: (page, assertion) => page.evaluate((key) => window.localStorage.getItem(key), assertion.key)
+  }
+};
+
+async function findElement(page, selector) {
+  const locator = page.locator(selector).first();
+
+  if (await locator.count() === 0) {
+    throw new Error(`No element matches selector: ${selector}`);
+  }
+
+  return locator;
+}
+
+function toRegExp(value) {
+  if (value instanceof RegExp) return value;
+
+  const match = /^\/(.+)\/([gimsuy]*)$/.exec(value);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(value);
+}
+
+// Only an exact expectation (`equals`, with or without `not`) is a URL to resolve against
+// the base URL; patterns and substrings are matched against the full URL as written
+function isExactUrl(assertion) {
+  return (assertion.operator || 'equals') === 'equals' && typeof assertion.expected === 'string';
+}
+
+// The current URL is trimmed to what the expectation specifies: a relative
+// expectation such as "/dashboard" (no base URL) is compared with the path, an
+// absolute one without a query or hash ignores the page's query and hash.
+function comparableUrl(url, expected) {
+  if (typeof expected !== 'string') {
+    return url;
+  }
+
+  try {
+    const parsed = new URL(url);
+    let result = expected.startsWith('/') ? parsed.pathname : `${parsed.origin}${parsed.pathname}`;
+    if (expected.includes('?')) result += parsed.search;
+    if (expected.includes('#')) result += parsed.hash;
+    return result;
+  } catch {
+    return url;
+  }
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+function validateAssertion(assertion, context = {}) {
+  let target = ASSERTION_TARGETS[assertion.type];
+
+  if (!target && context.plugins && context.plugins.has('assertion', assertion.type)) {
+    target = context.plugins.getAssertion(assertion.type);
+  }
+
+  if (!target) {
+    throw new Error(`Unknown assertion type: ${assertion.type}`);
+  }
+
+  const operator = assertion.operator || 'equals';
+  if (!OPERATORS[operator]) {
+    throw new Error(`Unknown assertion operator: ${operator}`);
+  }
+
+  for (const field of target.requires || []) {
+    if (assertion[field] === undefined) {
+      throw new Error(`${target.label} assertion requires "${field}"`);
+    }
+  }
+
+  return { target, operator: OPERATORS[operator] };
+}
+
+// Evaluates one assertion once; throws with a readable message when it does not hold.
+async function evaluateAssertion(page, assertion, context = {}) {
+  const { target, operator } = validateAssertion(assertion, context);
+  const expected = target.expected
+    ? target.expected(assertion, context)
+    : (assertion.expected !== undefined ? assertion.expected : target.defaultExpected);
+  const actual = await target.read(page, assertion, context);
+
+  const passed = operator.test(actual, expected);
+  if (passed === Boolean(assertion.not)) {
+    const negation = assertion.not ? ' not' : '';
+    throw new Error(
+      `${target.label} assertion failed. Expected${negation}${operator.describe}: ${formatValue(expected)}, Got: ${formatValue(actual)}`
+    );
+  }
+
+  return actual;
+}
+
+// Re-evaluates the assertion until it holds or `timeout` elapses.
+async function pollAssertion(page, assertion, timeout = DEFAULT_ASSERTION_TIMEOUT, context = {}) {
+  // Configuration errors fail immediately instead of being retried
+  validateAssertion(assertion, context);
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      return await evaluateAssertion(page, assertion, context);
+    } catch (error) {
+      if (Date.now() + POLL_INTERVAL > deadline) {
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+  }
+}
+
+module.exports = {
+  OPERATORS,
+  ASSERTION_TARGETS,
+  DEFAULT_ASSERTION_TIMEOUT,
+  evaluateAssertion,
+  pollAssertion,
+  validateAssertion
+};
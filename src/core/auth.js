@@ -0,0 +1,143 @@
+const logger = require('../utils/logger');
+const { interpolate, findUnresolved } = require('../utils/template');
+
+const DEFAULT_ROLE = 'default';
+
+// Normalizes a suite's `auth` section. `{ steps }` declares a single role that
+// every test uses; `{ roles: { admin: { steps }, viewer: { steps } } }` declares
+// named roles that tests opt into with `role: 'admin'`.
+function normalizeAuth(auth) {
+  if (!auth) {
+    return { roles: {}, defaultRole: null };
+  }
+
+  const roles = Array.isArray(auth.steps)
+    ? { [DEFAULT_ROLE]: auth }
+    : auth.roles;
+
+  if (!roles || typeof roles !== 'object' || Object.keys(roles).length === 0) {
+    throw new Error('Suite "auth" must declare "steps" or at least one entry in "roles"');
+  }
+
+  for (const [role, spec] of Object.entries(roles)) {
+    if (!spec || !Array.isArray(spec.steps) || spec.steps.length === 0) {
+      throw new Error(`Auth role "${role}" must declare a non-empty "steps" array`);
+    }
+  }
+
+  return {
+    roles,
+    ttl: auth.ttl,
+    defaultRole: Array.isArray(auth.steps) ? DEFAULT_ROLE : auth.defaultRole || null
+  };
+}
+
+// The state expires with its first expiring cookie or after `ttl` ms, whichever comes first
+function computeExpiry(storageState, ttl) {
+  const candidates = (storageState.cookies || [])
+    .filter(cookie => cookie.expires > 0)
+    .map(cookie => cookie.expires * 1000);
+
+  if (ttl) {
+    candidates.push(Date.now() + ttl);
+  }
+
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+}
+
+// Signs in once per browser and role and shares the resulting storage state
+// (cookies and local storage) with every test that uses the role.
+class AuthManager {
+  constructor() {
+    this.configure(null);
+  }
+
+  configure(auth) {
+    const { roles, ttl, defaultRole } = normalizeAuth(auth);
+    this.roles = roles;
+    this.ttl = ttl;
+    this.defaultRole = defaultRole;
+    this.sessions = new Map();
+  }
+
+  // `role: false` opts a test out of the suite's default role
+  roleFor(test) {
+    if (test.role === false) return null;
+    const role = test.role || this.defaultRole;
+
+    if (role && !this.roles[role]) {
+      const defined = Object.keys(this.roles).join(', ') || 'none';
+      throw new Error(`Unknown auth role: "${role}" (defined: ${defined})`);
+    }
+
+    return role;
+  }
+
+  // The variables the sign-in steps of `role` see. Role variables are usually templates
+  // themselves ({{credentials.admin.password}}, {{env.ADMIN_PASSWORD}}), and step
+  // interpolation is single-pass, so they are filled here from the suite variables,
+  // process.env and the other roles' variables (`{{roles.admin.user}}`).
+  resolveVariables(role, variables = {}) {
+    const roles = Object.fromEntries(Object.entries(this.roles).map(([name, spec]) => [name, spec.variables || {}]));
+    const templates = { ...variables, env: process.env, roles, role };
+    const scope = interpolate(templates, templates);
+    const resolved = interpolate(roles[role], scope);
+
+    const unresolved = findUnresolved(resolved, scope);
+    if (unresolved.length > 0) {
+      throw new Error(`Unresolved variable(s) in auth role "${role}": ${unresolved.join(', ')}`);
+    }
+
+    return { ...variables, roles: scope.roles, ...resolved, role };
+  }
+
+  // Resolves to { role, state, setup, reused }. `runSetup(role, spec)` signs in and
+  // resolves to the setup's hook result, with `storageState` when it passed.
+  async acquire(browserType, role, runSetup) {
+    const key = `${browserType}:${role}`;
+    const cached = this.sessions.get(key);
+
+    if (cached && !(cached.expiresAt && cached.expiresAt <= Date.now())) {
+      const session = await cached.promise;
+      return { ...session, reused: true };
+    }
+
+    if (cached) {
+      logger.info(`🔑 Session for role "${role}" on ${browserType} expired, signing in again`);
+    }
+
+    const spec = this.roles[role];
+    const entry = { expiresAt: null };
+
+    // A setup that throws before it returns a promise fails the sign-in the same way
+    entry.promise = Promise.resolve().then(() => runSetup(role, spec)).catch(error => ({
+      phase: 'auth',
+      status: 'failed',
+      error: error.message,
+      steps: []
+    })).then((setup) => {
+      if (setup.status !== 'passed') {
+        // Drop the failed session so the next test or retry signs in again
+        this.invalidate(browserType, role, entry);
+        return { role, setup, error: new Error(setup.error) };
+      }
+
+      entry.expiresAt = computeExpiry(setup.storageState, spec.ttl || this.ttl);
+      logger.info(`🔑 Signed in as "${role}" on ${browserType}`);
+      return { role, setup, state: setup.storageState };
+    });
+
+    this.sessions.set(key, entry);
+    return { ...(await entry.promise), reused: false };
+  }
+
+  invalidate(browserType, role, entry) {
+    const key = `${browserType}:${role}`;
+
+    if (!entry || this.sessions.get(key) === entry) {
+      this.sessions.delete(key);
+    }
+  }
+}
+
+module.exports = { AuthManager, normalizeAuth, computeExpiry, DEFAULT_ROLE };
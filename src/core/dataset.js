@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAX_LABEL_LENGTH = 60;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  return records.map(record => Object.fromEntries(
+    header.map((column, index) => [column.trim(), record[index] !== undefined ? record[index] : ''])
+  ));
+}
+
+async function loadDatasetFile(file) {
+  const content = await fs.readFile(file, 'utf8');
+
+  switch (path.extname(file).toLowerCase()) {
+    case '.csv':
+      return parseCSV(content);
+
+    case '.json':
+      return JSON.parse(content);
+
+    default:
+      throw new Error(`Unsupported dataset file type: ${file}`);
+  }
+}
+
+// A dataset is either inline rows, the name of a suite `testData` entry, the name
+// of a `config.data.testData` file, or a path to a CSV/JSON file. A "#path" suffix
+// selects a nested array, e.g. "users.json#validUsers".
+async function loadDataset(spec, { suiteData = {}, testData = {} } = {}) {
+  if (Array.isArray(spec)) {
+    return spec;
+  }
+
+  if (typeof spec !== 'string') {
+    throw new Error('Dataset must be an array of rows or a string reference');
+  }
+
+  const [source, nestedPath] = spec.split('#');
+  let data;
+
+  if (suiteData && suiteData[source] !== undefined) {
+    data = suiteData[source];
+  } else if (testData && testData[source]) {
+    data = await loadDatasetFile(path.resolve(testData[source]));
+  } else {
+    data = await loadDatasetFile(path.resolve(source));
+  }
+
+  if (nestedPath) {
+    data = nestedPath.split('.').reduce((current, key) => (current != null ? current[key] : undefined), data);
+  }
+
+  if (!Array.isArray(data)) {
+    throw new Error(`Dataset "${spec}" does not resolve to an array of rows`);
+  }
+
+  return data;
+}
+
+function describeRow(row, index) {
+  if (row === null || typeof row !== 'object') {
+    return String(row);
+  }
+
+  if (row._name || row.name) {
+    return String(row._name || row.name);
+  }
+
+  const label = Object.entries(row)
+    .filter(([, value]) => value === null || typeof value !== 'object')
+    .map(([key, value]) => `${key}=${value}`)
+    .join(', ');
+
+  if (!label) return `row ${index + 1}`;
+  return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+}
+
+// Expands every test with a `dataset` into one test per row. The row is exposed
+// to the templating layer through `test.data`.
+async function expandDatasets(tests, options = {}) {
+  const expanded = [];
+
+  for (const test of tests) {
+    if (!test.dataset) {
+      expanded.push(test);
+      continue;
+    }
+
+    let rows;
+    try {
+      rows = await loadDataset(test.dataset, options);
+    } catch (error) {
+      // Reported as a failed result for this test instead of aborting the run
+      expanded.push({ ...test, datasetError: `Failed to load dataset: ${error.message}` });
+      continue;
+    }
+
+    rows.forEach((row, index) => {
+      const { dataset, ...rest } = test;
+      const label = describeRow(row, index);
+
+      expanded.push({
+        ...rest,
+        id: `${test.id}[${index}]`,
+        name: `${test.name || test.id} [${label}]`,
+        data: row !== null && typeof row === 'object' ? row : { value: row },
+        dataRow: index
+      });
+    });
+  }
+
+  return expanded;
+}
+
+module.exports = { parseCSV, loadDataset, expandDatasets };
@@ -0,0 +1,137 @@
+const { baseTestId } = require('./sharding');
+
+// Statuses that let a dependent test run
+const SATISFIED_STATUSES = ['passed', 'flaky'];
+
+class DependencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DependencyError';
+  }
+}
+
+function getDependencies(test) {
+  if (!test.dependsOn) return [];
+  return Array.isArray(test.dependsOn) ? test.dependsOn : [test.dependsOn];
+}
+
+// Builds the graph of declared test ids (dataset rows and matrix combinations share
+// their test's id) and throws a DependencyError if it contains a cycle.
+function buildDependencyGraph(tests) {
+  const graph = new Map();
+
+  for (const test of tests) {
+    const id = baseTestId(test.id);
+    const edges = graph.get(id) || new Set();
+    getDependencies(test).forEach(dependency => edges.add(dependency));
+    graph.set(id, edges);
+  }
+
+  const cycle = findCycle(graph);
+  if (cycle) {
+    throw new DependencyError(`Dependency cycle: ${cycle.join(' → ')}`);
+  }
+
+  return graph;
+}
+
+function findCycle(graph) {
+  const state = new Map();
+  const stack = [];
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const dependency of graph.get(id) || []) {
+      if (state.get(dependency) === 'visiting') {
+        return [...stack.slice(stack.indexOf(dependency)), dependency];
+      }
+
+      if (!state.has(dependency) && graph.has(dependency)) {
+        const cycle = visit(dependency);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const id of graph.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+}
+
+// Orders tests so prerequisites come first, otherwise keeping the declared order
+function orderByDependencies(tests) {
+  const graph = buildDependencyGraph(tests);
+  const ordered = [];
+  const placed = new Set();
+  let remaining = tests;
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(test =>
+      Array.from(graph.get(baseTestId(test.id))).every(dependency =>
+        placed.has(dependency) || !remaining.some(other => baseTestId(other.id) === dependency)
+      )
+    );
+
+    ready.forEach(test => ordered.push(test));
+    ready.forEach(test => placed.add(baseTestId(test.id)));
+    remaining = remaining.filter(test => !ready.includes(test));
+  }
+
+  return ordered;
+}
+
+// Maps every test id to the first id of its connected group of dependencies
+function groupByDependencies(tests) {
+  const parent = new Map(tests.map(test => [test.id, test.id]));
+  const find = (id) => (parent.get(id) === id ? id : find(parent.get(id)));
+
+  for (const test of tests) {
+    for (const dependency of getDependencies(test)) {
+      if (!parent.has(dependency)) continue;
+
+      const [first, second] = [find(test.id), find(dependency)].sort();
+      parent.set(second, first);
+    }
+  }
+
+  return new Map(tests.map(test => [test.id, find(test.id)]));
+}
+
+// Why a dependent cannot run, given the results of its prerequisites
+// (`outcomes`: declared test id => list of result statuses), or null when it can
+function dependencySkipReason(test, outcomes) {
+  for (const dependency of getDependencies(test)) {
+    const statuses = outcomes.get(dependency);
+
+    if (!statuses || statuses.length === 0) {
+      return `Prerequisite "${dependency}" is not part of this run`;
+    }
+
+    const unsatisfied = statuses.find(status => !SATISFIED_STATUSES.includes(status));
+    if (unsatisfied) {
+      return `Prerequisite "${dependency}" ${unsatisfied === 'skipped' ? 'was skipped' : unsatisfied}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DependencyError,
+  getDependencies,
+  buildDependencyGraph,
+  orderByDependencies,
+  groupByDependencies,
+  dependencySkipReason
+};
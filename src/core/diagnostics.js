@@ -0,0 +1,124 @@
+const { toUrlMatcher } = require('./steps');
+
+// failOnConsoleError: false, true (any console error) or patterns the message must match.
+// `allow` lists patterns for known noise that never fails a test.
+const DEFAULT_SETTINGS = {
+  failOnPageError: false,
+  failOnConsoleError: false,
+  allow: []
+};
+
+function toPatterns(value) {
+  if (value === undefined || value === null || value === false) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// "/regex/flags" or a substring
+function matchesText(pattern, text) {
+  const matcher = pattern instanceof RegExp ? pattern : toUrlMatcher(String(pattern));
+  return matcher instanceof RegExp ? matcher.test(text) : text.includes(matcher);
+}
+
+// Global config, then the suite's config.diagnostics, then the test's own
+function resolveDiagnostics(...sources) {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const source of sources) {
+    if (!source) continue;
+
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (source[key] !== undefined) settings[key] = source[key];
+    }
+  }
+
+  return settings;
+}
+
+function formatLocation(location = {}) {
+  if (!location.url) return undefined;
+  return `${location.url}:${location.lineNumber}:${location.columnNumber}`;
+}
+
+// Collects the console messages, uncaught errors and failed requests of one page,
+// each with the step that was running. Entries the settings fail on are queued as
+// violations until the engine takes them.
+class PageMonitor {
+  constructor(page, settings = {}, currentStep = () => null) {
+    this.settings = resolveDiagnostics(settings);
+    this.currentStep = currentStep;
+    this.console = [];
+    this.pageErrors = [];
+    this.failedRequests = [];
+    this.violations = [];
+
+    page.on('console', (message) => {
+      this.record(this.console, {
+        type: message.type(),
+        text: message.text(),
+        location: formatLocation(message.location())
+      });
+    });
+
+    page.on('pageerror', (error) => {
+      this.record(this.pageErrors, { message: error.message, stack: error.stack });
+    });
+
+    page.on('requestfailed', (request) => {
+      this.record(this.failedRequests, {
+        url: request.url(),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        failure: request.failure()?.errorText
+      });
+    });
+  }
+
+  record(list, details) {
+    const entry = { ...details, step: this.currentStep() || undefined, timestamp: new Date().toISOString() };
+    const text = entry.text ?? entry.message ?? entry.url;
+
+    if (toPatterns(this.settings.allow).some(pattern => matchesText(pattern, text))) {
+      entry.allowed = true;
+    }
+
+    list.push(entry);
+
+    const violation = this.violationFor(list, entry);
+    if (violation) {
+      this.violations.push(entry.step ? `${violation} (during "${entry.step}")` : violation);
+    }
+  }
+
+  violationFor(list, entry) {
+    if (entry.allowed) return null;
+
+    if (list === this.pageErrors && this.settings.failOnPageError) {
+      return `Uncaught page error: ${entry.message}`;
+    }
+
+    const { failOnConsoleError } = this.settings;
+    if (list === this.console && entry.type === 'error' && failOnConsoleError) {
+      const patterns = failOnConsoleError === true ? [] : toPatterns(failOnConsoleError);
+      if (patterns.length === 0 || patterns.some(pattern => matchesText(pattern, entry.text))) {
+        return `Console error: ${entry.text}`;
+      }
+    }
+
+    return null;
+  }
+
+  // Violations recorded since the last call
+  takeViolations() {
+    return this.violations.splice(0);
+  }
+
+  summary() {
+    return {
+      console: this.console,
+      pageErrors: this.pageErrors,
+      failedRequests: this.failedRequests
+    };
+  }
+}
+
+module.exports = { DEFAULT_SETTINGS, PageMonitor, resolveDiagnostics, matchesText };
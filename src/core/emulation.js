@@ -0,0 +1,156 @@
+const { devices } = require('playwright');
+
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+
+// Settings that can be given on a test or in a suite's `config`
+const EMULATION_KEYS = ['device', 'viewport', 'userAgent', 'locale', 'timezoneId', 'geolocation', 'colorScheme', 'offline'];
+
+// Short preset names; a string refers to a Playwright device descriptor
+const DEVICE_PRESETS = {
+  desktop: { viewport: DEFAULT_VIEWPORT, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  'desktop-hidpi': { viewport: { width: 1440, height: 900 }, deviceScaleFactor: 2, isMobile: false, hasTouch: false },
+  laptop: { viewport: { width: 1366, height: 768 }, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  'touch-laptop': { viewport: { width: 1366, height: 768 }, deviceScaleFactor: 1, isMobile: false, hasTouch: true },
+  tablet: 'iPad (gen 7)',
+  'android-tablet': 'Galaxy Tab S4',
+  mobile: 'iPhone 13',
+  iphone: 'iPhone 13',
+  android: 'Pixel 7'
+};
+
+// Looks a device up in `config.devices`, the built-in presets, then Playwright's device list
+function resolveDevice(name, customDevices = {}) {
+  let descriptor = customDevices[name] || DEVICE_PRESETS[name] || devices[name];
+
+  if (typeof descriptor === 'string') {
+    descriptor = devices[descriptor];
+  }
+
+  if (!descriptor) {
+    const presets = [...Object.keys(customDevices), ...Object.keys(DEVICE_PRESETS)].join(', ');
+    throw new Error(`Unknown device: "${name}" (presets: ${presets}, or any Playwright device name)`);
+  }
+
+  const { defaultBrowserType, ...options } = descriptor;
+  return options;
+}
+
+// Suite settings first, then the test's own
+function resolveEmulation(test = {}, suiteOptions = {}) {
+  const settings = {};
+
+  for (const source of [suiteOptions, test]) {
+    for (const key of EMULATION_KEYS) {
+      if (source[key] !== undefined) settings[key] = source[key];
+    }
+  }
+
+  return settings;
+}
+
+// Turns emulation settings into browser.newContext() options
+function buildContextOptions(settings, browserType, customDevices) {
+  const options = settings.device ? resolveDevice(settings.device, customDevices) : {};
+
+  for (const key of ['viewport', 'userAgent', 'locale', 'timezoneId', 'colorScheme']) {
+    if (settings[key] !== undefined) options[key] = settings[key];
+  }
+
+  if (settings.geolocation) {
+    options.geolocation = settings.geolocation;
+    options.permissions = ['geolocation'];
+  }
+
+  if (settings.offline) {
+    options.offline = true;
+  }
+
+  // Firefox rejects the isMobile option; it keeps the viewport, touch and user agent
+  if (browserType === 'firefox') {
+    delete options.isMobile;
+  }
+
+  options.viewport = options.viewport || DEFAULT_VIEWPORT;
+  return options;
+}
+
+// Expands a test with a `matrix` (or the suite's) into one test per device and
+// locale combination. `matrix.browsers` limits the browsers the test runs on.
+function expandMatrix(tests, suiteMatrix) {
+  const expanded = [];
+
+  for (const test of tests) {
+    const { matrix: testMatrix, ...rest } = test;
+    const matrix = testMatrix || suiteMatrix;
+
+    if (!matrix) {
+      expanded.push(test);
+      continue;
+    }
+
+    const deviceList = matrix.devices || [test.device];
+    const localeList = matrix.locales || [test.locale];
+    const browsers = matrix.browsers || test.browsers;
+
+    for (const device of deviceList) {
+      for (const locale of localeList) {
+        const parts = [matrix.devices && device, matrix.locales && locale].filter(Boolean);
+
+        expanded.push({
+          ...rest,
+          id: parts.length > 0 ? `${test.id}@${parts.join('/')}` : test.id,
+          name: parts.length > 0 ? `${test.name || test.id} (${parts.join(', ')})` : test.name,
+          device,
+          locale,
+          browsers
+        });
+      }
+    }
+  }
+
+  return expanded;
+}
+
+// The combination a result ran in, e.g. { browser: 'webkit', device: 'mobile', locale: 'de-DE' }
+function describeDimensions(browserType, settings = {}) {
+  return {
+    browser: browserType,
+    device: settings.device,
+    locale: settings.locale
+  };
+}
+
+function dimensionLabel(dimensions = {}) {
+  return [dimensions.browser, dimensions.device, dimensions.locale].filter(Boolean).join(' · ');
+}
+
+// Pass/fail counts per browser × device × locale combination
+function summarizeDimensions(results) {
+  const summary = {};
+
+  for (const result of results) {
+    if (!result.dimensions) continue;
+
+    const label = dimensionLabel(result.dimensions);
+    if (!summary[label]) {
+      summary[label] = { ...result.dimensions, total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0, cancelled: 0 };
+    }
+
+    summary[label].total++;
+    if (summary[label][result.status] !== undefined) summary[label][result.status]++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DEVICE_PRESETS,
+  EMULATION_KEYS,
+  resolveDevice,
+  resolveEmulation,
+  buildContextOptions,
+  expandMatrix,
+  describeDimensions,
+  dimensionLabel,
+  summarizeDimensions
+};
@@ -1,15 +1,44 @@
 const { chromium, firefox, webkit } = require('playwright');
 const logger = require('../utils/logger');
 const EventEmitter = require('events');
+const { TestScheduler } = require('./scheduler');
+const { runWithRetries, resolveRetries } = require('../utils/retry');
+const { TimeoutError, CancellationError, withTimeout, abortable } = require('../utils/timeout');
+const { validateStep, toUrlMatcher } = require('./steps');
+const { pollAssertion, DEFAULT_ASSERTION_TIMEOUT } = require('./assertions');
+const { expandDatasets } = require('./dataset');
+const { interpolate, findUnresolved } = require('../utils/template');
+const { PluginRegistry } = require('./plugins');
+const { ArtifactManager } = require('./artifacts');
+const { NetworkMocker } = require('./network');
+const { PageMonitor, resolveDiagnostics } = require('./diagnostics');
+const { measurePerformance, formatMetric } = require('./performance');
+const { auditAccessibility } = require('./accessibility');
+const { resolveSecurity, auditPage, summarizeFindings } = require('./security');
+const { AuthManager } = require('./auth');
+const { resolveEmulation, buildContextOptions, expandMatrix, describeDimensions } = require('./emulation');
+const { summarizeResults } = require('./summary');
+const { SelectorHealer, resolveHealing, HEALABLE_ACTIONS } = require('./healing');
+const { buildDependencyGraph, getDependencies, dependencySkipReason } = require('./dependencies');
+const { baseTestId } = require('./sharding');
+const { HookError, resolveHooks, runHook, runBeforeHooks, runAfterHooks, applyAfterHookError } = require('./hooks');
 
 class SmartQACore extends EventEmitter {
-  constructor(config) {
+  constructor(config, plugins = new PluginRegistry()) {
     super();
     this.config = config;
+    this.plugins = plugins;
+    this.artifacts = new ArtifactManager(config.reporting);
+    this.auth = new AuthManager();
+    this.healer = new SelectorHealer(config.healing, config.reporting);
     this.browsers = new Map();
     this.testQueue = [];
     this.isRunning = false;
     this.results = [];
+    this.activeRuns = new Map();
+    this.cancelError = null;
+    // Set by --debug; pauses body steps in a REPL (src/debug/debugger.js)
+    this.debugger = null;
   }
 
   async initialize() {
@@ -17,19 +46,20 @@ class SmartQACore extends EventEmitter {
     
     // Initialize browsers based on configuration
     const browserTypes = this.config.browsers || ['chromium'];
+    const launchOptions = { headless: this.config.headless, slowMo: this.config.slowMo };
     
     for (const browserType of browserTypes) {
       try {
         let browser;
         switch (browserType) {
           case 'chromium':
-            browser = await chromium.launch({ headless: this.config.headless });
+            browser = await chromium.launch(launchOptions);
             break;
           case 'firefox':
-            browser = await firefox.launch({ headless: this.config.headless });
+            browser = await firefox.launch(launchOptions);
             break;
           case 'webkit':
-            browser = await webkit.launch({ headless: this.config.headless });
+            browser = await webkit.launch(launchOptions);
             break;
           default:
             throw new Error(`Unsupported browser: ${browserType}`);
@@ -47,42 +77,113 @@ class SmartQACore extends EventEmitter {
     }
   }
 
-  async runTests(tests) {
+  async runTests(tests, options = {}) {
     if (!Array.isArray(tests)) {
       tests = [tests];
     }
 
+    tests = await expandDatasets(tests, {
+      suiteData: options.testData,
+      testData: this.config.data?.testData
+    });
+    tests = expandMatrix(tests, options.matrix);
+
+    // Cycles in dependsOn are rejected before any context is opened
+    buildDependencyGraph(tests);
+
+    await this.healer.load();
+
     logger.info(`🧪 Running ${tests.length} tests...`);
     this.isRunning = true;
     this.results = [];
+    this.cancelError = null;
 
     const startTime = Date.now();
+    // Time spent paused in the debugger does not count towards any timeout
+    const suiteTimeout = this.debugger ? 0 : options.suiteTimeout || this.config.suiteTimeout;
+    const suiteTimer = suiteTimeout
+      ? setTimeout(() => this.cancelAll(`Suite timed out after ${suiteTimeout}ms`), suiteTimeout)
+      : null;
 
     try {
-      // Run tests in parallel across browsers
-      const promises = [];
-      
+      const hooks = resolveHooks(options.hooks);
+      const suiteHookFailures = [];
+
+      // Sessions are shared between the tests of one run only
+      this.auth.configure(options.auth);
+
+      // beforeAll runs once per browser; a failure blocks that browser's tests
+      const blockedBrowsers = new Map();
+      for (const [browserType, browser] of this.browsers) {
+        const hookResult = await this.runSuiteHook(browser, browserType, 'beforeAll', hooks.beforeAll, options);
+        if (hookResult && hookResult.status !== 'passed') {
+          blockedBrowsers.set(browserType, new HookError('beforeAll', hookResult.error));
+          suiteHookFailures.push(hookResult);
+        }
+      }
+
+      // Run tests across browsers through a bounded worker pool
+      const jobs = [];
+
       for (const [browserType, browser] of this.browsers) {
         for (const test of tests) {
-          promises.push(this.executeTest(browser, browserType, test));
+          if (test.browsers && !test.browsers.includes(browserType)) continue;
+          const blockedBy = test.datasetError ? new Error(test.datasetError) : blockedBrowsers.get(browserType);
+          jobs.push({ browser, browserType, test, blockedBy });
         }
       }
 
-      const results = await Promise.allSettled(promises);
+      this.linkDependencies(jobs);
+
+      const missingBrowsers = new Set(tests.flatMap(test => test.browsers || []).filter(name => !this.browsers.has(name)));
+      if (missingBrowsers.size > 0) {
+        logger.warn(`⚠️ Skipping browsers that are not launched: ${Array.from(missingBrowsers).join(', ')}`);
+      }
+
+      const scheduler = new TestScheduler({
+        parallel: this.config.parallel,
+        maxConcurrency: this.config.maxConcurrency,
+        maxConcurrencyPerBrowser: this.config.maxConcurrencyPerBrowser,
+        ...options
+      });
+
+      const results = await scheduler.run(jobs, (job, prerequisites) => {
+        if (job.blockedBy) {
+          return this.createUnrunResult(job.test, job.browserType, 'failed', job.blockedBy, options);
+        }
+
+        const skipReason = dependencySkipReason(job.test, this.collectOutcomes(prerequisites));
+        if (skipReason) {
+          logger.info(`⏭️ Skipping ${job.test.name || job.test.id} on ${job.browserType}: ${skipReason}`);
+          return this.createUnrunResult(job.test, job.browserType, 'skipped', new Error(skipReason), options);
+        }
+
+        return this.runTest(job.browser, job.browserType, job.test, options);
+      });
+
+      for (const [browserType, browser] of this.browsers) {
+        const hookResult = await this.runSuiteHook(browser, browserType, 'afterAll', hooks.afterAll, options);
+        if (hookResult && hookResult.status !== 'passed') {
+          suiteHookFailures.push(hookResult);
+        }
+      }
       
-      // Process results
-      for (const result of results) {
+      // Process results; a job that threw is reported as a failed result of its own test
+      for (const [index, result] of results.entries()) {
         if (result.status === 'fulfilled') {
           this.results.push(result.value);
         } else {
-          this.results.push({
-            status: 'failed',
-            error: result.reason.message,
-            timestamp: new Date().toISOString()
-          });
+          const { test, browserType } = jobs[index];
+          const reason = result.reason instanceof Error ? result.reason : new Error(String(result.reason));
+          const failedResult = this.createUnrunResult(test, browserType, 'failed', reason, options);
+          this.emit('testCompleted', failedResult);
+          this.results.push(failedResult);
         }
       }
 
+      // Failed suite-level hooks are reported as results of their own
+      this.results.push(...suiteHookFailures);
+
       const duration = Date.now() - startTime;
       logger.info(`✅ Test execution completed in ${duration}ms`);
       
@@ -98,69 +199,324 @@ class SmartQACore extends EventEmitter {
       logger.error('❌ Test execution failed:', error);
       throw error;
     } finally {
+      clearTimeout(suiteTimer);
       this.isRunning = false;
+
+      try {
+        await this.healer.save();
+      } catch (error) {
+        logger.warn('Failed to save selector fingerprints:', error.message);
+      }
     }
   }
 
-  async executeTest(browser, browserType, test) {
-    const context = await browser.newContext({
-      viewport: test.viewport || { width: 1920, height: 1080 },
-      userAgent: test.userAgent,
-      ...test.contextOptions
-    });
+  // A dependent waits for every run of its prerequisites on the same browser, or on
+  // any browser when the prerequisite is limited to others
+  linkDependencies(jobs) {
+    for (const job of jobs) {
+      job.waitFor = getDependencies(job.test).flatMap((dependency) => {
+        const runs = jobs
+          .map((candidate, index) => ({ candidate, index }))
+          .filter(({ candidate }) => baseTestId(candidate.test.id) === dependency);
+        const sameBrowser = runs.filter(({ candidate }) => candidate.browserType === job.browserType);
+
+        return (sameBrowser.length > 0 ? sameBrowser : runs).map(({ index }) => index);
+      });
+    }
+  }
+
+  // Declared test id => statuses of its settled runs
+  collectOutcomes(prerequisites) {
+    const outcomes = new Map();
+
+    for (const { job, result } of prerequisites) {
+      const id = baseTestId(job.test.id);
+      const status = result.status === 'fulfilled' ? result.value.status : 'failed';
+      outcomes.set(id, [...(outcomes.get(id) || []), status]);
+    }
+
+    return outcomes;
+  }
+
+  async runTest(browser, browserType, test, options = {}) {
+    // Tests still queued when the run is cancelled are reported without launching a context
+    if (this.cancelError) {
+      const cancelledResult = this.createUnrunResult(test, browserType, 'cancelled', this.cancelError, options);
+      this.emit('testCompleted', cancelledResult);
+      return cancelledResult;
+    }
+
+    // In the debugger a failing step is retried by hand instead
+    const retries = this.debugger ? 0 : resolveRetries(test.retries, options.retries, this.config.retries);
+
+    const testResult = await runWithRetries(
+      (attempt) => this.executeWithSession(browser, browserType, test, { ...options, attempt }),
+      { retries, name: test.name || test.id }
+    );
+
+    this.emit('testCompleted', testResult);
+    return testResult;
+  }
+
+  // Runs the test signed in as its auth role, if it has one. The session is
+  // acquired per attempt so a retry after expiry signs in again.
+  async executeWithSession(browser, browserType, test, options = {}) {
+    let role;
+    try {
+      role = this.auth.roleFor(test);
+    } catch (error) {
+      return this.createUnrunResult(test, browserType, 'failed', error, options);
+    }
+
+    if (!role) {
+      return this.executeTest(browser, browserType, test, options);
+    }
+
+    const session = await this.auth.acquire(browserType, role, (name, spec) => this.runHookInContext(
+      browser, 'auth', spec.steps, options, { variables: this.auth.resolveVariables(name, options.variables), saveState: true }
+    ));
+
+    // The setup is reported on the test that triggered it, without the stored state
+    const { storageState, ...setupHook } = session.setup;
+    const authHooks = session.reused ? [] : [setupHook];
+
+    if (session.error) {
+      const failedResult = this.createUnrunResult(
+        test, browserType, 'failed', new HookError('auth', `role "${role}": ${session.error.message}`), options
+      );
+      return { ...failedResult, auth: { role, reused: session.reused }, hooks: authHooks };
+    }
+
+    const testResult = await this.executeTest(browser, browserType, test, { ...options, storageState: session.state });
+    testResult.auth = { role, reused: session.reused };
+    testResult.hooks.unshift(...authHooks);
+    return testResult;
+  }
+
+  async executeTest(browser, browserType, test, options = {}) {
+    const testTimeout = test.timeout || options.timeout || this.config.timeout;
+    const stepTimeout = test.stepTimeout || options.stepTimeout || this.config.stepTimeout || this.config.timeout;
+
+    const baseUrl = options.environment?.baseUrl;
+    const emulation = resolveEmulation(test, options);
+
+    // A test whose page cannot be set up (unknown device, invalid capture mode, a
+    // context Playwright refuses) fails on its own; a context already opened is closed
+    let recorder;
+    let context;
+    let network;
+    let page;
+    try {
+      const emulationOptions = buildContextOptions(emulation, browserType, this.config.devices);
+
+      // Trace, video and HAR are only recorded for the attempts their capture mode asks for
+      recorder = this.artifacts.createRecorder(test, browserType, options.attempt || 1, options.artifacts);
+      await recorder.prepare();
+
+      context = await browser.newContext({
+        ...emulationOptions,
+        baseURL: baseUrl,
+        storageState: options.storageState,
+        ...recorder.contextOptions(),
+        ...test.contextOptions
+      });
+      context.setDefaultTimeout(stepTimeout);
+      await recorder.start(context);
+
+      network = new NetworkMocker(context);
+      page = await context.newPage();
+    } catch (error) {
+      if (context) await context.close().catch(() => {});
+      return this.createUnrunResult(test, browserType, 'failed', error, options);
+    }
 
-    const page = await context.newPage();
-    
     const testResult = {
       id: test.id || `test_${Date.now()}`,
       name: test.name,
       browser: browserType,
+      dimensions: describeDimensions(browserType, emulation),
+      environment: options.environment?.name,
+      data: test.data,
+      attempt: options.attempt || 1,
       status: 'running',
       startTime: new Date().toISOString(),
       steps: [],
+      hooks: [],
       screenshots: [],
+      artifacts: {},
       errors: []
     };
 
+    // Suite variables, then the dataset row; values saved by steps are added as the test runs
+    const hooks = resolveHooks(options.hooks, test);
+    const variables = { ...options.variables, ...test.data };
+    const run = this.registerRun(testResult);
+    const monitor = new PageMonitor(
+      page,
+      resolveDiagnostics(this.config.diagnostics, options.diagnostics, test.diagnostics),
+      () => run.currentStep
+    );
+    // `false` for the run (--no-heal) or the suite turns healing off for every test
+    const healing = options.healing === false
+      ? null
+      : resolveHealing(this.config.healing, options.healing, test.healing);
+    const testTimer = this.debugger ? null : setTimeout(
+      () => this.abortRun(run, new TimeoutError(`Test timed out after ${testTimeout}ms`)),
+      testTimeout
+    );
+
+    this.emit('testStarted', { id: testResult.id, name: testResult.name, browser: browserType });
+
+    const runStep = (step) => {
+      run.currentStep = step.name || step.action;
+      return this.executeStep(page, step, {
+        timeout: step.stepTimeout || stepTimeout,
+        signal: run.controller.signal,
+        variables,
+        baseUrl,
+        recorder,
+        network,
+        healing,
+        environment: options.environment
+      });
+    };
+
     try {
+      // Suite routes first, so a test's own routes take precedence
+      await this.installRoutes(network, [...(options.routes || []), ...(test.routes || [])], variables);
+
+      await runBeforeHooks(testResult, [['beforeEach', hooks.beforeEach], ['setup', hooks.setup]], runStep);
+
       // Execute test steps
-      for (const step of test.steps || []) {
-        const stepResult = await this.executeStep(page, step);
+      const softFailures = [];
+
+      for (const [index, step] of (test.steps || []).entries()) {
+        const stepResult = this.debugger
+          ? await this.debugger.runStep({ test, step, index, page, variables, browserType }, runStep)
+          : await runStep(step);
         testResult.steps.push(stepResult);
-        
+
+        if (run.controller.signal.aborted) {
+          throw run.controller.signal.error;
+        }
+
+        // An uncaught error or console error the diagnostics settings fail on fails the step it happened in
+        const violations = monitor.takeViolations();
+        if (violations.length > 0 && stepResult.status === 'passed') {
+          stepResult.status = 'failed';
+          stepResult.error = violations.join('; ');
+        }
+
+        // Soft steps let the test carry on, but still fail it once the body has run
+        if (stepResult.status === 'failed' && step.soft) {
+          softFailures.push(`${stepResult.name || stepResult.action}: ${stepResult.error}`);
+          continue;
+        }
+
         if (stepResult.status === 'failed' && !step.continueOnFailure) {
           throw new Error(`Step failed: ${stepResult.error}`);
         }
       }
 
+      if (softFailures.length > 0) {
+        throw new Error(`${softFailures.length} soft assertion(s) failed: ${softFailures.join('; ')}`);
+      }
+
+      const lateViolations = [...monitor.takeViolations(), ...network.takeErrors()];
+      if (lateViolations.length > 0) {
+        throw new Error(lateViolations.join('; '));
+      }
+
       testResult.status = 'passed';
       testResult.endTime = new Date().toISOString();
       
     } catch (error) {
-      testResult.status = 'failed';
-      testResult.error = error.message;
+      // An abort surfaces as a cancelled step; report the abort reason itself
+      const cause = run.controller.signal.aborted ? run.controller.signal.error : error;
+
+      testResult.status = cause instanceof CancellationError ? 'cancelled' : 'failed';
+      testResult.error = cause.message;
+      testResult.failedPhase = error instanceof HookError ? error.phase : 'test';
       testResult.endTime = new Date().toISOString();
+
+      if (cause instanceof TimeoutError) {
+        testResult.timedOut = true;
+      }
+
+      if (run.controller.signal.aborted) {
+        testResult.interruptedStep = run.currentStep;
+      }
       
       // Take screenshot on failure
       try {
-        const screenshot = await page.screenshot({ fullPage: true });
+        const type = testResult.status === 'cancelled' ? 'cancelled' : 'failure';
+        const screenshot = await withTimeout(page.screenshot({ fullPage: true }), 5000, 'Screenshot timed out');
         testResult.screenshots.push({
-          type: 'failure',
-          data: screenshot.toString('base64'),
+          type,
+          path: await recorder.saveScreenshot(screenshot, type),
           timestamp: new Date().toISOString()
         });
       } catch (screenshotError) {
         logger.warn('Failed to capture failure screenshot:', screenshotError.message);
       }
+    }
+
+    try {
+      clearTimeout(testTimer);
+
+      // cleanup and afterEach always run in the test's page, without the abort signal
+      const afterHookError = await runAfterHooks(
+        testResult,
+        [['cleanup', hooks.cleanup], ['afterEach', hooks.afterEach]],
+        (step) => {
+          run.currentStep = step.name || step.action;
+          return this.executeStep(page, step, {
+            timeout: step.stepTimeout || stepTimeout,
+            variables,
+            baseUrl,
+            recorder,
+            network,
+            healing,
+            environment: options.environment
+          });
+        }
+      );
+      applyAfterHookError(testResult, afterHookError);
     } finally {
+      testResult.routes = network.summary();
+      Object.assign(testResult, monitor.summary());
+
+      const measurements = testResult.steps.filter(step => step.performance).map(step => step.performance);
+      if (measurements.length > 0) {
+        testResult.performance = measurements;
+      }
+
+      const healed = testResult.steps.filter(step => step.healed).map(step => ({ step: step.name || step.action, ...step.healed }));
+      if (healed.length > 0) {
+        testResult.healed = healed;
+      }
+
+      try {
+        await recorder.stopTrace(context, testResult.status);
+      } catch (traceError) {
+        logger.warn('Failed to save trace:', traceError.message);
+      }
+
+      // Closing the context also aborts any Playwright call still in flight
       await context.close();
+      this.unregisterRun(run);
+
+      try {
+        testResult.artifacts = await recorder.finalize(page.video(), testResult.status);
+      } catch (artifactError) {
+        logger.warn('Failed to save video/HAR artifacts:', artifactError.message);
+      }
     }
 
-    this.emit('testCompleted', testResult);
     return testResult;
   }
 
-  async executeStep(page, step) {
+  async executeStep(page, step, options = {}) {
     const stepResult = {
       name: step.name,
       action: step.action,
@@ -169,55 +525,35 @@ class SmartQACore extends EventEmitter {
     };
 
     try {
-      switch (step.action) {
-        case 'navigate':
-          await page.goto(step.url, { waitUntil: step.waitUntil || 'networkidle' });
-          break;
-
-        case 'click':
-          await page.click(step.selector, step.options);
-          break;
-
-        case 'fill':
-          await page.fill(step.selector, step.value);
-          break;
-
-        case 'type':
-          await page.type(step.selector, step.text, step.options);
-          break;
-
-        case 'wait':
-          if (step.selector) {
-            await page.waitForSelector(step.selector, step.options);
-          } else if (step.timeout) {
-            await page.waitForTimeout(step.timeout);
-          }
-          break;
-
-        case 'screenshot':
-          const screenshot = await page.screenshot(step.options || {});
-          stepResult.screenshot = screenshot.toString('base64');
-          break;
-
-        case 'assert':
-          await this.executeAssertion(page, step);
-          break;
-
-        case 'custom':
-          if (typeof step.handler === 'function') {
-            await step.handler(page, step.params);
-          }
-          break;
-
-        default:
-          throw new Error(`Unknown action: ${step.action}`);
+      const label = step.name || step.action;
+      const variables = options.variables || {};
+      const resolvedStep = this.resolveStep(step, variables);
+
+      await withTimeout(
+        abortable(this.performAction(page, resolvedStep, stepResult, {
+          variables,
+          baseUrl: options.baseUrl,
+          plugins: this.plugins,
+          recorder: options.recorder,
+          network: options.network,
+          healing: options.healing,
+          environment: options.environment
+        }), options.signal),
+        options.timeout,
+        `Step "${label}" timed out after ${options.timeout}ms`
+      );
+
+      // A mock or modifyResponse route that broke while this step ran fails the step
+      const routeErrors = options.network ? options.network.takeErrors() : [];
+      if (routeErrors.length > 0) {
+        throw new Error(routeErrors.join('; '));
       }
 
       stepResult.status = 'passed';
       stepResult.endTime = new Date().toISOString();
 
     } catch (error) {
-      stepResult.status = 'failed';
+      stepResult.status = error instanceof CancellationError ? 'cancelled' : 'failed';
       stepResult.error = error.message;
       stepResult.endTime = new Date().toISOString();
     }
@@ -225,56 +561,431 @@ class SmartQACore extends EventEmitter {
     return stepResult;
   }
 
-  async executeAssertion(page, step) {
-    switch (step.type) {
-      case 'text':
-        const text = await page.textContent(step.selector);
-        if (step.expected !== text) {
-          throw new Error(`Text assertion failed. Expected: "${step.expected}", Got: "${text}"`);
+  resolveStep(step, variables) {
+    const scope = { ...variables, env: process.env };
+    const resolvedStep = interpolate(step, scope);
+
+    const unresolved = findUnresolved(resolvedStep, scope);
+    if (unresolved.length > 0) {
+      throw new Error(`Unresolved variable(s) in step: ${unresolved.join(', ')}`);
+    }
+
+    return resolvedStep;
+  }
+
+  async performAction(page, step, stepResult, stepContext = {}) {
+    validateStep(step, this.plugins);
+
+    // A selector that no longer matches is swapped for a fallback found from the
+    // fingerprint of the element it matched the last time the step passed
+    const selector = step.selector;
+    const target = this.canHeal(step, stepContext) ? await this.healer.locate(page, step, stepContext.healing) : null;
+    if (target?.healed) {
+      step = { ...step, selector: target.selector };
+      stepResult.healed = target.healed;
+      stepResult.warning = `healed: "${selector}" no longer matches, update it to "${target.selector}"`;
+    }
+
+    switch (step.action) {
+      case 'navigate':
+        await page.goto(step.url, { waitUntil: step.waitUntil || 'networkidle' });
+        break;
+
+      case 'click':
+        await page.click(step.selector, step.options);
+        break;
+
+      case 'fill':
+        await page.fill(step.selector, step.value);
+        break;
+
+      case 'type':
+        await page.type(step.selector, step.text, step.options);
+        break;
+
+      case 'wait':
+        if (step.selector) {
+          await page.waitForSelector(step.selector, step.options);
+        } else if (step.timeout) {
+          await page.waitForTimeout(step.timeout);
         }
         break;
 
-      case 'visible':
-        const isVisible = await page.isVisible(step.selector);
-        if (step.expected !== isVisible) {
-          throw new Error(`Visibility assertion failed. Expected: ${step.expected}, Got: ${isVisible}`);
+      case 'screenshot':
+        const screenshot = await page.screenshot(step.options || {});
+        // Suite hooks have no recorder and keep the screenshot inline
+        if (stepContext.recorder) {
+          stepResult.screenshot = await stepContext.recorder.saveScreenshot(screenshot, step.name || 'screenshot');
+        } else {
+          stepResult.screenshot = screenshot.toString('base64');
         }
         break;
 
-      case 'url':
-        const url = page.url();
-        if (step.expected !== url) {
-          throw new Error(`URL assertion failed. Expected: "${step.expected}", Got: "${url}"`);
+      case 'assert':
+        await this.executeAssertion(page, step, stepResult, stepContext);
+        break;
+
+      case 'custom':
+        await this.runPluginAction(page, step.handler, step, stepResult, stepContext);
+        break;
+
+      case 'select':
+        stepResult.selected = await page.selectOption(
+          step.selector,
+          step.label !== undefined ? [].concat(step.label).map(label => ({ label })) : step.value
+        );
+        break;
+
+      case 'check':
+        await page.check(step.selector);
+        break;
+
+      case 'uncheck':
+        await page.uncheck(step.selector);
+        break;
+
+      case 'hover':
+        await page.hover(step.selector, step.options);
+        break;
+
+      case 'press':
+        if (step.selector) {
+          await page.press(step.selector, step.key);
+        } else {
+          await page.keyboard.press(step.key);
         }
         break;
 
-      case 'count':
-        const count = await page.locator(step.selector).count();
-        if (step.expected !== count) {
-          throw new Error(`Count assertion failed. Expected: ${step.expected}, Got: ${count}`);
+      case 'upload':
+        await page.setInputFiles(step.selector, step.files);
+        break;
+
+      case 'dragAndDrop':
+        await page.dragAndDrop(step.source, step.target);
+        break;
+
+      case 'scroll':
+        if (step.selector) {
+          await page.locator(step.selector).first().scrollIntoViewIfNeeded();
+        } else {
+          await page.mouse.wheel(step.x || 0, step.y || 0);
+        }
+        break;
+
+      case 'goBack':
+        await page.goBack({ waitUntil: step.waitUntil || 'load' });
+        break;
+
+      case 'reload':
+        await page.reload({ waitUntil: step.waitUntil || 'load' });
+        break;
+
+      case 'evaluate':
+        stepResult.value = await page.evaluate(step.script, step.arg);
+        if (step.saveAs) {
+          stepContext.variables[step.saveAs] = stepResult.value;
+        }
+        break;
+
+      case 'waitForResponse':
+        const urlMatcher = toUrlMatcher(step.url);
+        const response = await page.waitForResponse((candidate) => {
+          const url = candidate.url();
+          const urlMatches = urlMatcher instanceof RegExp ? urlMatcher.test(url) : url.includes(urlMatcher);
+          return urlMatches &&
+            (!step.method || candidate.request().method() === step.method.toUpperCase()) &&
+            (step.status === undefined || candidate.status() === step.status);
+        }, { timeout: step.timeout });
+        stepResult.response = { url: response.url(), status: response.status() };
+        break;
+
+      case 'waitForURL':
+        await page.waitForURL(toUrlMatcher(step.url), { waitUntil: step.waitUntil, timeout: step.timeout });
+        break;
+
+      case 'mock':
+      case 'block':
+      case 'modifyResponse':
+        await stepContext.network.addRoute(step);
+        break;
+
+      case 'assertRequest':
+        await this.executeRequestAssertion(step, stepResult, stepContext);
+        break;
+
+      case 'measurePerformance':
+        stepResult.performance = await measurePerformance(page, step, this.config.performance);
+        if (step.saveAs) {
+          stepContext.variables[step.saveAs] = stepResult.performance.metrics;
+        }
+
+        const exceeded = stepResult.performance.budgets.filter(({ passed }) => passed === false);
+        if (exceeded.length > 0) {
+          throw new Error(`Performance budget exceeded: ${exceeded
+            .map(({ metric, value, budget }) => `${metric} ${formatMetric(metric, value)} > ${formatMetric(metric, budget)}`)
+            .join(', ')}`);
+        }
+        break;
+
+      case 'checkAccessibility':
+        stepResult.accessibility = await auditAccessibility(page, step, this.config.accessibility);
+
+        const { newViolations } = stepResult.accessibility;
+        if (newViolations.length > 0) {
+          const listed = newViolations.slice(0, 5).map(({ rule, selector }) => `${rule} (${selector})`);
+          if (newViolations.length > listed.length) listed.push(`and ${newViolations.length - listed.length} more`);
+          throw new Error(`${newViolations.length} accessibility violation(s)${step.baseline ? ' not in the baseline' : ''}: ${listed.join(', ')}`);
+        }
+        break;
+
+      case 'checkSecurity':
+        const securitySettings = resolveSecurity(this.config.security, step);
+        stepResult.security = await auditPage(page, stepContext.network, securitySettings, stepContext.environment);
+
+        if (stepResult.security.failing.length > 0) {
+          throw new Error(`${stepResult.security.failing.length} security finding(s) at or above ${securitySettings.failOn}: ${summarizeFindings(stepResult.security.failing)}`);
         }
         break;
 
       default:
-        throw new Error(`Unknown assertion type: ${step.type}`);
+        // validateStep has already rejected names that no plugin registered
+        await this.runPluginAction(page, step.action, step, stepResult, stepContext);
+    }
+
+    if (target?.fingerprint) {
+      this.healer.remember(selector, target.fingerprint, target.url);
     }
   }
 
-  generateSummary() {
-    const total = this.results.length;
-    const passed = this.results.filter(r => r.status === 'passed').length;
-    const failed = this.results.filter(r => r.status === 'failed').length;
-    const skipped = this.results.filter(r => r.status === 'skipped').length;
+  canHeal(step, stepContext) {
+    if (!stepContext.healing || !step.selector || !HEALABLE_ACTIONS.includes(step.action)) return false;
+
+    // Waiting for an element to go away must not find a different one instead
+    return !(step.action === 'wait' && ['hidden', 'detached'].includes(step.options?.state));
+  }
+
+  // Runs an inline handler function or an action registered in the plugin registry
+  async runPluginAction(page, handlerRef, step, stepResult, stepContext) {
+    const handler = typeof handlerRef === 'function'
+      ? handlerRef
+      : this.plugins.getAction(handlerRef).handler;
+
+    const value = await handler(page, step.params || {}, {
+      step,
+      stepResult,
+      variables: stepContext.variables,
+      baseUrl: stepContext.baseUrl,
+      config: this.config
+    });
+
+    if (value !== undefined) {
+      stepResult.value = value;
+      if (step.saveAs) {
+        stepContext.variables[step.saveAs] = value;
+      }
+    }
+  }
+
+  // Runs a suite-level hook (beforeAll/afterAll) in a context of its own
+  async runSuiteHook(browser, browserType, phase, steps, options = {}) {
+    if (!steps || steps.length === 0) {
+      return null;
+    }
+
+    const hookResult = await this.runHookInContext(browser, phase, steps, options);
+
+    if (hookResult.status !== 'passed') {
+      logger.error(`❌ ${phase} hook failed on ${browserType}: ${hookResult.error}`);
+    }
+
+    return {
+      ...hookResult,
+      id: `${phase}_${browserType}`,
+      name: `${phase} hook`,
+      type: 'hook',
+      browser: browserType,
+      environment: options.environment?.name
+    };
+  }
+
+  // Runs hook steps in a context of their own. With `saveState`, a passing hook
+  // also returns the context's storage state (cookies and local storage).
+  async runHookInContext(browser, phase, steps, options = {}, hookOptions = {}) {
+    const stepTimeout = options.stepTimeout || this.config.stepTimeout || this.config.timeout;
+    const baseUrl = options.environment?.baseUrl;
+    const context = await browser.newContext({ baseURL: baseUrl, ...options.contextOptions });
+    context.setDefaultTimeout(stepTimeout);
+    const network = new NetworkMocker(context);
+
+    try {
+      const page = await context.newPage();
+      const variables = { ...options.variables, ...hookOptions.variables };
+      await this.installRoutes(network, options.routes, variables);
+
+      const hookResult = await runHook(phase, steps, (step) => this.executeStep(page, step, {
+        timeout: step.stepTimeout || stepTimeout,
+        variables,
+        baseUrl,
+        network,
+        environment: options.environment
+      }));
+
+      if (hookOptions.saveState && hookResult.status === 'passed') {
+        hookResult.storageState = await context.storageState();
+      }
+
+      return hookResult;
+    } finally {
+      await context.close();
+    }
+  }
+
+  registerRun(testResult) {
+    const run = {
+      key: `${testResult.id}:${testResult.browser}:${testResult.attempt}`,
+      testId: testResult.id,
+      browser: testResult.browser,
+      controller: new AbortController(),
+      currentStep: null
+    };
+    run.done = new Promise(resolve => { run.finish = resolve; });
+
+    this.activeRuns.set(run.key, run);
+    return run;
+  }
+
+  unregisterRun(run) {
+    this.activeRuns.delete(run.key);
+    run.finish();
+  }
+
+  abortRun(run, error) {
+    if (run.controller.signal.aborted) {
+      return;
+    }
+
+    logger.warn(`🛑 Aborting ${run.testId} (${run.browser}) during "${run.currentStep}": ${error.message}`);
+    run.controller.signal.error = error;
+    run.controller.abort();
+  }
+
+  // Cancels every running attempt of a test; resolves once their contexts are closed
+  async cancelTest(testId, reason = 'Stopped by user') {
+    const runs = Array.from(this.activeRuns.values()).filter(run => run.testId === testId);
+
+    for (const run of runs) {
+      this.abortRun(run, new CancellationError(reason));
+    }
+
+    await Promise.all(runs.map(run => run.done));
+    return runs.length > 0;
+  }
+
+  // Cancels the running tests and every test still waiting in the queue
+  async cancelAll(reason = 'Run cancelled') {
+    this.cancelError = new CancellationError(reason);
+    const runs = Array.from(this.activeRuns.values());
+
+    for (const run of runs) {
+      this.abortRun(run, this.cancelError);
+    }
+
+    await Promise.all(runs.map(run => run.done));
+  }
+
+  createUnrunResult(test, browserType, status, error, options = {}) {
+    const now = new Date().toISOString();
 
     return {
-      total,
-      passed,
-      failed,
-      skipped,
-      passRate: total > 0 ? (passed / total * 100).toFixed(2) : 0
+      id: test.id || `test_${Date.now()}`,
+      name: test.name,
+      browser: browserType,
+      dimensions: describeDimensions(browserType, resolveEmulation(test, options)),
+      environment: options.environment?.name,
+      status,
+      // Skipped tests carry a reason rather than an error
+      error: status === 'skipped' ? undefined : error.message,
+      reason: status === 'skipped' ? error.message : undefined,
+      failedPhase: error instanceof HookError ? error.phase : undefined,
+      startTime: now,
+      endTime: now,
+      steps: [],
+      screenshots: [],
+      errors: []
     };
   }
 
+  async executeAssertion(page, step, stepResult, stepContext = {}) {
+    const timeout = step.timeout !== undefined
+      ? step.timeout
+      : (this.config.assertionTimeout || DEFAULT_ASSERTION_TIMEOUT);
+
+    if (!step.assertions) {
+      await pollAssertion(page, step, timeout, stepContext);
+      return;
+    }
+
+    // Grouped assertions are all evaluated before the step fails
+    const failures = [];
+    stepResult.assertions = [];
+
+    for (const assertion of step.assertions) {
+      try {
+        await pollAssertion(page, assertion, assertion.timeout !== undefined ? assertion.timeout : timeout, stepContext);
+        stepResult.assertions.push({ type: assertion.type, status: 'passed' });
+      } catch (error) {
+        failures.push(error.message);
+        stepResult.assertions.push({ type: assertion.type, status: 'failed', error: error.message });
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} of ${step.assertions.length} assertions failed: ${failures.join('; ')}`);
+    }
+  }
+
+  // Suite and test `routes` are mock/block/modifyResponse steps; `action` defaults to mock
+  async installRoutes(network, routes = [], variables = {}) {
+    for (const route of routes) {
+      const resolvedRoute = this.resolveStep({ action: 'mock', ...route }, variables);
+      validateStep(resolvedRoute, this.plugins);
+      await network.addRoute(resolvedRoute);
+    }
+  }
+
+  // Waits until the recorded traffic contains the expected call(s)
+  async executeRequestAssertion(step, stepResult, stepContext) {
+    const timeout = step.timeout !== undefined
+      ? step.timeout
+      : (this.config.assertionTimeout || DEFAULT_ASSERTION_TIMEOUT);
+    const deadline = Date.now() + timeout;
+    const satisfied = (calls) => (step.count !== undefined ? calls.length === step.count : calls.length > 0);
+
+    let matches = stepContext.network.findRequests(step);
+    while (!satisfied(matches) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      matches = stepContext.network.findRequests(step);
+    }
+
+    stepResult.requests = matches.length;
+
+    if (!satisfied(matches)) {
+      const call = `${step.method ? `${[].concat(step.method).join('/').toUpperCase()} ` : ''}${step.url}`;
+      const expectedCalls = step.count !== undefined ? `${step.count} call(s)` : 'at least 1 call';
+      const withBody = step.body !== undefined ? ` with body ${JSON.stringify(step.body)}` : '';
+      const sameUrl = stepContext.network.findRequests({ url: step.url, method: step.method });
+      const lastBody = step.body !== undefined && sameUrl.length > 0
+        ? ` (last body: ${JSON.stringify(sameUrl[sameUrl.length - 1].body)})`
+        : '';
+
+      throw new Error(`Request assertion failed. Expected: ${expectedCalls} to ${call}${withBody}, Got: ${matches.length}${lastBody}`);
+    }
+  }
+
+  generateSummary() {
+    return summarizeResults(this.results);
+  }
+
   async cleanup() {
     logger.info('🧹 Cleaning up SmartQA Core...');
     
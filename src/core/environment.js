@@ -0,0 +1,58 @@
+const Joi = require('joi');
+const { interpolate } = require('../utils/template');
+
+const ABSOLUTE_URL = /^[a-z][a-z\d+.-]*:/i;
+
+// Unknown keys are rejected, so a misspelled `readOnly` cannot silently leave a profile writable
+const PROFILE_SCHEMA = Joi.object({
+  baseUrl: Joi.string(),
+  apiUrl: Joi.string(),
+  timeout: Joi.number().integer().min(0),
+  retries: Joi.number().integer().min(0),
+  credentials: Joi.object().unknown(),
+  variables: Joi.object({
+    readOnly: Joi.any().forbidden().messages({ 'any.unknown': '"variables.readOnly" has no effect; set readOnly on the profile' })
+  }).unknown(),
+  // Checks that change data on the site (such as submitting forms) are refused
+  readOnly: Joi.boolean().strict()
+});
+
+// Resolves the active environment profile. `config.environment` holds the defaults,
+// `config.environments` the named profiles; `{{env.NAME}}` placeholders in a profile
+// are filled from process.env so credentials can stay out of the config file.
+function resolveEnvironment(config = {}, name) {
+  const profiles = config.environments || {};
+  const selected = name || config.defaultEnvironment;
+
+  if (selected && !profiles[selected] && Object.keys(profiles).length > 0) {
+    throw new Error(`Unknown environment: "${selected}" (available: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const { error } = PROFILE_SCHEMA.validate({ ...config.environment, ...profiles[selected] });
+  if (error) {
+    throw new Error(`Invalid environment "${selected || 'default'}": ${error.message}`);
+  }
+
+  const profile = interpolate({ ...config.environment, ...profiles[selected] }, { env: process.env });
+
+  return {
+    name: selected || 'default',
+    baseUrl: profile.baseUrl,
+    apiUrl: profile.apiUrl || profile.baseUrl,
+    credentials: profile.credentials || {},
+    variables: profile.variables || {},
+    readOnly: profile.readOnly === true
+  };
+}
+
+// Resolves a relative URL against `base` the way a browser would; absolute URLs
+// and URLs without a base are returned unchanged.
+function resolveUrl(url, base) {
+  if (typeof url !== 'string' || !base || ABSOLUTE_URL.test(url)) {
+    return url;
+  }
+
+  return new URL(url, base).href;
+}
+
+module.exports = { resolveEnvironment, resolveUrl };
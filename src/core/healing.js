@@ -0,0 +1,274 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Actions whose `selector` names the element they act on. Assertions are never healed:
+// a missing element is often exactly what they check for.
+const HEALABLE_ACTIONS = ['click', 'fill', 'type', 'select', 'check', 'uncheck', 'hover', 'press', 'upload', 'scroll', 'wait'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  store: './reports/.smartqa/fingerprints.json',
+  waitTimeout: 3000,
+  minScore: 0.5
+};
+
+// How much each fingerprint field counts towards the similarity of a candidate
+const WEIGHTS = {
+  testId: 4,
+  id: 3,
+  role: 2,
+  name: 3,
+  label: 2,
+  text: 2,
+  nameAttribute: 2,
+  placeholder: 1,
+  type: 1,
+  tag: 1,
+  classes: 1,
+  path: 1
+};
+
+// Global config, then the suite's config.healing, then the test's own.
+// `false` at any level turns healing off.
+function resolveHealing(...sources) {
+  let settings = { ...DEFAULT_SETTINGS };
+
+  for (const source of sources) {
+    if (source === undefined || source === null) continue;
+    if (source === false) return null;
+    if (source === true) continue;
+    settings = { ...settings, ...source };
+  }
+
+  return settings.enabled === false ? null : settings;
+}
+
+// Runs in the page against the element a selector resolved to
+function fingerprintElement(element) {
+  const clean = (value, max = 80) => (value || '').replace(/\s+/g, ' ').trim().slice(0, max);
+  const tag = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+
+  const testIdAttribute = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy']
+    .find(attribute => element.hasAttribute(attribute));
+
+  const implicitRole = () => {
+    if (tag === 'button' || (tag === 'input' && ['button', 'submit', 'reset', 'image'].includes(type))) return 'button';
+    if (tag === 'a' && element.hasAttribute('href')) return 'link';
+    if (tag === 'input' && type === 'checkbox') return 'checkbox';
+    if (tag === 'input' && type === 'radio') return 'radio';
+    if (tag === 'input' && ['', 'text', 'email', 'tel', 'url', 'search', 'password', 'number'].includes(type)) {
+      return type === 'search' ? 'searchbox' : type === 'number' ? 'spinbutton' : 'textbox';
+    }
+    if (tag === 'textarea') return 'textbox';
+    if (tag === 'select') return element.multiple ? 'listbox' : 'combobox';
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'img') return 'img';
+    return '';
+  };
+
+  const labels = [];
+  if (element.labels) {
+    for (const label of element.labels) labels.push(clean(label.textContent));
+  }
+  const labelledBy = (element.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map(id => id && document.getElementById(id))
+    .filter(Boolean)
+    .map(node => clean(node.textContent));
+
+  const text = ['input', 'select', 'textarea'].includes(tag) ? '' : clean(element.textContent);
+  const name = clean(element.getAttribute('aria-label')) ||
+    labelledBy.join(' ') ||
+    labels.join(' ') ||
+    clean(element.getAttribute('alt')) ||
+    (tag === 'input' && ['button', 'submit', 'reset'].includes(type) ? clean(element.value) : '') ||
+    text ||
+    clean(element.getAttribute('title'));
+
+  const segments = [];
+  for (let node = element; node && node.nodeType === 1 && node !== document.documentElement; node = node.parentElement) {
+    const nodeTag = node.tagName.toLowerCase();
+    const siblings = node.parentElement
+      ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName)
+      : [];
+    segments.unshift(siblings.length > 1 ? `${nodeTag}:nth-of-type(${siblings.indexOf(node) + 1})` : nodeTag);
+  }
+
+  return {
+    tag,
+    type,
+    id: element.id || '',
+    testIdAttribute: testIdAttribute || '',
+    testId: testIdAttribute ? element.getAttribute(testIdAttribute) : '',
+    role: element.getAttribute('role') || implicitRole(),
+    name,
+    label: labels[0] || labelledBy[0] || '',
+    text,
+    nameAttribute: element.getAttribute('name') || '',
+    placeholder: element.getAttribute('placeholder') || '',
+    classes: Array.from(element.classList),
+    path: segments.join(' > ')
+  };
+}
+
+function quote(value) {
+  return JSON.stringify(value);
+}
+
+// Selectors to try for a stored fingerprint, most specific first
+function candidateSelectors(fingerprint) {
+  const candidates = [];
+  const add = (strategy, selector) => {
+    if (!candidates.some(candidate => candidate.selector === selector)) {
+      candidates.push({ strategy, selector });
+    }
+  };
+  const { tag } = fingerprint;
+
+  if (fingerprint.testId) add('testId', `[${fingerprint.testIdAttribute}=${quote(fingerprint.testId)}]`);
+  if (fingerprint.id) add('id', `[id=${quote(fingerprint.id)}]`);
+  if (fingerprint.role && fingerprint.name) add('role', `role=${fingerprint.role}[name=${quote(fingerprint.name)}]`);
+  if (fingerprint.label && !fingerprint.label.includes('"')) {
+    add('label', `xpath=//*[@id=//label[normalize-space(.)="${fingerprint.label}"]/@for] | //label[normalize-space(.)="${fingerprint.label}"]//*[self::input or self::select or self::textarea]`);
+  }
+  if (fingerprint.nameAttribute) add('name', `${tag}[name=${quote(fingerprint.nameAttribute)}]`);
+  if (fingerprint.placeholder) add('placeholder', `${tag}[placeholder=${quote(fingerprint.placeholder)}]`);
+  if (fingerprint.text) add('text', `${tag}:text-is(${quote(fingerprint.text)})`);
+  if (fingerprint.path) add('path', fingerprint.path);
+
+  return candidates;
+}
+
+// Fingerprints are stored per page and selector, so the same selector on two pages
+// keeps two elements. Only the path counts, so runs against another host share them.
+function fingerprintKey(selector, url) {
+  let page;
+  try {
+    page = new URL(url).pathname;
+  } catch (error) {
+    page = url || '';
+  }
+  return `${page} ${selector}`;
+}
+
+// Weighted share of the stored fingerprint's fields the candidate still matches
+function similarity(stored, candidate) {
+  let total = 0;
+  let matched = 0;
+
+  for (const [field, weight] of Object.entries(WEIGHTS)) {
+    if (field === 'classes') {
+      if (stored.classes.length === 0) continue;
+      const shared = stored.classes.filter(name => candidate.classes.includes(name)).length;
+      total += weight;
+      matched += weight * shared / new Set([...stored.classes, ...candidate.classes]).size;
+      continue;
+    }
+
+    if (!stored[field]) continue;
+    total += weight;
+    if (stored[field] === candidate[field]) matched += weight;
+  }
+
+  return total > 0 ? Math.round(matched / total * 100) / 100 : 0;
+}
+
+// Keeps a fingerprint of the element each selector matched when its step last
+// passed, and uses it to find the element again once the selector stops matching
+class SelectorHealer {
+  // The store defaults to the reports directory: it is rewritten by runs, so it stays
+  // out of the suites directory that test --watch watches
+  constructor(config = {}, reportingConfig = {}) {
+    const store = path.join(reportingConfig.outputDir || './reports', '.smartqa', 'fingerprints.json');
+    this.settings = { ...DEFAULT_SETTINGS, store, ...config };
+    this.fingerprints = {};
+    this.loaded = false;
+    this.dirty = false;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.settings.store, 'utf8'));
+      this.fingerprints = stored.selectors || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`🩹 Could not read selector fingerprints from ${this.settings.store}: ${error.message}`);
+      }
+    }
+  }
+
+  async save() {
+    if (!this.dirty) return;
+
+    await fs.mkdir(path.dirname(this.settings.store), { recursive: true });
+    await fs.writeFile(this.settings.store, JSON.stringify({
+      updated: new Date().toISOString(),
+      selectors: this.fingerprints
+    }, null, 2));
+    this.dirty = false;
+  }
+
+  // Resolves the selector a step should use: its own when it still matches, else the
+  // best fallback for the stored fingerprint. The fingerprint is only remembered once
+  // the step has passed.
+  async locate(page, step, settings) {
+    const { selector } = step;
+    const primary = page.locator(selector).first();
+    // The page the element is on, before the action navigates anywhere
+    const url = page.url();
+
+    try {
+      await primary.waitFor({ state: 'attached', timeout: settings.waitTimeout });
+      return { selector, url, fingerprint: await primary.evaluate(fingerprintElement) };
+    } catch (error) {
+      // Not there (yet); try the fallbacks before the action waits out the step timeout
+    }
+
+    const stored = this.fingerprints[fingerprintKey(selector, url)]?.fingerprint;
+    if (!stored) return { selector, url };
+
+    for (const { strategy, selector: candidate } of candidateSelectors(stored)) {
+      try {
+        const locator = page.locator(candidate);
+        if (await locator.count() !== 1) continue;
+
+        const fingerprint = await locator.evaluate(fingerprintElement);
+        const score = similarity(stored, fingerprint);
+        if (score < settings.minScore) continue;
+
+        logger.warn(`🩹 Healed selector ${selector} → ${candidate} (${strategy}, score ${score})`);
+        return { selector: candidate, url, fingerprint, healed: { from: selector, to: candidate, strategy, score } };
+      } catch (error) {
+        logger.debug(`🩹 Fallback ${candidate} failed: ${error.message}`);
+      }
+    }
+
+    return { selector, url };
+  }
+
+  // Stored under the selector the test was written with, so later runs heal it again
+  // until the test itself is updated. An unchanged element leaves the store as it is.
+  remember(selector, fingerprint, url) {
+    const key = fingerprintKey(selector, url);
+    if (JSON.stringify(this.fingerprints[key]?.fingerprint) === JSON.stringify(fingerprint)) return;
+
+    this.fingerprints[key] = { selector, fingerprint, url, updated: new Date().toISOString() };
+    this.dirty = true;
+  }
+}
+
+module.exports = {
+  HEALABLE_ACTIONS,
+  DEFAULT_SETTINGS,
+  SelectorHealer,
+  resolveHealing,
+  fingerprintElement,
+  fingerprintKey,
+  candidateSelectors,
+  similarity
+};
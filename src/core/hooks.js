@@ -0,0 +1,111 @@
+// Lifecycle hook model shared by the UI engine and the API tester.
+//
+// Suite-level hooks are declared as step arrays under `beforeAll`, `beforeEach`,
+// `afterEach` and `afterAll`; tests may add their own `setup` and `cleanup` steps.
+// Each runner supplies an `executeStep(step)` function, so hook steps use the same
+// vocabulary as the test body of that runner.
+
+const HOOK_PHASES = ['beforeAll', 'beforeEach', 'setup', 'cleanup', 'afterEach', 'afterAll'];
+
+class HookError extends Error {
+  constructor(phase, message) {
+    super(`${phase} hook failed: ${message}`);
+    this.name = 'HookError';
+    this.phase = phase;
+  }
+}
+
+function resolveHooks(suiteHooks = {}, test = {}) {
+  const hooks = suiteHooks || {};
+
+  return {
+    beforeAll: hooks.beforeAll || [],
+    beforeEach: hooks.beforeEach || [],
+    setup: test.setup || [],
+    cleanup: test.cleanup || [],
+    afterEach: hooks.afterEach || [],
+    afterAll: hooks.afterAll || []
+  };
+}
+
+// Runs the steps of one hook phase, stopping at the first failure unless
+// the step sets `continueOnFailure`.
+async function runHook(phase, steps = [], executeStep) {
+  const hookResult = {
+    phase,
+    status: 'passed',
+    startTime: new Date().toISOString(),
+    steps: []
+  };
+
+  for (const step of steps) {
+    const stepResult = await executeStep(step);
+    hookResult.steps.push(stepResult);
+
+    if (stepResult.status !== 'passed' && !step.continueOnFailure) {
+      hookResult.status = stepResult.status === 'cancelled' ? 'cancelled' : 'failed';
+      hookResult.error = stepResult.error;
+      break;
+    }
+  }
+
+  hookResult.endTime = new Date().toISOString();
+  return hookResult;
+}
+
+// Runs the given phases in order and records them on `testResult.hooks`.
+// Throws a HookError for the first failing phase.
+async function runBeforeHooks(testResult, phases, executeStep) {
+  for (const [phase, steps] of phases) {
+    if (!steps || steps.length === 0) continue;
+
+    const hookResult = await runHook(phase, steps, executeStep);
+    testResult.hooks.push(hookResult);
+
+    if (hookResult.status !== 'passed') {
+      throw new HookError(phase, hookResult.error);
+    }
+  }
+}
+
+// Runs every given phase even if an earlier one failed, records them on
+// `testResult.hooks` and returns the first HookError (or null).
+async function runAfterHooks(testResult, phases, executeStep) {
+  let firstError = null;
+
+  for (const [phase, steps] of phases) {
+    if (!steps || steps.length === 0) continue;
+
+    const hookResult = await runHook(phase, steps, executeStep);
+    testResult.hooks.push(hookResult);
+
+    if (hookResult.status !== 'passed' && !firstError) {
+      firstError = new HookError(phase, hookResult.error);
+    }
+  }
+
+  return firstError;
+}
+
+// Marks a test whose body passed as failed when one of its after-hooks failed.
+// The body's own outcome is kept in `bodyStatus`.
+function applyAfterHookError(testResult, hookError) {
+  if (!hookError) return;
+
+  if (testResult.status === 'passed') {
+    testResult.bodyStatus = testResult.status;
+    testResult.status = 'failed';
+    testResult.error = hookError.message;
+    testResult.failedPhase = hookError.phase;
+  }
+}
+
+module.exports = {
+  HOOK_PHASES,
+  HookError,
+  resolveHooks,
+  runHook,
+  runBeforeHooks,
+  runAfterHooks,
+  applyAfterHookError
+};
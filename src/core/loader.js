@@ -0,0 +1,190 @@
+const fg = require('fast-glob');
+const yaml = require('js-yaml');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { buildDependencyGraph } = require('./dependencies');
+
+const SUITE_SECTIONS = ['tests', 'visualTests', 'apiTests'];
+
+// Lists the suites that did load and the files that did not, so a typo and a broken
+// suite file are told apart
+function describeMissingSuite(suiteName, suites, errors = []) {
+  const available = suites.map(s => s.id).join(', ') || 'none';
+  let message = `Suite not found: "${suiteName}" (available: ${available})`;
+
+  if (errors.length > 0) {
+    message += `; failed to load: ${errors.map(e => `${path.relative(process.cwd(), e.file)}: ${e.error}`).join('; ')}`;
+  }
+
+  return message;
+}
+
+// Stands in for a suite file when tests are generated for a bare name or URL
+function generatedSuite(suiteName) {
+  const id = String(suiteName).replace(/^\w+:\/\//, '').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'generated';
+  return { id, name: String(suiteName), tests: [], visualTests: [], apiTests: [] };
+}
+
+class SuiteLoader {
+  constructor(config = {}) {
+    this.config = {
+      dir: './tests',
+      pattern: '**/*-test.{js,json,yml,yaml}',
+      ignore: ['**/node_modules/**'],
+      ...config
+    };
+  }
+
+  async discover() {
+    const cwd = path.resolve(this.config.dir);
+    const patterns = Array.isArray(this.config.pattern) ? this.config.pattern : [this.config.pattern];
+
+    const files = await fg(patterns, {
+      cwd,
+      absolute: true,
+      ignore: this.config.ignore
+    });
+
+    return files.sort();
+  }
+
+  async loadAll() {
+    const files = await this.discover();
+    const suites = [];
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        const suite = await this.loadFile(file);
+        suites.push(suite);
+      } catch (error) {
+        logger.warn(`⚠️ Failed to load suite file ${file}: ${error.message}`);
+        errors.push({
+          file,
+          suite: error.suite,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    logger.info(`📂 Loaded ${suites.length} suite(s) from ${this.config.dir}`);
+    return { suites, errors };
+  }
+
+  async loadFile(file) {
+    const ext = path.extname(file).toLowerCase();
+    let suite;
+
+    switch (ext) {
+      case '.js':
+      case '.cjs':
+        delete require.cache[require.resolve(file)];
+        suite = require(file);
+        break;
+
+      case '.json':
+        suite = JSON.parse(await fs.readFile(file, 'utf8'));
+        break;
+
+      case '.yml':
+      case '.yaml':
+        suite = yaml.load(await fs.readFile(file, 'utf8'));
+        break;
+
+      default:
+        throw new Error(`Unsupported suite file type: ${ext}`);
+    }
+
+    return this.normalizeSuite(suite, file);
+  }
+
+  normalizeSuite(suite, file) {
+    if (!suite || typeof suite !== 'object' || Array.isArray(suite)) {
+      throw new Error('Suite file must export an object');
+    }
+
+    // A file exporting a single test is treated as a one-test suite
+    if (Array.isArray(suite.steps) && !SUITE_SECTIONS.some(section => section in suite)) {
+      suite = { id: suite.id, name: suite.name, tests: [suite] };
+    }
+
+    for (const section of SUITE_SECTIONS) {
+      if (suite[section] !== undefined && !Array.isArray(suite[section])) {
+        throw new Error(`Suite section "${section}" must be an array`);
+      }
+    }
+
+    if (suite.routes !== undefined && !Array.isArray(suite.routes)) {
+      throw new Error('Suite section "routes" must be an array');
+    }
+
+    if (!SUITE_SECTIONS.some(section => Array.isArray(suite[section]))) {
+      throw new Error(`Suite must declare at least one of: ${SUITE_SECTIONS.join(', ')}`);
+    }
+
+    const baseName = path.basename(file, path.extname(file));
+
+    // A dependsOn cycle makes the suite fail to load, before any test runs. The error
+    // keeps the suite's identity so that asking for the suite reports it.
+    try {
+      for (const section of SUITE_SECTIONS) {
+        buildDependencyGraph(suite[section] || []);
+      }
+    } catch (error) {
+      error.suite = { id: suite.id || baseName, name: suite.name || baseName };
+      throw error;
+    }
+
+    return {
+      ...suite,
+      id: suite.id || baseName,
+      name: suite.name || baseName,
+      file,
+      tests: suite.tests || [],
+      visualTests: suite.visualTests || [],
+      apiTests: suite.apiTests || []
+    };
+  }
+
+  // Like resolve, but `suite` is null when no suite file matches the name. A matching
+  // file that failed to load throws its own error instead of reading as "not found".
+  async find(suiteName) {
+    const { suites, errors } = await this.loadAll();
+    const target = String(suiteName).toLowerCase();
+    const suite = suites.find(s => this.getSuiteAliases(s).includes(target)) || null;
+
+    if (!suite) {
+      const failed = errors.find(error => this.getSuiteAliases({ ...error.suite, file: error.file }).includes(target));
+      if (failed) {
+        throw new Error(`Suite "${suiteName}" failed to load from ${path.relative(process.cwd(), failed.file)}: ${failed.error}`);
+      }
+    }
+
+    return { suite, suites, errors };
+  }
+
+  async resolve(suiteName) {
+    const { suite, suites, errors } = await this.find(suiteName);
+
+    if (!suite) {
+      throw new Error(describeMissingSuite(suiteName, suites, errors));
+    }
+
+    return { suite, errors };
+  }
+
+  getSuiteAliases(suite) {
+    const baseName = path.basename(suite.file, path.extname(suite.file)).toLowerCase();
+
+    return [
+      suite.id !== undefined && String(suite.id).toLowerCase(),
+      suite.name !== undefined && String(suite.name).toLowerCase(),
+      baseName,
+      baseName.replace(/[-_.]?(test|tests|suite|spec)$/, '')
+    ].filter(Boolean);
+  }
+}
+
+module.exports = { SuiteLoader, describeMissingSuite, generatedSuite };
@@ -0,0 +1,196 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { toUrlMatcher } = require('./steps');
+
+const ROUTE_ACTIONS = ['mock', 'block', 'modifyResponse'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const CLOSED_ERROR = /has been closed|Target closed/i;
+
+function matchesMethod(expected, actual) {
+  if (!expected) return true;
+  const methods = Array.isArray(expected) ? expected : [expected];
+  return methods.some(method => method.toUpperCase() === actual);
+}
+
+// Same URL semantics as waitForResponse: a "/regex/" or a substring
+function matchesUrl(expected, url) {
+  const matcher = toUrlMatcher(expected);
+  return matcher instanceof RegExp ? matcher.test(url) : url.includes(matcher);
+}
+
+// An expected object only has to be contained in the actual body; strings must match exactly
+function matchesBody(expected, actual) {
+  if (expected === null || typeof expected !== 'object') {
+    return actual === expected || (typeof actual !== 'string' && JSON.stringify(actual) === JSON.stringify(expected));
+  }
+
+  if (actual === null || typeof actual !== 'object') {
+    return false;
+  }
+
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((item, index) => matchesBody(item, actual[index]));
+  }
+
+  return Object.entries(expected).every(([key, value]) => matchesBody(value, actual[key]));
+}
+
+function parseBody(postData) {
+  if (postData == null) return undefined;
+
+  try {
+    return JSON.parse(postData);
+  } catch (error) {
+    return postData;
+  }
+}
+
+function toResponseBody(body) {
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+// Intercepts the traffic of one browser context. Routes come from the suite's
+// `routes` section, the test's `routes` and the mock/block/modifyResponse steps;
+// every request the context makes is logged so `assertRequest` can inspect it.
+class NetworkMocker {
+  constructor(context) {
+    this.context = context;
+    this.routes = [];
+    this.requests = [];
+    this.errors = [];
+    this.closed = false;
+
+    context.on('close', () => { this.closed = true; });
+    context.on('request', (request) => {
+      this.requests.push({
+        url: request.url(),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        body: parseBody(request.postData()),
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  async addRoute(spec) {
+    const action = spec.action || 'mock';
+
+    if (!ROUTE_ACTIONS.includes(action)) {
+      throw new Error(`Invalid route action: "${action}" (expected one of ${ROUTE_ACTIONS.join(', ')})`);
+    }
+
+    const route = {
+      url: spec.url,
+      method: spec.method,
+      action,
+      hits: 0
+    };
+    this.routes.push(route);
+
+    // Playwright resolves relative patterns against the context's baseURL
+    await this.context.route(toUrlMatcher(spec.url), async (playwrightRoute, request) => {
+      if (!matchesMethod(spec.method, request.method())) {
+        return playwrightRoute.fallback();
+      }
+
+      route.hits += 1;
+      logger.debug(`🛰️ ${action} ${request.method()} ${request.url()}`);
+
+      try {
+        if (spec.delay) {
+          await delay(spec.delay);
+        }
+
+        switch (action) {
+          case 'block':
+            return await playwrightRoute.abort(spec.errorCode || 'blockedbyclient');
+
+          case 'modifyResponse':
+            return await this.modifyResponse(playwrightRoute, spec);
+
+          default:
+            return await this.fulfill(playwrightRoute, spec);
+        }
+      } catch (error) {
+        // The context closed while the response was delayed: nothing is waiting for it
+        if (this.closed || CLOSED_ERROR.test(error.message)) {
+          logger.debug(`Route ${action} ${spec.url} not completed: ${error.message}`);
+          return;
+        }
+
+        // Anything else would leave the request hanging; fail it and the step that caused it
+        const message = `Route ${action} ${spec.url} failed for ${request.method()} ${request.url()}: ${error.message}`;
+        logger.warn(`🛰️ ${message}`);
+        this.errors.push(message);
+        await playwrightRoute.abort('failed').catch(() => {});
+      }
+    }, spec.times ? { times: spec.times } : undefined);
+  }
+
+  async fulfill(playwrightRoute, spec) {
+    const response = {
+      status: spec.status || 200,
+      headers: spec.headers,
+      contentType: spec.contentType
+    };
+
+    if (spec.fixture) {
+      // Playwright infers the content type from the fixture's extension
+      response.path = path.resolve(spec.fixture);
+    } else if (spec.body !== undefined) {
+      response.body = toResponseBody(spec.body);
+      if (typeof spec.body !== 'string' && !response.contentType) {
+        response.contentType = 'application/json';
+      }
+    }
+
+    return playwrightRoute.fulfill(response);
+  }
+
+  async modifyResponse(playwrightRoute, spec) {
+    const original = await playwrightRoute.fetch();
+    const response = {
+      response: original,
+      status: spec.status || original.status(),
+      headers: { ...original.headers(), ...spec.headers }
+    };
+
+    if (spec.body !== undefined) {
+      response.body = toResponseBody(spec.body);
+    } else if (spec.merge) {
+      // Shallow-merges fields into the original JSON body
+      response.body = JSON.stringify({ ...(await original.json()), ...spec.merge });
+    }
+
+    // The length of the original body no longer applies
+    if (response.body !== undefined) {
+      delete response.headers['content-length'];
+    }
+
+    return playwrightRoute.fulfill(response);
+  }
+
+  findRequests({ url, method, body }) {
+    return this.requests.filter(request =>
+      matchesUrl(url, request.url) &&
+      matchesMethod(method, request.method) &&
+      (body === undefined || matchesBody(body, request.body))
+    );
+  }
+
+  // Route handler failures recorded since the last call
+  takeErrors() {
+    return this.errors.splice(0);
+  }
+
+  // Which routes were hit, and how often
+  summary() {
+    return this.routes.map(({ url, method, action, hits }) => ({ url, method, action, hits }));
+  }
+}
+
+module.exports = { NetworkMocker, ROUTE_ACTIONS, matchesBody };
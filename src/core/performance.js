@@ -0,0 +1,156 @@
+const logger = require('../utils/logger');
+
+// Units used when logging a metric; lower is better for every one of them
+const METRIC_UNITS = {
+  TTFB: 'ms',
+  FCP: 'ms',
+  LCP: 'ms',
+  CLS: '',
+  FID: 'ms',
+  TBT: 'ms',
+  domContentLoaded: 'ms',
+  load: 'ms',
+  longTasks: '',
+  resourceCount: '',
+  transferSize: 'B'
+};
+
+// Runs in the page. Buffered observers hand back the entries recorded since
+// navigation, so nothing has to be installed before the page loads.
+function collectPageMetrics() {
+  const buffered = (type) => {
+    try {
+      const observer = new PerformanceObserver(() => {});
+      observer.observe({ type, buffered: true });
+      const entries = observer.takeRecords();
+      observer.disconnect();
+      return entries;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const round = (value) => (typeof value === 'number' ? Math.round(value * 1000) / 1000 : null);
+  const [navigation] = performance.getEntriesByType('navigation');
+  const paints = performance.getEntriesByType('paint');
+  const paint = (name) => paints.find(entry => entry.name === name)?.startTime;
+
+  const lcp = buffered('largest-contentful-paint');
+  const shifts = buffered('layout-shift');
+  const firstInput = buffered('first-input');
+  const longTasks = buffered('longtask');
+  const resources = performance.getEntriesByType('resource');
+
+  const resourcesByType = {};
+  for (const resource of resources) {
+    const type = resource.initiatorType || 'other';
+    resourcesByType[type] = resourcesByType[type] || { count: 0, transferSize: 0 };
+    resourcesByType[type].count++;
+    resourcesByType[type].transferSize += resource.transferSize || 0;
+  }
+
+  return {
+    url: location.href,
+    TTFB: round(navigation?.responseStart),
+    FCP: round(paint('first-contentful-paint')),
+    FP: round(paint('first-paint')),
+    LCP: lcp && lcp.length > 0 ? round(lcp[lcp.length - 1].startTime) : null,
+    CLS: shifts ? round(shifts.filter(entry => !entry.hadRecentInput).reduce((sum, entry) => sum + entry.value, 0)) : null,
+    FID: firstInput && firstInput.length > 0 ? round(firstInput[0].processingStart - firstInput[0].startTime) : null,
+    TBT: longTasks ? round(longTasks.reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0)) : null,
+    longTasks: longTasks ? longTasks.length : null,
+    longestTask: longTasks && longTasks.length > 0 ? round(Math.max(...longTasks.map(task => task.duration))) : null,
+    domContentLoaded: round(navigation?.domContentLoadedEventEnd),
+    load: round(navigation?.loadEventEnd),
+    resourceCount: resources.length,
+    transferSize: resources.reduce((sum, resource) => sum + (resource.transferSize || 0), (navigation?.transferSize || 0)),
+    resourcesByType
+  };
+}
+
+// config.performance.thresholds for the metrics it lists (or the step's `metrics`),
+// overridden and extended by the step's own `budgets`
+function resolveBudgets(performanceConfig = {}, step = {}) {
+  const thresholds = performanceConfig.enabled === false ? {} : performanceConfig.thresholds || {};
+  const metrics = step.metrics || performanceConfig.metrics || Object.keys(thresholds);
+  const budgets = {};
+
+  for (const metric of metrics) {
+    if (thresholds[metric] !== undefined) budgets[metric] = thresholds[metric];
+  }
+
+  return { ...budgets, ...step.budgets };
+}
+
+// A metric the browser did not report (e.g. LCP in Firefox, FID without input) is
+// listed with `passed: null` instead of failing the budget
+function checkBudgets(metrics, budgets) {
+  return Object.entries(budgets).map(([metric, budget]) => {
+    const value = metrics[metric];
+
+    if (value === null || value === undefined) {
+      return { metric, value: null, budget, passed: null };
+    }
+
+    return { metric, value, budget, passed: value <= budget };
+  });
+}
+
+function formatMetric(metric, value) {
+  return `${value}${METRIC_UNITS[metric] ?? 'ms'}`;
+}
+
+async function measurePerformance(page, step, performanceConfig) {
+  if (step.settle) {
+    await page.waitForTimeout(step.settle);
+  }
+
+  const metrics = await page.evaluate(collectPageMetrics);
+  const budgets = checkBudgets(metrics, resolveBudgets(performanceConfig, step));
+
+  for (const { metric, value, budget } of budgets) {
+    if (value === null) {
+      logger.debug(`⚡ ${metric} was not reported by the browser`);
+      continue;
+    }
+
+    logger.performance(metric, value, budget, METRIC_UNITS[metric] ?? 'ms');
+  }
+
+  return { url: metrics.url, metrics, budgets, timestamp: new Date().toISOString() };
+}
+
+// Performance measurements per test, oldest first, for plotting across runs
+function performanceHistory(results) {
+  const history = {};
+
+  for (const result of results) {
+    for (const measurement of result.performance || []) {
+      const key = result.id;
+      history[key] = history[key] || [];
+      history[key].push({
+        name: result.name,
+        browser: result.browser,
+        status: result.status,
+        timestamp: measurement.timestamp,
+        metrics: measurement.metrics
+      });
+    }
+  }
+
+  for (const entries of Object.values(history)) {
+    entries.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  return history;
+}
+
+module.exports = {
+  METRIC_UNITS,
+  collectPageMetrics,
+  resolveBudgets,
+  checkBudgets,
+  formatMetric,
+  measurePerformance,
+  performanceHistory
+};
@@ -0,0 +1,143 @@
+const path = require('path');
+const logger = require('../utils/logger');
+
+const KINDS = {
+  action: 'actions',
+  assertion: 'assertions',
+  apiStep: 'apiSteps',
+  reporter: 'reporters'
+};
+
+// Registry of named extensions: UI actions, UI assertion targets, API step
+// types and reporters. Suites refer to them by name; looking up a name that
+// was never registered throws instead of silently doing nothing.
+class PluginRegistry {
+  constructor() {
+    this.actions = new Map();
+    this.assertions = new Map();
+    this.apiSteps = new Map();
+    this.reporters = new Map();
+    this.plugins = [];
+  }
+
+  // handler(page, params, context) => value; `schema` is an optional Joi schema for the step
+  registerAction(name, handler, options = {}) {
+    this.register('action', name, { handler, schema: options.schema });
+    return this;
+  }
+
+  // target: { label, requires, defaultExpected, read(page, assertion, context) }
+  registerAssertion(name, target) {
+    if (!target || typeof target.read !== 'function') {
+      throw new Error(`Assertion "${name}" must provide a read(page, assertion) function`);
+    }
+
+    this.register('assertion', name, { label: name, ...target });
+    return this;
+  }
+
+  // handler(step, testContext, apiTester) => partial step result
+  registerAPIStep(name, handler) {
+    this.register('apiStep', name, handler);
+    return this;
+  }
+
+  // reporter: { onTestComplete?(result), onSuiteComplete?(suiteResults) }
+  registerReporter(name, reporter) {
+    this.register('reporter', name, reporter);
+    return this;
+  }
+
+  register(kind, name, value) {
+    const store = this[KINDS[kind]];
+
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error(`A ${kind} must be registered under a non-empty name`);
+    }
+
+    if (!value || (kind !== 'assertion' && kind !== 'reporter' && typeof (value.handler || value) !== 'function')) {
+      throw new Error(`Invalid ${kind} "${name}": expected a handler function`);
+    }
+
+    if (store.has(name)) {
+      logger.warn(`🔌 Overriding ${kind} "${name}"`);
+    }
+
+    store.set(name, value);
+  }
+
+  get(kind, name) {
+    const store = this[KINDS[kind]];
+
+    if (!store.has(name)) {
+      const known = Array.from(store.keys()).join(', ') || 'none';
+      throw new Error(`Unknown ${kind}: "${name}" (registered: ${known})`);
+    }
+
+    return store.get(name);
+  }
+
+  has(kind, name) {
+    return this[KINDS[kind]].has(name);
+  }
+
+  getAction(name) {
+    return this.get('action', name);
+  }
+
+  getAssertion(name) {
+    return this.get('assertion', name);
+  }
+
+  getAPIStep(name) {
+    return this.get('apiStep', name);
+  }
+
+  getReporter(name) {
+    return this.get('reporter', name);
+  }
+
+  // A plugin is a function `(registry, config) => void` or an object with
+  // `register(registry, config)`; an optional `name` is used in logs.
+  use(plugin, config = {}) {
+    const register = typeof plugin === 'function' ? plugin : plugin && plugin.register;
+
+    if (typeof register !== 'function') {
+      throw new Error('Plugin must be a function or expose a register(registry, config) function');
+    }
+
+    register.call(plugin, this, config);
+
+    const name = plugin.pluginName || plugin.name || 'anonymous';
+    this.plugins.push(name);
+    logger.info(`🔌 Plugin loaded: ${name}`);
+    return this;
+  }
+
+  // Forgets every registration, so that changed plugins can be loaded again (test --watch)
+  clear() {
+    for (const store of Object.values(KINDS)) {
+      this[store].clear();
+    }
+    this.plugins = [];
+  }
+
+  // Loads plugins from module paths (relative to the working directory) or package names
+  load(pluginPaths = [], config = {}) {
+    for (const pluginPath of pluginPaths) {
+      const resolved = pluginPath.startsWith('.') || path.isAbsolute(pluginPath)
+        ? path.resolve(pluginPath)
+        : pluginPath;
+
+      try {
+        this.use(require(resolved), config);
+      } catch (error) {
+        throw new Error(`Failed to load plugin "${pluginPath}": ${error.message}`);
+      }
+    }
+
+    return this;
+  }
+}
+
+module.exports = { PluginRegistry };
@@ -0,0 +1,108 @@
+const PRIORITY_ORDER = {
+  critical: 0,
+  high: 1,
+  medium: 2,
+  low: 3
+};
+
+const DEFAULT_PRIORITY = 'medium';
+
+class TestScheduler {
+  constructor(options = {}) {
+    this.maxConcurrency = options.parallel === false ? 1 : Math.max(1, options.maxConcurrency || 1);
+    this.maxConcurrencyPerBrowser = options.maxConcurrencyPerBrowser;
+    this.running = new Map();
+    this.active = 0;
+  }
+
+  getPriorityRank(test = {}) {
+    const rank = PRIORITY_ORDER[test.priority];
+    return rank !== undefined ? rank : PRIORITY_ORDER[DEFAULT_PRIORITY];
+  }
+
+  sortByPriority(jobs) {
+    // Array.prototype.sort is stable, so jobs of equal priority keep their declared order
+    return jobs
+      .map((job, index) => ({ job, index }))
+      .sort((a, b) => this.getPriorityRank(a.job.test) - this.getPriorityRank(b.job.test) || a.index - b.index);
+  }
+
+  // Like the global limit, a per-browser limit below 1 still lets one test run
+  getBrowserLimit(browserType) {
+    const limit = this.maxConcurrencyPerBrowser;
+
+    if (typeof limit === 'number') {
+      return Math.max(1, limit);
+    }
+
+    if (limit && typeof limit === 'object' && typeof limit[browserType] === 'number') {
+      return Math.max(1, limit[browserType]);
+    }
+
+    return Infinity;
+  }
+
+  hasBrowserSlot(browserType) {
+    return (this.running.get(browserType) || 0) < this.getBrowserLimit(browserType);
+  }
+
+  // A job with `waitFor` (indexes of other jobs) only starts once those jobs have settled
+  isReady(job, results) {
+    return (job.waitFor || []).every(index => results[index] !== undefined);
+  }
+
+  // Runs every job through `worker(job, prerequisites)`, never exceeding the global or
+  // per-browser limits; `prerequisites` holds the settled results of `job.waitFor`.
+  // Resolves with Promise.allSettled-style entries in the order the jobs were given.
+  run(jobs, worker) {
+    const pending = this.sortByPriority(jobs);
+    const results = new Array(jobs.length);
+    let completed = 0;
+
+    return new Promise((resolve) => {
+      const dispatch = () => {
+        if (completed === jobs.length) {
+          resolve(results);
+          return;
+        }
+
+        let i = 0;
+        while (i < pending.length && this.active < this.maxConcurrency) {
+          const entry = pending[i];
+
+          if (!this.hasBrowserSlot(entry.job.browserType) || !this.isReady(entry.job, results)) {
+            i++;
+            continue;
+          }
+
+          pending.splice(i, 1);
+          start(entry);
+        }
+      };
+
+      const start = ({ job, index }) => {
+        this.active++;
+        this.running.set(job.browserType, (this.running.get(job.browserType) || 0) + 1);
+
+        const prerequisites = (job.waitFor || []).map(waitIndex => ({ job: jobs[waitIndex], result: results[waitIndex] }));
+
+        Promise.resolve()
+          .then(() => worker(job, prerequisites))
+          .then(
+            (value) => { results[index] = { status: 'fulfilled', value }; },
+            (reason) => { results[index] = { status: 'rejected', reason }; }
+          )
+          .finally(() => {
+            this.active--;
+            this.running.set(job.browserType, this.running.get(job.browserType) - 1);
+            completed++;
+            dispatch();
+          });
+      };
+
+      dispatch();
+    });
+  }
+}
+
+module.exports = { TestScheduler, PRIORITY_ORDER };
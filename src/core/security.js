@@ -0,0 +1,434 @@
+const logger = require('../utils/logger');
+
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+// Every finding the checks can report. A finding is suppressed by its id
+// ("cookie-missing-httponly") or by its id and target ("cookie-missing-httponly:theme").
+const FINDINGS = {
+  'insecure-transport': { severity: 'high', title: 'Page or endpoint is served over plain HTTP' },
+  'missing-hsts': { severity: 'medium', title: 'Strict-Transport-Security header is missing' },
+  'weak-hsts': { severity: 'low', title: 'Strict-Transport-Security max-age is below 180 days' },
+  'missing-x-content-type-options': { severity: 'medium', title: 'X-Content-Type-Options is not "nosniff"' },
+  'missing-frame-options': { severity: 'medium', title: 'Neither X-Frame-Options nor CSP frame-ancestors prevents framing' },
+  'cookie-missing-secure': { severity: 'medium', title: 'Cookie is sent without the Secure flag' },
+  'cookie-missing-httponly': { severity: 'medium', title: 'Cookie is readable from JavaScript (no HttpOnly flag)' },
+  'cookie-missing-samesite': { severity: 'low', title: 'Cookie has no SameSite attribute, or SameSite=None without Secure' },
+  'missing-csp': { severity: 'medium', title: 'No Content-Security-Policy' },
+  'csp-report-only': { severity: 'low', title: 'Content-Security-Policy is only report-only' },
+  'csp-unsafe-inline': { severity: 'high', title: "CSP allows 'unsafe-inline' scripts without a nonce or hash" },
+  'csp-unsafe-eval': { severity: 'medium', title: "CSP allows 'unsafe-eval'" },
+  'csp-wildcard-source': { severity: 'medium', title: 'CSP allows scripts from any host or scheme' },
+  'csp-missing-object-src': { severity: 'low', title: "CSP does not restrict object-src to 'none'" },
+  'csp-missing-base-uri': { severity: 'low', title: 'CSP does not restrict base-uri' },
+  'mixed-content': { severity: 'high', title: 'HTTPS page loads active content over HTTP' },
+  'mixed-content-passive': { severity: 'low', title: 'HTTPS page loads images or media over HTTP' },
+  'reflected-xss': { severity: 'critical', title: 'Probe payload is rendered unescaped in the DOM' }
+};
+
+const CSP_PENALTIES = { info: 0, low: 10, medium: 20, high: 40, critical: 60 };
+const ACTIVE_RESOURCE_TYPES = ['script', 'stylesheet', 'xhr', 'fetch', 'websocket', 'eventsource', 'document', 'font'];
+const XSS_MARKER = 'data-smartqa-xss';
+
+const DEFAULT_SETTINGS = {
+  scanHeaders: true,
+  checkSSL: true,
+  detectXSS: true,
+  checkCSP: true,
+  failOn: 'medium',
+  ignore: []
+};
+
+// Global config.security first, then the step's or assertion's own settings
+function resolveSecurity(...sources) {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const source of sources) {
+    if (!source) continue;
+
+    for (const [key, value] of Object.entries(source)) {
+      if (value !== undefined) settings[key] = value;
+    }
+  }
+
+  if (!SEVERITIES.includes(settings.failOn)) {
+    throw new Error(`Invalid security failOn "${settings.failOn}" (expected one of ${SEVERITIES.join(', ')})`);
+  }
+
+  return settings;
+}
+
+function finding(id, details = {}) {
+  return { id, ...FINDINGS[id], ...details };
+}
+
+// Lower-cased header names; Set-Cookie stays a list
+function normalizeHeaders(headers = {}) {
+  const entries = Array.isArray(headers) ? headers.map(({ name, value }) => [name, value]) : Object.entries(headers);
+  const normalized = { 'set-cookie': [] };
+
+  for (const [name, value] of entries) {
+    const key = name.toLowerCase();
+
+    if (key === 'set-cookie') {
+      normalized[key].push(...(Array.isArray(value) ? value : String(value).split('\n')));
+    } else {
+      normalized[key] = normalized[key] !== undefined ? `${normalized[key]}, ${value}` : String(value);
+    }
+  }
+
+  return normalized;
+}
+
+function isHttps(url) {
+  return /^https:/i.test(url);
+}
+
+function checkTransport(url) {
+  return /^http:/i.test(url) && !/^http:\/\/(localhost|127\.0\.0\.1|\[::1\])[:/]/i.test(url)
+    ? [finding('insecure-transport', { target: url })]
+    : [];
+}
+
+// HSTS, X-Content-Type-Options and, for HTML documents, framing protection
+function checkHeaders(url, headers, { html = true } = {}) {
+  const findings = [];
+
+  if (isHttps(url)) {
+    const hsts = headers['strict-transport-security'];
+    const maxAge = hsts && Number((/max-age=(\d+)/i.exec(hsts) || [])[1]);
+
+    if (!hsts) {
+      findings.push(finding('missing-hsts'));
+    } else if (!(maxAge >= 15552000)) {
+      findings.push(finding('weak-hsts', { evidence: hsts }));
+    }
+  }
+
+  if ((headers['x-content-type-options'] || '').toLowerCase() !== 'nosniff') {
+    findings.push(finding('missing-x-content-type-options', { evidence: headers['x-content-type-options'] }));
+  }
+
+  if (html) {
+    const frameOptions = (headers['x-frame-options'] || '').toUpperCase();
+    const frameAncestors = parseCsp(headers['content-security-policy'])['frame-ancestors'];
+
+    if (!['DENY', 'SAMEORIGIN'].includes(frameOptions) && !frameAncestors) {
+      findings.push(finding('missing-frame-options', { evidence: headers['x-frame-options'] }));
+    }
+  }
+
+  return findings;
+}
+
+function parseSetCookie(header) {
+  const [pair, ...attributes] = header.split(';').map(part => part.trim());
+  const cookie = { name: pair.split('=')[0], secure: false, httpOnly: false, sameSite: undefined };
+
+  for (const attribute of attributes) {
+    const [key, value] = attribute.split('=');
+    const name = key.toLowerCase();
+
+    if (name === 'secure') cookie.secure = true;
+    if (name === 'httponly') cookie.httpOnly = true;
+    if (name === 'samesite') cookie.sameSite = value && value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+  }
+
+  return cookie;
+}
+
+// `cookies` are Playwright cookie objects or parsed Set-Cookie headers
+function checkCookies(url, cookies) {
+  const findings = [];
+
+  for (const cookie of cookies) {
+    if (isHttps(url) && !cookie.secure) {
+      findings.push(finding('cookie-missing-secure', { target: cookie.name }));
+    }
+
+    if (!cookie.httpOnly) {
+      findings.push(finding('cookie-missing-httponly', { target: cookie.name }));
+    }
+
+    if (!cookie.sameSite || (cookie.sameSite === 'None' && !cookie.secure)) {
+      findings.push(finding('cookie-missing-samesite', { target: cookie.name, evidence: cookie.sameSite }));
+    }
+  }
+
+  return findings;
+}
+
+// "default-src 'self'; script-src 'self' cdn.example.com" => { 'default-src': ["'self'"], ... }
+function parseCsp(policy) {
+  const directives = {};
+
+  for (const part of String(policy || '').split(';')) {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (name && directives[name.toLowerCase()] === undefined) {
+      directives[name.toLowerCase()] = sources;
+    }
+  }
+
+  return directives;
+}
+
+// Grades a policy from A to F by the weaknesses it leaves open
+function gradeCsp(policy, { reportOnly } = {}) {
+  if (!policy) {
+    const findings = [finding(reportOnly ? 'csp-report-only' : 'missing-csp')];
+    return { policy: reportOnly, directives: parseCsp(reportOnly), score: 0, grade: 'F', findings };
+  }
+
+  const directives = parseCsp(policy);
+  const scriptSources = directives['script-src'] || directives['default-src'] || null;
+  const findings = [];
+
+  if (!scriptSources) {
+    findings.push(finding('csp-wildcard-source', { evidence: 'no script-src or default-src' }));
+  } else {
+    const hasNonceOrHash = scriptSources.some(source => /^'(nonce|sha256|sha384|sha512)-/.test(source));
+
+    if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash && !scriptSources.includes("'strict-dynamic'")) {
+      findings.push(finding('csp-unsafe-inline'));
+    }
+
+    if (scriptSources.includes("'unsafe-eval'")) {
+      findings.push(finding('csp-unsafe-eval'));
+    }
+
+    const wildcard = scriptSources.find(source => ['*', 'http:', 'https:', 'data:'].includes(source));
+    if (wildcard) {
+      findings.push(finding('csp-wildcard-source', { evidence: `script-src ${wildcard}` }));
+    }
+  }
+
+  const objectSources = directives['object-src'] || directives['default-src'] || [];
+  if (!objectSources.includes("'none'")) {
+    findings.push(finding('csp-missing-object-src'));
+  }
+
+  if (!directives['base-uri']) {
+    findings.push(finding('csp-missing-base-uri'));
+  }
+
+  const score = Math.max(0, 100 - findings.reduce((sum, { severity }) => sum + CSP_PENALTIES[severity], 0));
+  const grade = score >= 90 ? 'A' : score >= 80 ? 'B' : score >= 70 ? 'C' : score >= 60 ? 'D' : 'F';
+
+  return { policy, directives, score, grade, findings };
+}
+
+// `resources` are { url, resourceType } of requests made by, or elements on, an HTTPS page
+function checkMixedContent(pageUrl, resources) {
+  if (!isHttps(pageUrl)) return [];
+
+  const seen = new Set();
+  return resources
+    .filter(({ url }) => /^http:/i.test(url))
+    .filter(({ url }) => !seen.has(url) && seen.add(url))
+    .map(({ url, resourceType }) => finding(
+      ACTIVE_RESOURCE_TYPES.includes(resourceType) ? 'mixed-content' : 'mixed-content-passive',
+      { target: url, evidence: resourceType }
+    ));
+}
+
+// Suppressed findings are kept apart; `failing` are the rest at or above failOn
+function applySettings(findings, settings) {
+  const ignored = settings.ignore || [];
+  const isIgnored = ({ id, target }) => ignored.includes(id) || (target !== undefined && ignored.includes(`${id}:${target}`));
+  const active = findings.filter(item => !isIgnored(item));
+  const threshold = SEVERITIES.indexOf(settings.failOn);
+
+  return {
+    findings: active,
+    suppressed: findings.filter(isIgnored),
+    failing: active.filter(({ severity }) => SEVERITIES.indexOf(severity) >= threshold)
+  };
+}
+
+function summarizeFindings(findings) {
+  return findings.map(({ id, target }) => (target !== undefined ? `${id} (${target})` : id)).join(', ');
+}
+
+// Security headers, cookies and CSP of one HTTP response (e.g. an API response)
+function auditResponse(url, rawHeaders, settings) {
+  if (settings.enabled === false) {
+    return { url, disabled: true, ...applySettings([], settings) };
+  }
+
+  const headers = normalizeHeaders(rawHeaders);
+  const html = /text\/html/i.test(headers['content-type'] || '');
+  const findings = [];
+  let csp;
+
+  if (settings.checkSSL) {
+    findings.push(...checkTransport(url));
+  }
+
+  if (settings.scanHeaders) {
+    findings.push(...checkHeaders(url, headers, { html }));
+    findings.push(...checkCookies(url, headers['set-cookie'].map(parseSetCookie)));
+  }
+
+  // A policy only matters for documents a browser renders
+  if (settings.checkCSP && html) {
+    csp = gradeCsp(headers['content-security-policy'], { reportOnly: headers['content-security-policy-report-only'] });
+    findings.push(...csp.findings);
+  }
+
+  return { url, csp: csp && { grade: csp.grade, score: csp.score, directives: csp.directives }, ...applySettings(findings, settings) };
+}
+
+// Sends a marker payload into query parameters and reports the ones that come back
+// as markup. Forms are only filled and submitted when asked for (`forms: true` for
+// every form, or a list of selectors). The page is reloaded afterwards, but only if
+// something was probed, so an untouched page keeps its in-page state.
+async function probeXss(page, options = {}) {
+  const original = page.url();
+  const token = Math.random().toString(36).slice(2, 10);
+  const payload = `'"><svg ${XSS_MARKER}="${token}"></svg>`;
+  const findings = [];
+  let changed = false;
+
+  const restore = async () => {
+    if (!changed) return;
+    await page.goto(original);
+    changed = false;
+  };
+
+  const isReflected = async () => {
+    await page.waitForLoadState('load').catch(() => {});
+    return page.evaluate(([marker, value]) => document.querySelector(`[${marker}="${value}"]`) !== null, [XSS_MARKER, token])
+      .catch(() => false);
+  };
+
+  const params = options.params || Array.from(new URL(original).searchParams.keys());
+  for (const param of params) {
+    const target = new URL(original);
+    target.searchParams.set(param, payload);
+    changed = true;
+    await page.goto(target.href);
+
+    if (await isReflected()) {
+      findings.push(finding('reflected-xss', { target: `param:${param}`, evidence: target.href }));
+    }
+  }
+
+  await restore();
+  const forms = options.forms === true
+    ? Array.from({ length: await page.evaluate(() => document.forms.length) }, (_, index) => index)
+    : options.forms || [];
+
+  for (const form of forms) {
+    await restore();
+
+    const submitted = await page.evaluate(([selector, value]) => {
+      const element = typeof selector === 'number' ? document.forms[selector] : document.querySelector(selector);
+      if (!element) return null;
+
+      const fields = Array.from(element.elements).filter(field =>
+        field.matches('textarea, input:not([type]), input[type="text"], input[type="search"], input[type="url"], input[type="tel"]'));
+      if (fields.length === 0) return null;
+
+      for (const field of fields) {
+        field.value = value;
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+
+      // Skip constraint validation so the payload reaches the server or the submit handler
+      element.noValidate = true;
+      if (element.requestSubmit) element.requestSubmit();
+      else element.submit();
+
+      return {
+        name: element.id || element.getAttribute('name') || (typeof selector === 'number' ? `form ${selector + 1}` : selector),
+        fields: fields.map(field => field.name || field.id)
+      };
+    }, [form, payload]).catch(() => null);
+
+    if (!submitted) continue;
+
+    changed = true;
+    await page.waitForTimeout(300);
+    if (await isReflected()) {
+      findings.push(finding('reflected-xss', { target: `form:${submitted.name}`, evidence: submitted.fields.join(', ') }));
+    }
+  }
+
+  await restore();
+  return findings;
+}
+
+// Elements on the page that load from plain HTTP, including ones the browser blocked
+function collectInsecureElements() {
+  const types = { SCRIPT: 'script', LINK: 'stylesheet', IFRAME: 'document', IMG: 'image', AUDIO: 'media', VIDEO: 'media', SOURCE: 'media', FORM: 'document' };
+
+  return Array.from(document.querySelectorAll('script[src], link[rel="stylesheet"][href], iframe[src], img[src], audio[src], video[src], source[src], form[action]'))
+    .map(element => ({ url: element.src || element.href || element.action, resourceType: types[element.tagName] }))
+    .filter(({ url }) => /^http:/i.test(url || ''));
+}
+
+// Audits the page the test is on: the current document's response headers and
+// cookies, its CSP (header or <meta>), mixed content and reflected XSS
+async function auditPage(page, network, settings, environment = {}) {
+  const url = page.url();
+  const findings = [];
+  let csp;
+
+  if (settings.enabled === false) {
+    logger.info('🔒 Security checks are disabled (security.enabled is false)');
+    return { url, disabled: true, ...applySettings([], settings) };
+  }
+
+  const probesForms = settings.detectXSS && settings.xss && settings.xss.forms && settings.xss.forms.length !== 0;
+  if (probesForms && environment.readOnly) {
+    throw new Error(`XSS form probing submits forms and is not allowed in read-only environment "${environment.name}"`);
+  }
+
+  // The document is fetched again with the context's cookies to read its headers
+  const response = await page.request.get(url, { failOnStatusCode: false });
+  const headers = normalizeHeaders(response.headersArray());
+
+  if (settings.checkSSL) {
+    findings.push(...checkTransport(url));
+
+    const requested = network ? network.requests : [];
+    const elements = await page.evaluate(collectInsecureElements);
+    findings.push(...checkMixedContent(url, [...requested, ...elements]));
+  }
+
+  if (settings.scanHeaders) {
+    findings.push(...checkHeaders(url, headers, { html: true }));
+    findings.push(...checkCookies(url, await page.context().cookies(url)));
+  }
+
+  if (settings.checkCSP) {
+    const metaPolicy = await page.evaluate(() =>
+      document.querySelector('meta[http-equiv="Content-Security-Policy" i]')?.getAttribute('content') || null);
+    csp = gradeCsp(headers['content-security-policy'] || metaPolicy, { reportOnly: headers['content-security-policy-report-only'] });
+    findings.push(...csp.findings);
+  }
+
+  if (settings.detectXSS && settings.xss !== false) {
+    findings.push(...await probeXss(page, settings.xss || {}));
+  }
+
+  const report = { url, csp: csp && { grade: csp.grade, score: csp.score, directives: csp.directives }, ...applySettings(findings, settings) };
+  logger.info(`🔒 Security audit of ${url}: ${report.findings.length} finding(s), ${report.failing.length} at or above ${settings.failOn}${csp ? `, CSP grade ${csp.grade}` : ''}`);
+  return report;
+}
+
+module.exports = {
+  SEVERITIES,
+  FINDINGS,
+  resolveSecurity,
+  normalizeHeaders,
+  parseSetCookie,
+  parseCsp,
+  gradeCsp,
+  checkHeaders,
+  checkCookies,
+  checkMixedContent,
+  applySettings,
+  summarizeFindings,
+  auditResponse,
+  auditPage
+};
@@ -0,0 +1,116 @@
+const { toUrlMatcher } = require('./steps');
+
+const DEFAULT_PRIORITY = 'medium';
+
+// CLI values may be repeated or comma-separated: --tag smoke --tag !slow, --priority high,critical
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : [item]))
+    .map(item => (typeof item === 'string' ? item.trim() : item))
+    .filter(item => item !== '');
+}
+
+function normalizeSelection(options = {}) {
+  const tags = toList(options.tags || options.tag);
+
+  return {
+    grep: toList(options.grep).map(pattern => {
+      const matcher = pattern instanceof RegExp ? pattern : toUrlMatcher(pattern);
+      return matcher instanceof RegExp ? matcher : new RegExp(matcher.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }),
+    includeTags: tags.filter(tag => !tag.startsWith('!')),
+    excludeTags: tags.filter(tag => tag.startsWith('!')).map(tag => tag.slice(1)),
+    priorities: toList(options.priority),
+    types: toList(options.type),
+    only: toList(options.only)
+  };
+}
+
+// True when a --type filter asks for a whole section (ui, visual or api)
+function selectsKind(selection, kind) {
+  return selection.types.includes(kind);
+}
+
+// Why a test is filtered out, or null when it should run. `kind` is the suite
+// section (ui, visual, api); `focused` is set when some test in the suite has `only`.
+function getSkipReason(test, selection, { kind, focused }) {
+  if (test.skip) {
+    return typeof test.skip === 'string' ? test.skip : 'Marked skip in suite';
+  }
+
+  if (focused && !test.only) {
+    return 'Another test in the suite is marked only';
+  }
+
+  if (selection.only.length > 0 && !selection.only.includes(test.id)) {
+    return `Not selected by --only ${selection.only.join(',')}`;
+  }
+
+  const label = `${test.id || ''} ${test.name || ''}`;
+  if (selection.grep.length > 0 && !selection.grep.some(pattern => pattern.test(label))) {
+    return `Does not match --grep ${selection.grep.map(String).join(', ')}`;
+  }
+
+  const tags = test.tags || [];
+  const excluded = selection.excludeTags.find(tag => tags.includes(tag));
+  if (excluded) {
+    return `Excluded by --tag !${excluded}`;
+  }
+
+  if (selection.includeTags.length > 0 && !selection.includeTags.some(tag => tags.includes(tag))) {
+    return `Has none of the tags ${selection.includeTags.join(', ')}`;
+  }
+
+  const priority = test.priority || DEFAULT_PRIORITY;
+  if (selection.priorities.length > 0 && !selection.priorities.includes(priority)) {
+    return `Priority ${priority} not selected (${selection.priorities.join(', ')})`;
+  }
+
+  if (selection.types.length > 0 && !selection.types.includes(kind) && !selection.types.includes(test.type)) {
+    return `Type ${test.type || kind} not selected (${selection.types.join(', ')})`;
+  }
+
+  return null;
+}
+
+// Splits each suite section into the tests to run and the skipped ones, with a reason.
+// `only` flags focus the whole suite, not just their own section.
+function selectTests(sections, options = {}) {
+  const selection = normalizeSelection(options);
+  const focused = Object.values(sections).some(tests => tests.some(test => test.only));
+  const selected = {};
+
+  for (const [kind, tests] of Object.entries(sections)) {
+    selected[kind] = { run: [], skipped: [] };
+
+    for (const test of tests) {
+      const reason = getSkipReason(test, selection, { kind, focused });
+      if (reason) {
+        selected[kind].skipped.push({ test, reason });
+      } else {
+        selected[kind].run.push(test);
+      }
+    }
+  }
+
+  return selected;
+}
+
+function createSkippedResult(test, reason, kind, environment) {
+  const now = new Date().toISOString();
+
+  return {
+    id: test.id,
+    name: test.name,
+    type: kind === 'ui' ? undefined : kind,
+    environment: environment?.name,
+    status: 'skipped',
+    reason,
+    startTime: now,
+    endTime: now,
+    steps: []
+  };
+}
+
+module.exports = { normalizeSelection, selectsKind, getSkipReason, selectTests, createSkippedResult };
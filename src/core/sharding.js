@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const { summarizeResults } = require('./summary');
+const { summarizeDimensions } = require('./emulation');
+
+const SHARD_PATTERN = /^(\d+)\/(\d+)$/;
+
+// "2/4" => { index: 2, total: 4 }
+function parseShard(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+
+  const match = SHARD_PATTERN.exec(String(value).trim());
+  const index = match ? Number(match[1]) : NaN;
+  const total = match ? Number(match[2]) : NaN;
+
+  if (!match || index < 1 || index > total) {
+    throw new Error(`Invalid shard "${value}": expected N/M with 1 <= N <= M`);
+  }
+
+  return { index, total };
+}
+
+function shardFileName(suiteId, shard) {
+  return shard ? `${suiteId}.shard-${shard.index}-of-${shard.total}.json` : `${suiteId}.json`;
+}
+
+function resultKind(result) {
+  return result.type === 'api' || result.type === 'visual' ? result.type : 'ui';
+}
+
+// Dataset rows ("id[2]") and matrix combinations ("id@mobile/de-DE") belong to the declared test
+function baseTestId(id) {
+  return String(id).replace(/@[^@]*$/, '').replace(/\[\d+\]$/, '');
+}
+
+function resultDuration(result) {
+  const start = Date.parse(result.attempts?.[0]?.startTime || result.startTime);
+  const end = Date.parse(result.endTime);
+  return Number.isFinite(start) && Number.isFinite(end) ? Math.max(0, end - start) : null;
+}
+
+// Duration of every declared test in a shared results file, keyed "kind:id". Rows,
+// browsers and matrix combinations of a test add up. The file is passed explicitly
+// (--durations), so every shard machine balances with the same numbers.
+async function loadDurations(file) {
+  let results;
+  try {
+    results = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read shard durations from ${file}: ${error.message}`);
+  }
+
+  const durations = new Map();
+
+  for (const result of results.tests || []) {
+    const duration = result.status === 'skipped' || result.type === 'hook' ? null : resultDuration(result);
+    if (duration === null || result.id === undefined) continue;
+
+    const key = `${resultKind(result)}:${baseTestId(result.id)}`;
+    durations.set(key, (durations.get(key) || 0) + duration);
+  }
+
+  return durations;
+}
+
+// Assigns entries ({ key, group? }) to shards, heaviest first, each to the least loaded
+// shard. The result depends only on the entries, the shard and the durations, never on
+// the order the entries come in. Entries sharing a `group` always land on the same shard.
+// Without durations every test weighs the same, which splits by count. Tests missing
+// from the durations weigh the average known duration.
+function partitionTests(entries, shard, durations = new Map()) {
+  const byKey = (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+  const sorted = [...entries].sort(byKey);
+  const known = sorted.map(entry => durations.get(entry.key)).filter(duration => duration !== undefined);
+  const balancedBy = known.length > 0 ? 'duration' : 'count';
+  const fallback = known.length > 0 ? known.reduce((sum, duration) => sum + duration, 0) / known.length : 1;
+
+  const groups = new Map();
+  for (const entry of sorted) {
+    const key = entry.group || entry.key;
+    const group = groups.get(key) || { key, entries: [], weight: 0 };
+    group.entries.push(entry);
+    group.weight += balancedBy === 'duration' ? (durations.get(entry.key) ?? fallback) : 1;
+    groups.set(key, group);
+  }
+
+  const weighted = Array.from(groups.values())
+    .sort((a, b) => b.weight - a.weight || byKey(a, b));
+
+  const loads = new Array(shard.total).fill(0);
+  const selected = [];
+
+  for (const group of weighted) {
+    const target = loads.indexOf(Math.min(...loads));
+    loads[target] += group.weight;
+
+    if (target === shard.index - 1) {
+      selected.push(...group.entries);
+    }
+  }
+
+  return { selected, balancedBy, loads };
+}
+
+// Combines per-shard result files of one suite into one result set with recomputed
+// totals. Results of other suites, other shard counts or the same shard twice would
+// count tests twice or not at all, so they fail the merge.
+function mergeResults(resultSets) {
+  const tests = resultSets.flatMap(results => results.tests || []);
+  const shards = resultSets.map(results => results.shard).filter(Boolean);
+
+  for (const field of ['suiteId', 'suite']) {
+    const suites = Array.from(new Set(resultSets.map(results => results[field]).filter(Boolean)));
+    if (suites.length > 1) {
+      throw new Error(`Cannot merge results of different suites: ${suites.join(', ')}`);
+    }
+  }
+
+  if (shards.length > 0) {
+    const totals = Array.from(new Set(shards.map(shard => shard.total)));
+    if (totals.length > 1 || shards.length < resultSets.length) {
+      const counts = resultSets.map(results => (results.shard ? `${results.shard.total} shards` : 'unsharded'));
+      throw new Error(`Cannot merge results of different shard counts: ${Array.from(new Set(counts)).join(', ')}`);
+    }
+
+    const total = totals[0];
+    const present = new Set();
+    for (const shard of shards) {
+      if (present.has(shard.index)) {
+        throw new Error(`Shard ${shard.index}/${total} appears more than once`);
+      }
+      present.add(shard.index);
+    }
+
+    const missing = [];
+    for (let index = 1; index <= total; index++) {
+      if (!present.has(index)) missing.push(`${index}/${total}`);
+    }
+
+    if (missing.length > 0) {
+      logger.warn(`⚠️ Merging without shard(s): ${missing.join(', ')}`);
+    }
+  }
+
+  return {
+    suite: resultSets[0]?.suite,
+    suiteId: resultSets[0]?.suiteId,
+    environment: resultSets[0]?.environment,
+    timestamp: new Date().toISOString(),
+    mergedFrom: resultSets.map(results => (results.shard ? `${results.shard.index}/${results.shard.total}` : results.suite)),
+    tests,
+    loadErrors: resultSets.flatMap(results => results.loadErrors || [])
+      .filter((error, index, all) => all.findIndex(other => other.file === error.file) === index),
+    summary: summarizeResults(tests),
+    dimensions: summarizeDimensions(tests)
+  };
+}
+
+module.exports = { parseShard, shardFileName, baseTestId, loadDurations, partitionTests, mergeResults };
@@ -0,0 +1,218 @@
+const Joi = require('joi');
+
+const selector = Joi.string().min(1);
+const waitUntil = Joi.string().valid('load', 'domcontentloaded', 'networkidle', 'commit');
+const stringOrList = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1));
+const status = Joi.number().integer().min(100).max(599);
+const routeFields = {
+  url: Joi.string().required(),
+  method: stringOrList,
+  delay: Joi.number().min(0),
+  times: Joi.number().integer().min(1)
+};
+
+// Parameter schemas for every UI step action. Common step fields such as
+// `name` or `continueOnFailure` are allowed through `unknown(true)`.
+const STEP_SCHEMAS = {
+  navigate: Joi.object({
+    url: Joi.string().required(),
+    waitUntil
+  }),
+
+  click: Joi.object({
+    selector: selector.required(),
+    options: Joi.object()
+  }),
+
+  fill: Joi.object({
+    selector: selector.required(),
+    value: Joi.alternatives().try(Joi.string().allow(''), Joi.number()).required()
+  }),
+
+  type: Joi.object({
+    selector: selector.required(),
+    text: Joi.alternatives().try(Joi.string().allow(''), Joi.number()).required(),
+    options: Joi.object()
+  }),
+
+  wait: Joi.object({
+    selector,
+    timeout: Joi.number().min(0),
+    options: Joi.object()
+  }),
+
+  screenshot: Joi.object({
+    options: Joi.object()
+  }),
+
+  assert: Joi.object({
+    type: Joi.string(),
+    operator: Joi.string(),
+    not: Joi.boolean(),
+    timeout: Joi.number().min(0),
+    soft: Joi.boolean(),
+    assertions: Joi.array().items(Joi.object({ type: Joi.string().required() }).unknown(true)).min(1)
+  }).xor('type', 'assertions'),
+
+  custom: Joi.object({
+    handler: Joi.alternatives().try(Joi.func(), Joi.string()).required(),
+    params: Joi.any(),
+    saveAs: Joi.string()
+  }),
+
+  select: Joi.object({
+    selector: selector.required(),
+    value: stringOrList,
+    label: stringOrList
+  }).xor('value', 'label'),
+
+  check: Joi.object({
+    selector: selector.required()
+  }),
+
+  uncheck: Joi.object({
+    selector: selector.required()
+  }),
+
+  hover: Joi.object({
+    selector: selector.required(),
+    options: Joi.object()
+  }),
+
+  press: Joi.object({
+    key: Joi.string().required(),
+    selector
+  }),
+
+  upload: Joi.object({
+    selector: selector.required(),
+    files: stringOrList.required()
+  }),
+
+  dragAndDrop: Joi.object({
+    source: selector.required(),
+    target: selector.required()
+  }),
+
+  scroll: Joi.object({
+    selector,
+    x: Joi.number(),
+    y: Joi.number()
+  }).or('selector', 'x', 'y'),
+
+  goBack: Joi.object({
+    waitUntil
+  }),
+
+  reload: Joi.object({
+    waitUntil
+  }),
+
+  evaluate: Joi.object({
+    script: Joi.string().required(),
+    arg: Joi.any(),
+    saveAs: Joi.string()
+  }),
+
+  waitForResponse: Joi.object({
+    url: Joi.string().required(),
+    method: Joi.string(),
+    status: Joi.number().integer(),
+    timeout: Joi.number().min(0)
+  }),
+
+  waitForURL: Joi.object({
+    url: Joi.string().required(),
+    waitUntil,
+    timeout: Joi.number().min(0)
+  }),
+
+  mock: Joi.object({
+    ...routeFields,
+    status,
+    headers: Joi.object(),
+    contentType: Joi.string(),
+    body: Joi.any(),
+    fixture: Joi.string()
+  }).oxor('body', 'fixture'),
+
+  block: Joi.object({
+    ...routeFields,
+    errorCode: Joi.string()
+  }),
+
+  modifyResponse: Joi.object({
+    ...routeFields,
+    status,
+    headers: Joi.object(),
+    body: Joi.any(),
+    merge: Joi.object()
+  }).oxor('body', 'merge'),
+
+  assertRequest: Joi.object({
+    url: Joi.string().required(),
+    method: stringOrList,
+    body: Joi.any(),
+    count: Joi.number().integer().min(0),
+    timeout: Joi.number().min(0)
+  }),
+
+  measurePerformance: Joi.object({
+    metrics: Joi.array().items(Joi.string()),
+    budgets: Joi.object().pattern(Joi.string(), Joi.number().min(0)),
+    settle: Joi.number().min(0),
+    saveAs: Joi.string()
+  }),
+
+  checkAccessibility: Joi.object({
+    selector,
+    standards: Joi.array().items(Joi.string().valid('wcag2a', 'wcag2aa', 'wcag2aaa')).min(1),
+    rules: Joi.array().items(Joi.string()),
+    ignoreRules: Joi.array().items(Joi.string()),
+    includeWarnings: Joi.boolean(),
+    baseline: Joi.string(),
+    updateBaseline: Joi.boolean()
+  }),
+
+  checkSecurity: Joi.object({
+    scanHeaders: Joi.boolean(),
+    checkSSL: Joi.boolean(),
+    checkCSP: Joi.boolean(),
+    detectXSS: Joi.boolean(),
+    xss: Joi.alternatives().try(
+      Joi.boolean().valid(false),
+      Joi.object({ params: Joi.array().items(Joi.string()), forms: Joi.alternatives().try(Joi.boolean(), Joi.array().items(Joi.string())) })
+    ),
+    failOn: Joi.string().valid('info', 'low', 'medium', 'high', 'critical'),
+    ignore: Joi.array().items(Joi.string())
+  })
+};
+
+// Validates a step against its built-in schema, or against the schema of a
+// plugin action registered under the same name
+function validateStep(step, plugins) {
+  let schema = STEP_SCHEMAS[step.action];
+
+  if (!schema && plugins && plugins.has('action', step.action)) {
+    schema = plugins.getAction(step.action).schema;
+    if (!schema) return;
+  }
+
+  if (!schema) {
+    throw new Error(`Unknown action: ${step.action}`);
+  }
+
+  const { error } = schema.unknown(true).label('step').validate(step);
+  if (error) {
+    throw new Error(`Invalid "${step.action}" step: ${error.message}`);
+  }
+}
+
+// Turns "/pattern/flags" into a RegExp; any other string is returned unchanged
+// so Playwright can treat it as an exact URL or glob.
+function toUrlMatcher(value) {
+  const match = /^\/(.+)\/([gimsuy]*)$/.exec(value);
+  return match ? new RegExp(match[1], match[2]) : value;
+}
+
+module.exports = { STEP_SCHEMAS, validateStep, toUrlMatcher };
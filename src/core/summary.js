@@ -0,0 +1,22 @@
+// Status counts for a list of results. Used for single runs, suites and merged shard results
+// so that their totals always agree.
+function summarizeResults(results) {
+  const total = results.length;
+  const passed = results.filter(r => r.status === 'passed').length;
+  const failed = results.filter(r => r.status === 'failed').length;
+  const flaky = results.filter(r => r.status === 'flaky').length;
+  const skipped = results.filter(r => r.status === 'skipped').length;
+  const cancelled = results.filter(r => r.status === 'cancelled').length;
+
+  return {
+    total,
+    passed,
+    failed,
+    flaky,
+    skipped,
+    cancelled,
+    passRate: total > 0 ? (passed / total * 100).toFixed(2) : 0
+  };
+}
+
+module.exports = { summarizeResults };
@@ -2,10 +2,14 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const { summarizeDimensions } = require('../core/emulation');
+const { performanceHistory } = require('../core/performance');
 
-class Dashboard {
+class Dashboard extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.config = {
       port: 3000,
       host: 'localhost',
@@ -34,6 +38,11 @@ class Dashboard {
     this.app.use(express.static(path.join(__dirname, 'public')));
     this.app.use(express.json());
 
+    // Traces, videos, HAR files and screenshots linked from test results
+    if (this.config.artifactsDir) {
+      this.app.use('/artifacts', express.static(path.resolve(this.config.artifactsDir)));
+    }
+
     // API Routes
     this.app.get('/api/health', (req, res) => {
       res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -51,6 +60,13 @@ class Dashboard {
       if (type) {
         filteredResults = filteredResults.filter(r => r.type === type);
       }
+
+      // Matrix dimensions: ?browser=webkit&device=mobile&locale=de-DE
+      for (const dimension of ['browser', 'device', 'locale']) {
+        if (req.query[dimension]) {
+          filteredResults = filteredResults.filter(r => r.dimensions?.[dimension] === req.query[dimension]);
+        }
+      }
       
       const paginatedResults = filteredResults
         .slice(parseInt(offset), parseInt(offset) + parseInt(limit));
@@ -78,6 +94,12 @@ class Dashboard {
       res.json(stats);
     });
 
+    // Web vitals and resource metrics of every measured test, oldest first: ?test=<id>
+    this.app.get('/api/performance', (req, res) => {
+      const history = performanceHistory(this.testResults);
+      res.json(req.query.test ? { [req.query.test]: history[req.query.test] || [] } : history);
+    });
+
     this.app.get('/api/active-tests', (req, res) => {
       const activeTests = Array.from(this.activeTests.values());
       res.json(activeTests);
@@ -87,9 +109,11 @@ class Dashboard {
       const testId = req.params.id;
       
       if (this.activeTests.has(testId)) {
-        this.activeTests.delete(testId);
+        // The engine aborts the browser context; the entry is removed once its cancelled result arrives
+        this.activeTests.get(testId).status = 'stopping';
+        this.emit('stopTest', { testId });
         this.io.emit('testStopped', { testId });
-        res.json({ message: 'Test stopped successfully' });
+        res.json({ message: 'Test stop requested' });
       } else {
         res.status(404).json({ error: 'Active test not found' });
       }
@@ -205,23 +229,28 @@ class Dashboard {
         tests: this.testResults.length,
         passed: this.testResults.filter(r => r.status === 'passed').length,
         failed: this.testResults.filter(r => r.status === 'failed').length,
+        flaky: this.testResults.filter(r => r.status === 'flaky').length,
         skipped: this.testResults.filter(r => r.status === 'skipped').length
       },
       last24h: {
         tests: recent24h.length,
         passed: recent24h.filter(r => r.status === 'passed').length,
         failed: recent24h.filter(r => r.status === 'failed').length,
+        flaky: recent24h.filter(r => r.status === 'flaky').length,
         skipped: recent24h.filter(r => r.status === 'skipped').length
       },
       last7d: {
         tests: recent7d.length,
         passed: recent7d.filter(r => r.status === 'passed').length,
         failed: recent7d.filter(r => r.status === 'failed').length,
+        flaky: recent7d.filter(r => r.status === 'flaky').length,
         skipped: recent7d.filter(r => r.status === 'skipped').length
       },
       activeTests: this.activeTests.size,
       connectedClients: this.connectedClients.size,
       testTypes: this.getTestTypeStats(),
+      dimensions: summarizeDimensions(this.testResults),
+      performance: performanceHistory(this.testResults),
       trends: this.generateTrends()
     };
   }
@@ -232,12 +261,13 @@ class Dashboard {
     for (const result of this.testResults) {
       const type = result.type || 'unknown';
       if (!types[type]) {
-        types[type] = { total: 0, passed: 0, failed: 0 };
+        types[type] = { total: 0, passed: 0, failed: 0, flaky: 0 };
       }
       
       types[type].total++;
       if (result.status === 'passed') types[type].passed++;
       if (result.status === 'failed') types[type].failed++;
+      if (result.status === 'flaky') types[type].flaky++;
     }
     
     return types;
@@ -261,7 +291,8 @@ class Dashboard {
         hour: hourStart.getHours(),
         total: hourResults.length,
         passed: hourResults.filter(r => r.status === 'passed').length,
-        failed: hourResults.filter(r => r.status === 'failed').length
+        failed: hourResults.filter(r => r.status === 'failed').length,
+        flaky: hourResults.filter(r => r.status === 'flaky').length
       });
     }
     
@@ -314,15 +345,23 @@ class Dashboard {
         .passed { color: #27ae60; }
         .failed { color: #e74c3c; }
         .skipped { color: #f39c12; }
+        .flaky { color: #9b59b6; }
         .running { color: #3498db; }
         .test-list { max-height: 400px; overflow-y: auto; }
         .test-item { padding: 0.5rem; border-bottom: 1px solid #eee; display: flex; justify-content: space-between; align-items: center; }
         .test-name { font-weight: 500; }
+        .test-dimensions { font-size: 0.8rem; color: #7f8c8d; margin-left: 0.5rem; }
+        .test-errors { font-size: 0.8rem; margin-top: 0.3rem; }
+        .failed-step { color: #e74c3c; }
+        .page-error { color: #c0392b; font-family: monospace; margin-left: 1rem; white-space: pre-wrap; }
+        .healed-step { color: #e67e22; font-size: 0.8rem; }
         .test-status { padding: 0.2rem 0.5rem; border-radius: 4px; font-size: 0.8rem; color: white; }
         .status-passed { background: #27ae60; }
         .status-failed { background: #e74c3c; }
         .status-running { background: #3498db; }
         .status-skipped { background: #f39c12; }
+        .status-flaky { background: #9b59b6; }
+        .status-cancelled { background: #7f8c8d; }
         .chart { height: 200px; background: #ecf0f1; border-radius: 4px; display: flex; align-items: center; justify-content: center; color: #7f8c8d; }
     </style>
 </head>
@@ -342,6 +381,10 @@ class Dashboard {
                 <div class="status-value failed" id="failed-tests">0</div>
                 <div class="status-label">Failed</div>
             </div>
+            <div class="status-item">
+                <div class="status-value flaky" id="flaky-tests">0</div>
+                <div class="status-label">Flaky</div>
+            </div>
             <div class="status-item">
                 <div class="status-value running" id="active-tests">0</div>
                 <div class="status-label">Active</div>
@@ -378,6 +421,20 @@ class Dashboard {
                 </div>
             </div>
 
+            <div class="card">
+                <h3>🧭 Browser / Device / Locale</h3>
+                <div class="test-list" id="dimension-stats">
+                    <div style="text-align: center; color: #7f8c8d; padding: 2rem;">No matrix results yet</div>
+                </div>
+            </div>
+
+            <div class="card">
+                <h3>⚡ Performance</h3>
+                <div class="test-list" id="performance-stats">
+                    <div style="text-align: center; color: #7f8c8d; padding: 2rem;">No performance measurements yet</div>
+                </div>
+            </div>
+
             <div class="card">
                 <h3>📈 Test Trends</h3>
                 <div class="chart" id="trends-chart">
@@ -421,6 +478,7 @@ class Dashboard {
             document.getElementById('total-tests').textContent = stats.total.tests;
             document.getElementById('passed-tests').textContent = stats.total.passed;
             document.getElementById('failed-tests').textContent = stats.total.failed;
+            document.getElementById('flaky-tests').textContent = stats.total.flaky;
             document.getElementById('active-tests').textContent = stats.activeTests;
             document.getElementById('connected-clients').textContent = stats.connectedClients;
             
@@ -430,6 +488,91 @@ class Dashboard {
             
             document.getElementById('last-24h').textContent = stats.last24h.tests + ' tests';
             document.getElementById('last-7d').textContent = stats.last7d.tests + ' tests';
+
+            updateDimensionStats(stats.dimensions || {});
+            updatePerformanceStats(stats.performance || {});
+        }
+
+        // LCP across runs (FCP where the browser reports no LCP), latest values alongside
+        function sparkline(values) {
+            const points = values.filter(value => typeof value === 'number');
+            if (points.length < 2) return '';
+
+            const max = Math.max(...points) || 1;
+            const coords = points.map((value, index) => \`\${(index / (points.length - 1)) * 100},\${20 - (value / max) * 20}\`);
+            return \`<svg width="100" height="20" viewBox="0 0 100 20"><polyline fill="none" stroke="#3498db" stroke-width="1.5" points="\${coords.join(' ')}"/></svg>\`;
+        }
+
+        function updatePerformanceStats(history) {
+            const entries = Object.entries(history);
+            if (entries.length === 0) return;
+
+            document.getElementById('performance-stats').innerHTML = entries.map(([id, runs]) => {
+                const latest = runs[runs.length - 1].metrics;
+                return \`
+                    <div class="test-item">
+                        <div class="test-name">\${escapeHtml(runs[0].name || id)}</div>
+                        <div>
+                            \${sparkline(runs.map(run => run.metrics.LCP ?? run.metrics.FCP))}
+                            <span class="test-dimensions">LCP \${latest.LCP ?? '–'}ms · FCP \${latest.FCP ?? '–'}ms · CLS \${latest.CLS ?? '–'}</span>
+                        </div>
+                    </div>
+                \`;
+            }).join('');
+        }
+
+        function updateDimensionStats(dimensions) {
+            const entries = Object.entries(dimensions);
+            if (entries.length === 0) return;
+
+            document.getElementById('dimension-stats').innerHTML = entries.map(([label, counts]) => \`
+                <div class="test-item">
+                    <div class="test-name">\${escapeHtml(label)}</div>
+                    <div>
+                        <span class="passed">\${counts.passed}</span> /
+                        <span class="failed">\${counts.failed}</span> /
+                        <span class="flaky">\${counts.flaky}</span>
+                        of \${counts.total}
+                    </div>
+                </div>
+            \`).join('');
+        }
+
+        function escapeHtml(value) {
+            return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        }
+
+        // The failing step, followed by the uncaught errors, console errors and failed
+        // requests recorded while it ran (or all of them when no step failed)
+        function formatErrors(result) {
+            const failedStep = (result.steps || []).find(step => step.status === 'failed');
+            const stepLabel = failedStep && (failedStep.name || failedStep.action);
+            const entries = [
+                ...(result.pageErrors || []).map(error => ({ ...error, text: '💥 ' + error.message })),
+                ...(result.console || []).filter(message => message.type === 'error').map(message => ({ ...message, text: '🖥️ ' + message.text })),
+                ...(result.failedRequests || []).map(request => ({ ...request, text: '🌐 ' + request.method + ' ' + request.url + ' ' + (request.failure || '') }))
+            ].filter(entry => !entry.allowed && (!stepLabel || entry.step === stepLabel));
+
+            if (!failedStep && entries.length === 0) return '';
+
+            return \`
+                <div class="test-errors">
+                    \${failedStep ? \`<div class="failed-step">✗ \${escapeHtml(stepLabel)}: \${escapeHtml(failedStep.error || '')}</div>\` : ''}
+                    \${entries.map(entry => \`<div class="page-error">\${escapeHtml(entry.text)}</div>\`).join('')}
+                </div>
+            \`;
+        }
+
+        // Steps that only passed through a fallback selector, with the selector to use instead
+        function formatHealed(result) {
+            return (result.healed || []).map(healed => \`
+                <div class="healed-step">🩹 \${escapeHtml(healed.step)}: \${escapeHtml(healed.from)} → \${escapeHtml(healed.to)}</div>
+            \`).join('');
+        }
+
+        function formatDimensions(dimensions) {
+            if (!dimensions) return '';
+            return escapeHtml([dimensions.browser, dimensions.device, dimensions.locale].filter(Boolean).join(' · '));
         }
         
         function updateActiveTests(tests) {
@@ -457,7 +600,7 @@ class Dashboard {
             
             const html = results.map(result => \`
                 <div class="test-item">
-                    <div class="test-name">\${result.name || result.id}</div>
+                    <div class="test-name">\${escapeHtml(result.name || result.id)}<span class="test-dimensions">\${formatDimensions(result.dimensions)}</span>\${formatErrors(result)}\${formatHealed(result)}</div>
                     <div class="test-status status-\${result.status}">\${result.status}</div>
                 </div>
             \`).join('');
@@ -0,0 +1,400 @@
+const readline = require('readline');
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+const { baseTestId } = require('../core/sharding');
+
+const DEFAULT_SETTINGS = {
+  slowMo: 250,
+  pauseOnFailure: true,
+  breakpoints: []
+};
+
+const HELP = `
+  continue, c          run the step (or carry on with the failure) and keep going
+  next, n              run the step and pause before the next one
+  retry, r             run the step again, e.g. after editing it
+  skip, s              skip the step
+  quit, q              cancel the run
+
+  show                 the current step, and its error if it failed
+  steps                the test's steps
+  set <key> <value>    change a field of the step (value is JSON or plain text)
+  edit <json>          merge a JSON object into the step; null removes a key
+  save                 write the edited steps back to the suite file
+
+  $ <selector>         elements matching a selector
+  html <selector>      outer HTML of the first match
+  highlight <selector> outline the matches in the browser
+  eval <expression>    evaluate JavaScript in the page
+  url, title           the page's URL or title
+  screenshot [file]    save a screenshot
+  vars                 the test's variables
+`;
+
+// Resume commands end a pause; everything else is answered and prompts again
+const RESUME = {
+  c: 'continue', continue: 'continue',
+  n: 'next', next: 'next',
+  r: 'retry', retry: 'retry',
+  s: 'skip', skip: 'skip',
+  q: 'quit', quit: 'quit'
+};
+
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// "[test:]step": the step's 1-based position or part of its name, optionally
+// limited to tests whose id or name contains `test`
+function parseBreakpoint(spec) {
+  const separator = spec.indexOf(':');
+  const test = separator > 0 ? spec.slice(0, separator).toLowerCase() : null;
+  const step = (separator > 0 ? spec.slice(separator + 1) : spec).toLowerCase();
+  return { spec, test, step };
+}
+
+function matchesBreakpoint(breakpoint, test, step, index) {
+  if (breakpoint.test && ![test.id, test.name].some(value => value && String(value).toLowerCase().includes(breakpoint.test))) {
+    return false;
+  }
+
+  if (/^\d+$/.test(breakpoint.step)) {
+    return Number(breakpoint.step) === index + 1;
+  }
+
+  return [step.name, step.action].some(value => value && String(value).toLowerCase().includes(breakpoint.step));
+}
+
+// Pauses a headed run before chosen steps and on failures, and answers REPL
+// commands against the paused page until the step is resumed
+class StepDebugger {
+  constructor(core, config = {}, io = {}) {
+    this.core = core;
+    this.settings = { ...DEFAULT_SETTINGS, ...config };
+    this.breakpoints = [].concat(this.settings.breakpoints).map(parseBreakpoint);
+    this.input = io.input || process.stdin;
+    this.output = io.output || process.stdout;
+    this.suiteFile = null;
+    this.edits = new Map();
+    this.stepping = false;
+    this.closed = false;
+    this.interrupted = false;
+    this.rl = null;
+  }
+
+  print(text = '') {
+    this.output.write(`${text}\n`);
+  }
+
+  shouldPause(test, step, index) {
+    return this.stepping || this.breakpoints.some(breakpoint => matchesBreakpoint(breakpoint, test, step, index));
+  }
+
+  // Called by the engine for every body step in place of running it directly
+  async runStep(context, runStep) {
+    const { test, index } = context;
+    let step = context.step;
+    let pauseBefore = this.shouldPause(test, step, index);
+
+    for (;;) {
+      if (pauseBefore) {
+        const { command, step: current } = await this.pause({ ...context, step }, 'before');
+        step = current;
+        if (command === 'skip') return this.skippedResult(step);
+        if (command === 'quit') return this.cancel(step);
+      }
+
+      const stepResult = await runStep(step);
+      if (stepResult.status !== 'failed' || !this.settings.pauseOnFailure || this.closed) {
+        return stepResult;
+      }
+
+      const { command, step: current } = await this.pause({ ...context, step, stepResult }, 'failure');
+      step = current;
+      if (command === 'retry') {
+        pauseBefore = false;
+        continue;
+      }
+      if (command === 'skip') return this.skippedResult(step);
+      if (command === 'quit') return this.cancel(step);
+      return stepResult;
+    }
+  }
+
+  async pause(context, reason) {
+    const { test, index, stepResult, browserType } = context;
+    const session = { ...context, step: context.step };
+    const label = session.step.name || session.step.action;
+
+    this.print();
+    if (reason === 'failure') {
+      this.print(`⏸️  ${test.name || test.id} [${browserType}] step ${index + 1} "${label}" failed: ${stepResult.error}`);
+    } else {
+      this.print(`⏸️  ${test.name || test.id} [${browserType}] before step ${index + 1} "${label}"`);
+    }
+    this.print('   Type "help" for commands.');
+
+    for (;;) {
+      const line = await this.prompt();
+      if (line === null) {
+        this.closed = true;
+        this.stepping = false;
+        if (this.interrupted) return { command: 'quit', step: session.step };
+
+        // Input closed (e.g. piped commands ran out): carry on without pausing again
+        return { command: 'continue', step: session.step };
+      }
+
+      const [word, ...rest] = line.trim().split(/\s+/);
+      const argument = line.trim().slice(word.length).trim();
+      if (!word) continue;
+
+      const command = RESUME[word];
+      if (command) {
+        this.stepping = command === 'next';
+        return { command, step: session.step };
+      }
+
+      try {
+        await this.execute(word, argument, rest, session);
+      } catch (error) {
+        this.print(`❌ ${error.message}`);
+      }
+    }
+  }
+
+  async execute(word, argument, rest, session) {
+    const { page, test, index } = session;
+
+    switch (word) {
+      case 'help':
+        this.print(HELP);
+        break;
+
+      case 'show':
+        this.print(JSON.stringify(session.step, null, 2));
+        if (session.stepResult?.error) this.print(`Error: ${session.stepResult.error}`);
+        break;
+
+      case 'steps':
+        (test.steps || []).forEach((step, position) => {
+          const marker = position === index ? '▶' : ' ';
+          this.print(`${marker} ${position + 1}. ${step.name || step.action}${step.selector ? ` (${step.selector})` : ''}`);
+        });
+        break;
+
+      case 'set':
+        if (rest.length < 2) throw new Error('Usage: set <key> <value>');
+        this.editStep(session, { [rest[0]]: parseValue(argument.slice(rest[0].length).trim()) });
+        break;
+
+      case 'edit':
+        const changes = JSON.parse(argument);
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+          throw new Error('Usage: edit {"selector": "#submit"}');
+        }
+        this.editStep(session, changes);
+        break;
+
+      case 'save':
+        await this.saveEdits();
+        break;
+
+      case '$':
+        await this.query(page, argument);
+        break;
+
+      case 'html':
+        const html = await page.locator(argument).first().evaluate(element => element.outerHTML);
+        this.print(html.length > 2000 ? `${html.slice(0, 2000)}…` : html);
+        break;
+
+      case 'highlight':
+        await page.locator(argument).highlight();
+        break;
+
+      case 'eval':
+        const value = await page.evaluate(argument);
+        this.print(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+        break;
+
+      case 'url':
+        this.print(page.url());
+        break;
+
+      case 'title':
+        this.print(await page.title());
+        break;
+
+      case 'screenshot':
+        const file = argument || `debug-${Date.now()}.png`;
+        await page.screenshot({ path: file, fullPage: true });
+        this.print(`📸 ${file}`);
+        break;
+
+      case 'vars':
+        this.print(JSON.stringify(session.variables, null, 2));
+        break;
+
+      default:
+        throw new Error(`Unknown command "${word}"; type "help" for commands`);
+    }
+  }
+
+  async query(page, selector) {
+    if (!selector) throw new Error('Usage: $ <selector>');
+
+    const locator = page.locator(selector);
+    const count = await locator.count();
+    this.print(`${count} element(s) match ${selector}`);
+
+    for (let position = 0; position < Math.min(count, 5); position++) {
+      const element = await locator.nth(position).evaluate(node => ({
+        tag: node.tagName.toLowerCase(),
+        id: node.id,
+        classes: node.className && typeof node.className === 'string' ? node.className : '',
+        text: (node.innerText || node.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80)
+      }));
+      const visible = await locator.nth(position).isVisible();
+      const name = `${element.tag}${element.id ? `#${element.id}` : ''}${element.classes ? `.${element.classes.trim().split(/\s+/).join('.')}` : ''}`;
+      this.print(`  ${position + 1}. <${name}>${element.text ? ` "${element.text}"` : ''}${visible ? '' : ' (hidden)'}`);
+    }
+  }
+
+  // Edits replace the step for the rest of the session (later browsers and tests
+  // sharing it) and are kept for writing back to the suite file
+  editStep(session, changes) {
+    const step = { ...session.step };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete step[key];
+      } else {
+        step[key] = value;
+      }
+    }
+
+    session.step = step;
+    if (session.test.steps) session.test.steps[session.index] = step;
+    this.edits.set(`${baseTestId(session.test.id)}#${session.index}`, {
+      testId: baseTestId(session.test.id),
+      testName: session.test.name,
+      index: session.index,
+      step
+    });
+    this.print(JSON.stringify(step, null, 2));
+  }
+
+  skippedResult(step) {
+    const now = new Date().toISOString();
+    logger.info(`⏭️ Skipped step "${step.name || step.action}" in the debugger`);
+    return { name: step.name, action: step.action, startTime: now, endTime: now, status: 'skipped', skippedBy: 'debugger' };
+  }
+
+  // The engine sees the aborted run after this step and reports the test as cancelled
+  cancel(step) {
+    this.closed = true;
+    this.core.cancelAll('Debug session ended');
+    const now = new Date().toISOString();
+    return { name: step.name, action: step.action, startTime: now, endTime: now, status: 'cancelled', error: 'Debug session ended' };
+  }
+
+  prompt() {
+    if (this.closed) return Promise.resolve(null);
+
+    if (!this.rl) {
+      this.rl = readline.createInterface({ input: this.input, output: this.output, terminal: Boolean(this.input.isTTY) });
+      this.lines = [];
+      this.waiting = null;
+      this.rl.on('line', (line) => {
+        if (this.waiting) {
+          const resolve = this.waiting;
+          this.waiting = null;
+          resolve(line);
+        } else {
+          this.lines.push(line);
+        }
+      });
+      this.rl.on('close', () => {
+        this.closed = true;
+        if (this.waiting) this.waiting(null);
+      });
+      // A terminal interface takes Ctrl+C away from the process: quit the paused step
+      // and hand the signal back, so the run shuts down as it does without the debugger
+      this.rl.on('SIGINT', () => {
+        this.interrupted = true;
+        this.rl.close();
+        process.emit('SIGINT');
+      });
+    }
+
+    if (this.lines.length > 0) return Promise.resolve(this.lines.shift());
+
+    this.output.write('debug> ');
+    return new Promise(resolve => {
+      this.waiting = resolve;
+    });
+  }
+
+  // JSON and YAML suites are rewritten in place; for JavaScript suites the edited
+  // steps are printed to paste in by hand
+  async saveEdits() {
+    if (this.edits.size === 0) {
+      this.print('No edited steps to save');
+      return false;
+    }
+
+    const edits = Array.from(this.edits.values());
+    const ext = this.suiteFile ? path.extname(this.suiteFile).toLowerCase() : '';
+
+    if (!['.json', '.yml', '.yaml'].includes(ext)) {
+      this.print(`${this.suiteFile || 'The suite file'} cannot be rewritten automatically; edited steps:`);
+      for (const edit of edits) {
+        this.print(`// ${edit.testName || edit.testId}, step ${edit.index + 1}`);
+        this.print(JSON.stringify(edit.step, null, 2));
+      }
+      return false;
+    }
+
+    const source = await fs.readFile(this.suiteFile, 'utf8');
+    const suite = ext === '.json' ? JSON.parse(source) : yaml.load(source);
+    const tests = Array.isArray(suite.steps) ? [suite] : suite.tests || [];
+
+    for (const edit of edits) {
+      const test = tests.find(candidate => candidate.id === edit.testId) ||
+        tests.find(candidate => !candidate.id && candidate.name === edit.testName);
+      if (!test || !test.steps || !test.steps[edit.index]) {
+        this.print(`⚠️ Could not find step ${edit.index + 1} of ${edit.testId} in ${this.suiteFile}`);
+        continue;
+      }
+      test.steps[edit.index] = edit.step;
+    }
+
+    await fs.writeFile(this.suiteFile, ext === '.json' ? `${JSON.stringify(suite, null, 2)}\n` : yaml.dump(suite, { lineWidth: 120 }));
+    this.print(`💾 Wrote ${edits.length} edited step(s) to ${this.suiteFile}`);
+    this.edits.clear();
+    return true;
+  }
+
+  // Offers to save edits that were not saved during the session
+  async finish() {
+    if (this.edits.size > 0 && this.closed) {
+      this.print(`\n${this.edits.size} edited step(s) were not saved`);
+    } else if (this.edits.size > 0) {
+      this.print(`\n${this.edits.size} edited step(s) were not saved. Write them to ${this.suiteFile}? [y/N]`);
+      const answer = await this.prompt();
+      if (answer && /^y(es)?$/i.test(answer.trim())) {
+        await this.saveEdits();
+      }
+    }
+
+    if (this.rl) this.rl.close();
+  }
+}
+
+module.exports = { StepDebugger, parseBreakpoint, matchesBreakpoint, DEFAULT_SETTINGS };
@@ -1,30 +1,75 @@
 #!/usr/bin/env node
 
+const fs = require('fs').promises;
+const path = require('path');
+const fg = require('fast-glob');
 const { SmartQACore } = require('./core/engine');
 const { AITestGenerator } = require('./ai/generator');
 const { VisualTester } = require('./visual/tester');
 const { APITester } = require('./api/tester');
 const { Dashboard } = require('./dashboard/server');
+const { InteractionRecorder } = require('./recorder/recorder');
+const { StepDebugger } = require('./debug/debugger');
+const { SuiteWatcher } = require('./watch/watcher');
+const { SuiteLoader, describeMissingSuite, generatedSuite } = require('./core/loader');
+const { resolveEnvironment, resolveUrl } = require('./core/environment');
+const { PluginRegistry } = require('./core/plugins');
+const { summarizeDimensions } = require('./core/emulation');
+const { normalizeSelection, selectsKind, selectTests, createSkippedResult } = require('./core/selection');
+const { parseShard, shardFileName, loadDurations, partitionTests, mergeResults } = require('./core/sharding');
+const { summarizeResults } = require('./core/summary');
+const { groupByDependencies } = require('./core/dependencies');
 const logger = require('./utils/logger');
 const config = require('../config/default.json');
 
 class SmartQAHub {
   constructor(options = {}) {
     this.config = { ...config, ...options };
-    this.core = new SmartQACore(this.config);
+    this.environment = resolveEnvironment(this.config, this.config.env || process.env.SMARTQA_ENV);
+    this.plugins = new PluginRegistry();
+    this.reporters = [];
+    this.core = new SmartQACore(this.config, this.plugins);
     this.aiGenerator = new AITestGenerator(this.config.ai);
     this.visualTester = new VisualTester(this.config.visual);
-    this.apiTester = new APITester(this.config.api);
-    this.dashboard = new Dashboard(this.config.dashboard);
+    this.apiTester = new APITester({ ...this.config.api, security: this.config.security }, this.plugins);
+    this.dashboard = new Dashboard({
+      artifactsDir: path.join(this.config.reporting?.outputDir || './reports', 'artifacts'),
+      ...this.config.dashboard
+    });
+    this.suiteLoader = new SuiteLoader(this.config.suites);
+
+    this.setupEventForwarding();
+  }
+
+  // Runs headed and slowed down, one test at a time, pausing before breakpoints and on failures.
+  // Must be called before initialize() so the browsers launch headed.
+  enableDebug(options = {}) {
+    const settings = { ...this.config.debug, ...options };
+    Object.assign(this.config, { headless: false, slowMo: settings.slowMo, parallel: false });
+    this.debugger = new StepDebugger(this.core, settings);
+    this.core.debugger = this.debugger;
+    return this.debugger;
+  }
+
+  setupEventForwarding() {
+    this.core.on('testStarted', (testInfo) => this.dashboard.broadcastTestStart(testInfo));
+    this.core.on('testCompleted', (result) => {
+      this.dashboard.broadcastTestComplete(result.id, result);
+      this.notifyReporters('onTestComplete', result);
+    });
+    this.dashboard.on('stopTest', ({ testId }) => this.core.cancelTest(testId));
   }
 
   async initialize() {
     logger.info('🚀 Initializing SmartQA Hub...');
     
     try {
+      this.loadPlugins();
+
       await this.core.initialize();
       await this.dashboard.start();
       
+      logger.info(`🌍 Environment: ${this.environment.name} (${this.environment.baseUrl || 'no base URL'})`);
       logger.info('✅ SmartQA Hub initialized successfully');
       logger.info(`📊 Dashboard available at: http://localhost:${this.config.dashboard.port}`);
       
@@ -35,49 +80,172 @@ class SmartQAHub {
     }
   }
 
+  loadPlugins() {
+    this.plugins.load(this.config.plugins || [], this.config);
+    this.reporters = (this.config.reporting?.reporters || []).map(name => this.plugins.getReporter(name));
+  }
+
+  getResultsDir() {
+    return path.join(this.config.reporting?.outputDir || './reports', 'results');
+  }
+
+  // Loads the suite a run asks for. Throws when it cannot run: its file failed to load
+  // (e.g. a dependsOn cycle), or no suite has that name and --ai was not passed.
+  async findSuite(suiteName, options = {}) {
+    const found = await this.suiteLoader.find(suiteName);
+
+    // No suite file by that name: with --ai the name (or URL) is handed to the
+    // generator, as before suite files existed
+    if (!found.suite && !options.generateAI) {
+      throw new Error(`${describeMissingSuite(suiteName, found.suites, found.errors)}. Pass --ai to generate tests for it instead.`);
+    }
+
+    return found;
+  }
+
+  // Every discovered suite, for a bare `test`. Throws when none loads.
+  async findAllSuites(options = {}) {
+    const { suites, errors } = await this.suiteLoader.loadAll();
+
+    if (suites.length === 0) {
+      const failed = errors.map(error => `${path.relative(process.cwd(), error.file)}: ${error.error}`);
+      throw new Error(`No suites found in ${this.suiteLoader.config.dir}${failed.length > 0 ? `; failed to load: ${failed.join('; ')}` : ''}`);
+    }
+
+    if (options.output && suites.length > 1) {
+      throw new Error(`--output needs a suite name: ${suites.length} suites would write the same file`);
+    }
+
+    return suites;
+  }
+
+  // Runs every discovered suite one after another, each writing its own results file
+  async runAllSuites(options = {}) {
+    const suites = await this.findAllSuites(options);
+    const results = [];
+
+    for (const suite of suites) {
+      results.push(await this.runTestSuite(suite.id, options));
+    }
+
+    return results;
+  }
+
   async runTestSuite(suiteName, options = {}) {
     logger.info(`🧪 Running test suite: ${suiteName}`);
     
     const results = {
       suite: suiteName,
+      environment: this.environment.name,
       timestamp: new Date().toISOString(),
       tests: [],
+      loadErrors: [],
       summary: {
         total: 0,
         passed: 0,
         failed: 0,
-        skipped: 0
+        flaky: 0,
+        skipped: 0,
+        cancelled: 0
       }
     };
 
     try {
+      const found = await this.findSuite(suiteName, options);
+      results.loadErrors = found.errors;
+
+      for (const { file, error } of found.errors) {
+        logger.error(`❌ Suite file ${path.relative(process.cwd(), file)} failed to load: ${error}`);
+      }
+
+      const suite = found.suite || generatedSuite(suiteName);
+      results.suiteId = suite.id;
+      results.file = suite.file;
+
+      // Suite-level config (retries, parallel, ...) overrides the global defaults
+      const runOptions = {
+        retries: this.config.retries,
+        ...suite.config,
+        environment: this.environment,
+        variables: {
+          ...this.environment.variables,
+          credentials: this.environment.credentials,
+          ...suite.variables
+        },
+        testData: suite.testData
+      };
+
+      // --retries overrides the suite's config.retries; a test's own `retries` still wins
+      if (options.retries !== undefined) {
+        const retries = Number(options.retries);
+        if (!Number.isInteger(retries) || retries < 0) {
+          throw new Error(`--retries must be a non-negative integer, got "${options.retries}"`);
+        }
+        runOptions.retries = retries;
+      }
+
+      // --no-heal: selectors must match as written
+      if (options.heal === false) {
+        runOptions.healing = false;
+      }
+
+      if (this.debugger) {
+        Object.assign(runOptions, { parallel: false, retries: 0 });
+        this.debugger.suiteFile = suite.file;
+      }
+
+      // --grep/--tag/--priority/--type/--only and in-suite only/skip flags
+      const selection = normalizeSelection(options);
+      const includeVisual = options.includeVisual || selectsKind(selection, 'visual');
+      const includeAPI = options.includeAPI || selectsKind(selection, 'api');
+      // --ai tests are UI tests of the suite: selected, sharded and run like the others
+      const aiTests = options.generateAI ? await this.aiGenerator.generateTests(suiteName) : [];
+      const selected = selectTests({
+        ui: [...suite.tests, ...aiTests],
+        visual: includeVisual ? suite.visualTests : [],
+        api: includeAPI ? suite.apiTests : []
+      }, options);
+
+      const shard = parseShard(options.shard);
+      if (shard) {
+        results.shard = await this.applyShard(selected, shard, options.durations);
+      }
+
+      for (const [kind, { skipped }] of Object.entries(selected)) {
+        for (const { test, reason } of skipped) {
+          const skippedResult = createSkippedResult(test, reason, kind, this.environment);
+          logger.info(`⏭️ Skipping ${test.name || test.id}: ${reason}`);
+          results.tests.push(skippedResult);
+          await this.notifyReporters('onTestComplete', skippedResult);
+        }
+      }
+
+      if (selected.ui.run.length > 0) {
+        const uiResults = await this.core.runTests(selected.ui.run, { ...runOptions, hooks: suite.hooks, routes: suite.routes, auth: suite.auth, matrix: suite.matrix });
+        results.tests.push(...uiResults);
+      }
+
       // Run different types of tests based on configuration
-      if (options.includeVisual) {
-        const visualResults = await this.visualTester.runTests();
+      if (selected.visual.run.length > 0) {
+        const visualResults = await this.visualTester.runTests(selected.visual.run, runOptions);
         results.tests.push(...visualResults);
       }
 
-      if (options.includeAPI) {
-        const apiResults = await this.apiTester.runTests();
+      if (selected.api.run.length > 0) {
+        const apiResults = await this.apiTester.runTests(selected.api.run, { ...runOptions, hooks: suite.apiHooks });
         results.tests.push(...apiResults);
       }
 
-      if (options.generateAI) {
-        const aiTests = await this.aiGenerator.generateTests(suiteName);
-        const aiResults = await this.core.runTests(aiTests);
-        results.tests.push(...aiResults);
-      }
-
       // Calculate summary
-      results.summary.total = results.tests.length;
-      results.summary.passed = results.tests.filter(t => t.status === 'passed').length;
-      results.summary.failed = results.tests.filter(t => t.status === 'failed').length;
-      results.summary.skipped = results.tests.filter(t => t.status === 'skipped').length;
+      results.summary = summarizeResults(results.tests);
+      results.dimensions = summarizeDimensions(results.tests);
+      results.outputFile = await this.writeResults(results, options.output || shardFileName(suite.id, shard));
 
-      // Send results to dashboard
-      this.dashboard.broadcastResults(results);
+      // Send the individual test results to the dashboard
+      this.dashboard.broadcastResults(results.tests);
+      await this.notifyReporters('onSuiteComplete', results);
 
-      logger.info(`✅ Test suite completed: ${results.summary.passed}/${results.summary.total} passed`);
+      logger.info(`✅ Test suite completed: ${results.summary.passed}/${results.summary.total} passed, ${results.summary.flaky} flaky`);
       return results;
 
     } catch (error) {
@@ -86,12 +254,132 @@ class SmartQAHub {
     }
   }
 
+  // Keeps only this shard's tests; tests linked by dependsOn stay together. Skipped
+  // tests are reported by the first shard, so merged shard results list them once.
+  // `durationsFile` is a results file every shard machine shares (--durations).
+  async applyShard(selected, shard, durationsFile) {
+    const entries = Object.entries(selected).flatMap(([kind, { run }]) => {
+      const groups = groupByDependencies(run);
+      return run.map(test => ({ key: `${kind}:${test.id}`, group: `${kind}:${groups.get(test.id)}`, kind, test }));
+    });
+
+    const durations = durationsFile ? await loadDurations(durationsFile) : new Map();
+    const { selected: shardEntries, balancedBy } = partitionTests(entries, shard, durations);
+    const keys = new Set(shardEntries.map(entry => entry.key));
+
+    for (const [kind, section] of Object.entries(selected)) {
+      section.run = section.run.filter(test => keys.has(`${kind}:${test.id}`));
+      if (shard.index !== 1) section.skipped = [];
+    }
+
+    logger.info(`🧩 Shard ${shard.index}/${shard.total}: ${shardEntries.length} of ${entries.length} tests (balanced by ${balancedBy})`);
+    return { ...shard, balancedBy };
+  }
+
+  async writeResults(results, fileName) {
+    const file = path.isAbsolute(fileName) || fileName.includes('/') ? fileName : path.join(this.getResultsDir(), fileName);
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(results, null, 2));
+      logger.info(`💾 Results written to ${file}`);
+      return file;
+    } catch (error) {
+      logger.error(`❌ Failed to write results to ${file}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  // Combines per-shard result files (default: the shard files in the results directory,
+  // which must all belong to one suite and one shard count)
+  async mergeResults(patterns = [], options = {}) {
+    const files = patterns.length > 0
+      ? await fg(patterns, { absolute: true })
+      : await this.findShardFiles();
+
+    if (files.length === 0) {
+      throw new Error('No result files to merge');
+    }
+
+    const resultSets = [];
+    for (const file of files.sort()) {
+      resultSets.push(JSON.parse(await fs.readFile(file, 'utf8')));
+    }
+
+    const merged = mergeResults(resultSets);
+    merged.outputFile = await this.writeResults(merged, options.output || `${merged.suiteId || 'results'}.merged.json`);
+    await this.notifyReporters('onSuiteComplete', merged);
+
+    logger.info(`🧩 Merged ${files.length} result files: ${merged.summary.passed}/${merged.summary.total} passed, ${merged.summary.failed} failed, ${merged.summary.flaky} flaky, ${merged.summary.skipped} skipped`);
+    return merged;
+  }
+
+  async findShardFiles() {
+    const resultsDir = this.getResultsDir();
+    const files = await fg('*.shard-*-of-*.json', { cwd: resultsDir, absolute: true });
+    const runs = new Map();
+
+    for (const file of files) {
+      const [, suiteId, total] = /^(.*)\.shard-\d+-of-(\d+)\.json$/.exec(path.basename(file)) || [];
+      if (!suiteId) continue;
+
+      const key = `${suiteId}.shard-*-of-${total}.json`;
+      runs.set(key, [...(runs.get(key) || []), file]);
+    }
+
+    if (runs.size > 1) {
+      const patterns = Array.from(runs.keys()).map(key => path.join(resultsDir, key));
+      throw new Error(`Shard files of several runs in ${resultsDir}; pass the files to merge, one of: ${patterns.join(', ')}`);
+    }
+
+    return runs.size === 1 ? Array.from(runs.values())[0] : [];
+  }
+
+  use(plugin) {
+    this.plugins.use(plugin, this.config);
+    return this;
+  }
+
+  async notifyReporters(event, payload) {
+    for (const reporter of this.reporters) {
+      if (typeof reporter[event] !== 'function') continue;
+
+      try {
+        await reporter[event](payload);
+      } catch (error) {
+        logger.error(`❌ Reporter ${event} failed: ${error.message}`);
+      }
+    }
+  }
+
   async generateAITests(description) {
     return await this.aiGenerator.generateFromDescription(description);
   }
 
+  // Records a suite in a headed browser; a relative URL is resolved against the environment
+  async recordTest(url, options = {}) {
+    this.recorder = new InteractionRecorder({ baseUrl: this.environment.baseUrl, ...this.config.recorder });
+    return this.recorder.record(resolveUrl(url, this.environment.baseUrl), options);
+  }
+
+  // Keeps the browsers open and re-runs suites as their files change, until quit (test --watch).
+  // Without a suite name every discovered suite is watched.
+  async watch(suiteName, options = {}) {
+    return new SuiteWatcher(this, suiteName, options).start();
+  }
+
   async shutdown() {
     logger.info('🛑 Shutting down SmartQA Hub...');
+
+    // Ctrl+C while recording still saves what was recorded
+    if (this.recorder) {
+      await this.recorder.stop();
+    }
+
+    if (this.core.isRunning) {
+      await this.core.cancelAll('Interrupted by shutdown');
+    }
+
     await this.dashboard.stop();
     await this.core.cleanup();
     logger.info('✅ SmartQA Hub shutdown complete');
@@ -103,20 +391,89 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const command = args[0];
 
-  const hub = new SmartQAHub();
+  const getOption = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  // Repeatable options such as --tag smoke --tag !slow
+  const getOptions = (name) => args
+    .map((arg, index) => (arg === name ? args[index + 1] : undefined))
+    .filter(value => value !== undefined);
+
+  const hub = new SmartQAHub({ env: getOption('--env') });
+
+  if (command === 'test' && args.includes('--debug') && args.includes('--watch')) {
+    console.error('--debug and --watch cannot be combined: both read from the terminal');
+    process.exit(1);
+  }
+
+  if (command === 'test' && args.includes('--debug')) {
+    hub.enableDebug({
+      breakpoints: getOptions('--break'),
+      ...(getOption('--slow-mo') !== undefined ? { slowMo: Number(getOption('--slow-mo')) } : {})
+    });
+  }
 
-  async function main() {
-    await hub.initialize();
+  const suiteArg = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
+  const testOptions = {
+    includeVisual: args.includes('--visual'),
+    includeAPI: args.includes('--api'),
+    generateAI: args.includes('--ai'),
+    grep: getOptions('--grep'),
+    tags: getOptions('--tag'),
+    priority: getOptions('--priority'),
+    type: getOptions('--type'),
+    only: getOptions('--only'),
+    shard: getOption('--shard'),
+    durations: getOption('--durations'),
+    output: getOption('--output'),
+    retries: getOption('--retries'),
+    heal: !args.includes('--no-heal')
+  };
+
+  const main = async () => {
+    // Merging result files needs reporters, but no browsers or dashboard; recording opens its own browser
+    if (command === 'merge' || command === 'record') {
+      hub.loadPlugins();
+    } else {
+      // A suite that cannot run (unknown name, dependency cycle, ...) fails before any browser starts
+      if (command === 'test' && !args.includes('--watch')) {
+        await (suiteArg ? hub.findSuite(suiteArg, testOptions) : hub.findAllSuites(testOptions));
+      }
+      await hub.initialize();
+    }
 
     switch (command) {
       case 'test':
-        const suiteName = args[1] || 'default';
-        const options = {
-          includeVisual: args.includes('--visual'),
-          includeAPI: args.includes('--api'),
-          generateAI: args.includes('--ai')
-        };
-        await hub.runTestSuite(suiteName, options);
+        if (args.includes('--watch')) {
+          await hub.watch(suiteArg, testOptions);
+          await hub.shutdown();
+          process.exit(0);
+        }
+
+        // Without a suite name every discovered suite runs, as with --watch
+        if (suiteArg) {
+          await hub.runTestSuite(suiteArg, testOptions);
+        } else {
+          await hub.runAllSuites(testOptions);
+        }
+        if (hub.debugger) {
+          await hub.debugger.finish();
+        }
+        break;
+
+      case 'merge':
+        // Positional arguments are result files or globs; option values are not
+        const files = args.slice(1).filter((arg, index, rest) => !arg.startsWith('--') && !(rest[index - 1] || '').startsWith('--'));
+        await hub.mergeResults(files, { output: getOption('--output') });
+        break;
+
+      case 'record':
+        if (!args[1] || args[1].startsWith('--')) {
+          throw new Error('Usage: node src/index.js record <url> [--output <file>] [--name <test name>]');
+        }
+        await hub.recordTest(args[1], { output: getOption('--output'), name: getOption('--name') });
         break;
 
       case 'dashboard':
@@ -134,16 +491,34 @@ if (require.main === module) {
 🚀 SmartQA Hub - Innovative QA Testing Framework
 
 Usage:
-  node src/index.js test [suite-name] [--visual] [--api] [--ai]
+  node src/index.js test [suite-name] [--visual] [--api] [--ai] [--env <name>]
+                       [--grep <text|/regex/>] [--tag <tag|!tag>] [--priority <level>]
+                       [--type <ui|visual|api|test type>] [--only <test-id>]
+                       [--shard <N/M> [--durations <results file>]] [--output <file>]
+                       [--retries <n>] [--no-heal]
+                       [--debug [--break <[test:]step>] [--slow-mo <ms>]] [--watch]
+  node src/index.js merge [result files...] [--output <file>]
+  node src/index.js record <url> [--output <file>] [--name <test name>] [--env <name>]
   node src/index.js dashboard
   node src/index.js generate <test description>
 
 Examples:
+  node src/index.js test
   node src/index.js test login --visual --api
+  node src/index.js test login --env staging
+  node src/index.js test login --tag smoke --tag !slow --priority high
+  node src/index.js test login --shard 2/4
+  node src/index.js test login --shard 2/4 --durations reports/results/login-test.merged.json
+  node src/index.js test login --retries 2
+  node src/index.js test login --no-heal
+  node src/index.js test login --debug --break "Click login button"
+  node src/index.js test --watch
+  node src/index.js merge reports/results/*.shard-*.json
+  node src/index.js record /login --env staging --name "Checkout flow"
   node src/index.js generate "test user registration flow"
         `);
     }
-  }
+  };
 
   main().catch(error => {
     logger.error('Fatal error:', error);
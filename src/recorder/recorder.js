@@ -0,0 +1,512 @@
+const { chromium } = require('playwright');
+const fs = require('fs').promises;
+const path = require('path');
+const util = require('util');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+const { validateStep } = require('../core/steps');
+
+const DEFAULT_SETTINGS = {
+  outputDir: './tests/recorded',
+  testIdAttributes: ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'],
+  // A navigation this soon after a recorded action is treated as caused by it
+  navigationWindow: 1500
+};
+
+// Runs in every frame of the recorded page. Sends each user interaction to the
+// recorder through the exposed `__smartqaRecord` binding, with a selector and a
+// human-readable label for the element. The top frame also gets the toolbar.
+function installRecorder({ testIdAttributes }) {
+  if (window.__smartqaRecorderInstalled) return;
+  window.__smartqaRecorderInstalled = true;
+
+  const send = (event) => window.__smartqaRecord(event);
+  const clean = (value, max = 60) => (value || '').replace(/\s+/g, ' ').trim().slice(0, max);
+  const quote = (value) => JSON.stringify(value);
+  const generated = (value) => /\d{3,}|^(css|sc|jsx|emotion|svelte)-|:/.test(value);
+  const TEXT_INPUTS = ['', 'text', 'email', 'password', 'search', 'tel', 'url', 'number', 'date', 'time', 'datetime-local', 'month', 'week', 'color', 'range'];
+  const INTERACTIVE = [
+    'button', 'a[href]', 'input', 'select', 'textarea', 'summary', 'label',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="tab"]',
+    '[role="menuitem"]', '[role="option"]', '[role="switch"]', '[onclick]', '[contenteditable="true"]',
+    ...testIdAttributes.map(attribute => `[${attribute}]`)
+  ].join(', ');
+
+  let toolbar = null;
+  let pickMode = null;
+  let highlight = null;
+
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const isTextInput = (element) =>
+    (element.tagName === 'INPUT' && TEXT_INPUTS.includes((element.getAttribute('type') || '').toLowerCase())) ||
+    element.tagName === 'TEXTAREA' ||
+    element.isContentEditable;
+
+  const isToggle = (element) =>
+    element.tagName === 'INPUT' && ['checkbox', 'radio'].includes(element.type);
+
+  const ownText = (element) => clean(element.innerText || element.textContent);
+
+  // Passwords and card details are recorded as one environment variable per field; their
+  // values never leave the page. autocomplete="cc-exp-month" becomes {{env.SMARTQA_CARD_EXP_MONTH}},
+  // a new-password field {{env.SMARTQA_NEW_PASSWORD}}, other password fields follow their name.
+  const envPlaceholder = (field) =>
+    `{{env.SMARTQA_${field.replace(/([a-z\d])([A-Z])/g, '$1_$2').replace(/[^A-Za-z\d]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase()}}}`;
+
+  const secretPlaceholder = (element) => {
+    const tokens = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+    const card = tokens.find(token => token.startsWith('cc-'));
+    if (card) return envPlaceholder(`card_${card.slice(3)}`);
+
+    if (element.tagName !== 'INPUT' || (element.getAttribute('type') || '').toLowerCase() !== 'password') return null;
+    if (tokens.includes('new-password')) return envPlaceholder('new_password');
+    if (tokens.includes('current-password')) return envPlaceholder('password');
+    return envPlaceholder(element.getAttribute('name') || element.id || 'password');
+  };
+
+  const labelOf = (element) => {
+    const labels = element.labels ? Array.from(element.labels).map(label => clean(label.textContent)) : [];
+    return clean(element.getAttribute('aria-label')) ||
+      labels[0] ||
+      clean(element.getAttribute('placeholder')) ||
+      clean(element.getAttribute('alt')) ||
+      clean(element.getAttribute('title')) ||
+      (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type) ? clean(element.value) : '') ||
+      (isTextInput(element) || element.tagName === 'SELECT' ? '' : ownText(element)) ||
+      clean(element.getAttribute('name')) ||
+      element.tagName.toLowerCase();
+  };
+
+  // The nearest ancestor a path can start from: one with a test id or a stable id
+  const anchorOf = (element) => {
+    for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+      const attribute = testIdAttributes.find(name => node.hasAttribute(name));
+      if (attribute) return `[${attribute}=${quote(node.getAttribute(attribute))}]`;
+      if (node.id && !generated(node.id) && isUnique(`#${CSS.escape(node.id)}`)) return `#${CSS.escape(node.id)}`;
+    }
+    return null;
+  };
+
+  // Test ids first, as the hand-written suites use, then ids, form attributes and
+  // visible text; a DOM path from the nearest anchor is the last resort
+  const selectorFor = (element) => {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+
+    for (const attribute of testIdAttributes) {
+      if (element.hasAttribute(attribute)) {
+        candidates.push(`[${attribute}=${quote(element.getAttribute(attribute))}]`);
+      }
+    }
+    if (element.id && !generated(element.id)) candidates.push(`#${CSS.escape(element.id)}`);
+    for (const attribute of ['name', 'aria-label', 'placeholder']) {
+      if (element.getAttribute(attribute)) candidates.push(`${tag}[${attribute}=${quote(element.getAttribute(attribute))}]`);
+    }
+
+    const unique = candidates.find(isUnique);
+    if (unique) return unique;
+
+    const text = ownText(element);
+    if (text && !isTextInput(element) && ['button', 'a', 'label', 'summary', 'option'].includes(tag)) {
+      const sameText = Array.from(document.querySelectorAll(tag)).filter(node => ownText(node) === text);
+      if (sameText.length === 1) return `${tag}:text-is(${quote(text)})`;
+    }
+
+    // Scoped test id, e.g. [data-testid="login-form"] [data-testid="submit"]
+    const anchor = anchorOf(element);
+    if (candidates.length > 0 && anchor && isUnique(`${anchor} ${candidates[0]}`)) {
+      return `${anchor} ${candidates[0]}`;
+    }
+
+    // Path from the anchor (or body) down, by tag and position among same-tag siblings
+    const segments = [];
+    let node = element;
+    for (; node.parentElement && node !== document.body; node = node.parentElement) {
+      const siblings = Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName);
+      segments.unshift(siblings.length > 1
+        ? `${node.tagName.toLowerCase()}:nth-of-type(${siblings.indexOf(node) + 1})`
+        : node.tagName.toLowerCase());
+      if (anchor && node.parentElement.matches(anchor)) break;
+    }
+
+    const scoped = anchor ? `${anchor} > ${segments.join(' > ')}` : null;
+    return scoped && isUnique(scoped) ? scoped : `body > ${segments.join(' > ')}`;
+  };
+
+  const describe = (element) => ({ selector: selectorFor(element), label: labelOf(element) });
+
+  const interactiveTarget = (element) => element.closest(INTERACTIVE) || element;
+
+  const inToolbar = (event) => toolbar && event.composedPath().includes(toolbar);
+
+  document.addEventListener('click', (event) => {
+    if (!event.isTrusted || inToolbar(event)) return;
+    const element = interactiveTarget(event.target);
+
+    if (pickMode) {
+      event.preventDefault();
+      event.stopPropagation();
+      const target = describe(event.target.closest(INTERACTIVE) || event.target);
+      if (pickMode === 'text') {
+        send({ action: 'assert', type: 'text', operator: 'contains', expected: ownText(event.target), ...target });
+      } else {
+        send({ action: 'assert', type: 'visible', ...target });
+      }
+      setPickMode(null);
+      return;
+    }
+
+    // Focusing a field is implied by filling it; toggles are recorded on change
+    if (isTextInput(element) || element.tagName === 'SELECT' || element.tagName === 'OPTION' || isToggle(element)) return;
+    if (element.tagName === 'LABEL' && element.control && (isToggle(element.control) || isTextInput(element.control))) return;
+
+    send({ action: 'click', ...describe(element) });
+  }, true);
+
+  document.addEventListener('input', (event) => {
+    if (!event.isTrusted || inToolbar(event)) return;
+    const element = event.target;
+    if (!isTextInput(element)) return;
+
+    const value = secretPlaceholder(element) || (element.isContentEditable ? element.innerText : element.value);
+    send({ action: 'fill', value, ...describe(element) });
+  }, true);
+
+  document.addEventListener('change', (event) => {
+    if (!event.isTrusted || inToolbar(event)) return;
+    const element = event.target;
+
+    if (element.tagName === 'SELECT') {
+      const values = Array.from(element.selectedOptions).map(option => option.value);
+      send({ action: 'select', value: secretPlaceholder(element) || (element.multiple ? values : values[0]), ...describe(element) });
+    } else if (isToggle(element)) {
+      send({ action: element.checked || element.type === 'radio' ? 'check' : 'uncheck', ...describe(element) });
+    } else if (element.tagName === 'INPUT' && element.type === 'file') {
+      send({ action: 'unsupported', reason: 'file uploads', ...describe(element) });
+    }
+  }, true);
+
+  // Typed characters are covered by fill; keys that do something on their own are not
+  const KEYS = ['Enter', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End'];
+  document.addEventListener('keydown', (event) => {
+    if (!event.isTrusted || inToolbar(event) || event.repeat) return;
+    const modifiers = ['Control', 'Alt', 'Meta'].filter(modifier => event.getModifierState(modifier));
+    if (!KEYS.includes(event.key) && (modifiers.length === 0 || event.key.length !== 1)) return;
+    if (['Control', 'Alt', 'Meta', 'Shift'].includes(event.key)) return;
+
+    const key = [...modifiers, ...(event.shiftKey && modifiers.length > 0 ? ['Shift'] : []), event.key].join('+');
+    const element = document.activeElement && document.activeElement !== document.body ? document.activeElement : null;
+    send({ action: 'press', key, ...(element ? describe(element) : {}) });
+  }, true);
+
+  // Outline under the pointer while picking the element for an assertion
+  document.addEventListener('mouseover', (event) => {
+    if (!pickMode || !highlight || inToolbar(event)) return;
+    const rect = event.target.getBoundingClientRect();
+    Object.assign(highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }, true);
+
+  function setPickMode(mode) {
+    pickMode = mode;
+    if (highlight && !mode) highlight.style.display = 'none';
+    if (toolbar) {
+      toolbar.shadowRoot.querySelectorAll('button').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+      });
+    }
+  }
+
+  function renderToolbar() {
+    if (window !== window.top || toolbar || !document.body) return;
+
+    toolbar = document.createElement('smartqa-recorder');
+    const shadow = toolbar.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        .bar { position: fixed; top: 8px; right: 8px; z-index: 2147483647; display: flex; gap: 4px; align-items: center;
+               padding: 6px 8px; background: #2c3e50; color: white; border-radius: 6px; font: 12px sans-serif;
+               box-shadow: 0 2px 8px rgba(0,0,0,0.3); }
+        button { border: none; border-radius: 4px; padding: 4px 8px; background: #34495e; color: white; cursor: pointer; font: inherit; }
+        button.active { background: #e67e22; }
+        button.finish { background: #c0392b; }
+        .outline { position: fixed; display: none; pointer-events: none; z-index: 2147483646;
+                   outline: 2px solid #e67e22; background: rgba(230,126,34,0.15); }
+      </style>
+      <div class="bar">
+        <span>⏺ SmartQA</span>
+        <button data-mode="visible" title="Click an element to assert it is visible">👁️ Visible</button>
+        <button data-mode="text" title="Click an element to assert its text">🔤 Text</button>
+        <button data-action="url" title="Assert the current URL">🔗 URL</button>
+        <button data-action="finish" class="finish" title="Save the recording">⏹ Finish</button>
+      </div>
+      <div class="outline"></div>
+    `;
+    highlight = shadow.querySelector('.outline');
+
+    shadow.addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (!button) return;
+
+      if (button.dataset.mode) {
+        setPickMode(pickMode === button.dataset.mode ? null : button.dataset.mode);
+      } else if (button.dataset.action === 'url') {
+        send({ action: 'assert', type: 'url', expected: location.href });
+      } else if (button.dataset.action === 'finish') {
+        send({ action: 'finish' });
+      }
+    });
+
+    document.documentElement.appendChild(toolbar);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', renderToolbar);
+  } else {
+    renderToolbar();
+  }
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'recording';
+}
+
+function shorten(value, max = 40) {
+  const text = String(value);
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Step names in the style of the hand-written suites ("Enter username", "Click login button")
+function nameStep(step, label) {
+  const target = label ? shorten(label) : step.selector;
+
+  switch (step.action) {
+    case 'navigate': return `Navigate to ${step.url}`;
+    case 'waitForURL': return `Wait for ${step.url}`;
+    case 'click': return `Click ${target}`;
+    case 'fill': return `Fill ${target}`;
+    case 'select': return `Select ${shorten([].concat(step.value).join(', '))} in ${target}`;
+    case 'check': return `Check ${target}`;
+    case 'uncheck': return `Uncheck ${target}`;
+    case 'press': return step.selector ? `Press ${step.key} in ${target}` : `Press ${step.key}`;
+    case 'assert':
+      if (step.type === 'url') return `Verify URL is ${step.expected}`;
+      if (step.type === 'text') return `Verify ${target} text`;
+      return `Verify ${target} is visible`;
+    default: return step.action;
+  }
+}
+
+// Records the interactions in a headed browser as a suite of SmartQA steps
+class InteractionRecorder {
+  constructor(config = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...config };
+    this.steps = [];
+    this.lastActionAt = 0;
+    this.browser = null;
+    this.target = null;
+    this.stopped = null;
+    this.done = null;
+    this.finish = () => {};
+  }
+
+  // Makes URLs on the environment's base URL relative, like the hand-written suites
+  relativeUrl(url) {
+    const { baseUrl } = this.settings;
+    if (baseUrl && url.startsWith(baseUrl.replace(/\/$/, ''))) {
+      return url.slice(baseUrl.replace(/\/$/, '').length) || '/';
+    }
+    return url;
+  }
+
+  add(step, label) {
+    const last = this.steps[this.steps.length - 1];
+
+    // One fill per field for consecutive typing
+    if (step.action === 'fill' && last?.action === 'fill' && last.selector === step.selector) {
+      last.value = step.value;
+      return;
+    }
+
+    // Same key order as the hand-written suites
+    const { action, selector, ...details } = step;
+    const named = { name: nameStep(step, label), action, ...(selector ? { selector } : {}), ...details };
+    validateStep(named);
+    this.steps.push(named);
+    logger.info(`⏺ ${named.name}`);
+  }
+
+  capture({ action, label, ...details }) {
+    if (action === 'finish') {
+      this.finish();
+      return;
+    }
+
+    if (action === 'unsupported') {
+      logger.warn(`⏺ Not recorded: ${details.reason} (${details.selector})`);
+      return;
+    }
+
+    if (action === 'assert' && details.type === 'url') {
+      details.expected = this.relativeUrl(details.expected);
+    }
+
+    this.lastActionAt = Date.now();
+    this.add({ action, ...details }, label);
+  }
+
+  onNavigated(url) {
+    const relative = this.relativeUrl(url);
+    const current = [...this.steps].reverse().find(step => ['navigate', 'waitForURL'].includes(step.action));
+    if (current && current.url === relative) return;
+
+    if (Date.now() - this.lastActionAt < this.settings.navigationWindow) {
+      this.add({ action: 'waitForURL', url: relative });
+    } else {
+      this.add({ action: 'navigate', url: relative });
+    }
+  }
+
+  async record(url, options = {}) {
+    this.target = { url, options };
+    this.browser = await chromium.launch({ headless: false });
+    const context = await this.browser.newContext({ viewport: null });
+    const page = await context.newPage();
+
+    this.done = new Promise(resolve => {
+      this.finish = resolve;
+    });
+
+    await context.exposeBinding('__smartqaRecord', ({ frame }, event) => {
+      if (frame.page() === page) this.capture(event);
+    });
+    await context.addInitScript(installRecorder, { testIdAttributes: this.settings.testIdAttributes });
+
+    context.on('page', (popup) => {
+      if (popup !== page) logger.warn(`⏺ Interactions in the new tab ${popup.url()} are not recorded`);
+    });
+    page.on('close', () => this.finish());
+    this.browser.on('disconnected', () => this.finish());
+
+    logger.info(`⏺ Recording ${url} — use the toolbar to add assertions, then Finish or close the browser`);
+    this.add({ action: 'navigate', url: this.relativeUrl(url) });
+
+    try {
+      await page.goto(url);
+    } catch (error) {
+      await this.browser.close();
+      throw error;
+    }
+
+    page.on('framenavigated', (frame) => {
+      if (frame === page.mainFrame()) this.onNavigated(frame.url());
+    });
+
+    await this.done;
+    return this.stop();
+  }
+
+  // Closes the browser and saves the suite; also called on Ctrl+C, so safe to call twice
+  async stop() {
+    if (!this.target) return undefined;
+    if (this.stopped) return this.stopped;
+
+    this.stopped = (async () => {
+      this.finish();
+
+      try {
+        await this.browser?.close();
+      } catch (error) {
+        logger.debug(`Recorder browser already closed: ${error.message}`);
+      }
+
+      return this.save(this.target.url, this.target.options);
+    })();
+
+    return this.stopped;
+  }
+
+  // The SMARTQA_* environment variables standing in for recorded passwords and card details
+  secretVariables() {
+    const names = JSON.stringify(this.steps).match(/\{\{env\.(SMARTQA_\w+)\}\}/g) || [];
+    return Array.from(new Set(names.map(name => name.slice(6, -2))));
+  }
+
+  buildSuite(url, options = {}) {
+    const name = options.name || `Recorded ${new URL(url).hostname}${new URL(url).pathname.replace(/\/$/, '')}`;
+    const id = slugify(name).replace(/-/g, '_');
+    const secrets = this.secretVariables();
+
+    return {
+      id,
+      name,
+      description: `Recorded from ${url} on ${new Date().toISOString()}` +
+        (secrets.length > 0 ? `; set ${secrets.join(', ')} before replaying` : ''),
+      tests: [
+        {
+          id: `${id}_001`,
+          name,
+          type: 'functional',
+          priority: 'medium',
+          tags: ['recorded'],
+          steps: this.steps
+        }
+      ]
+    };
+  }
+
+  serialize(suite, file) {
+    switch (path.extname(file).toLowerCase()) {
+      case '.json':
+        return `${JSON.stringify(suite, null, 2)}\n`;
+
+      case '.yml':
+      case '.yaml':
+        return yaml.dump(suite, { lineWidth: 120 });
+
+      default:
+        return `// ${suite.description}\n\nmodule.exports = ${util.inspect(suite, {
+          depth: null,
+          compact: false,
+          breakLength: 100,
+          maxArrayLength: null,
+          maxStringLength: null
+        })};\n`;
+    }
+  }
+
+  async save(url, options = {}) {
+    if (this.steps.length <= 1) {
+      logger.warn('⏺ Nothing was recorded; no suite written');
+      return undefined;
+    }
+
+    const suite = this.buildSuite(url, options);
+    const file = options.output || path.join(this.settings.outputDir, `${slugify(suite.name)}-test.js`);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, this.serialize(suite, file));
+    logger.info(`💾 Recorded ${this.steps.length} steps to ${file}`);
+
+    const secrets = this.secretVariables();
+    if (secrets.length > 0) {
+      logger.warn(`🔑 Set ${secrets.join(', ')} in the environment before replaying ${file}`);
+    }
+
+    return file;
+  }
+}
+
+module.exports = { InteractionRecorder, installRecorder, nameStep, DEFAULT_SETTINGS };
@@ -114,10 +114,10 @@ logger.visualDiff = (testId, pixelDiff, threshold) => {
   });
 };
 
-logger.performance = (metric, value, threshold) => {
+logger.performance = (metric, value, threshold, unit = 'ms') => {
   const passed = value <= threshold;
   const emoji = passed ? '⚡✅' : '⚡❌';
-  logger.info(`${emoji} ${metric}: ${value}ms (threshold: ${threshold}ms)`, {
+  logger.info(`${emoji} ${metric}: ${value}${unit} (threshold: ${threshold}${unit})`, {
     metric,
     value,
     threshold,
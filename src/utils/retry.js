@@ -0,0 +1,86 @@
+const logger = require('./logger');
+
+// Statuses that count as a failed attempt and may be retried
+const RETRYABLE_STATUSES = ['failed'];
+
+function resolveRetries(...candidates) {
+  const value = candidates.find(candidate => typeof candidate === 'number');
+  return value !== undefined ? Math.max(0, value) : 0;
+}
+
+function summarizeAttempt(result, attempt) {
+  const summary = {
+    attempt,
+    status: result.status,
+    error: result.error,
+    startTime: result.startTime,
+    endTime: result.endTime || new Date().toISOString()
+  };
+
+  // Keep the links to a failed attempt's trace, video and screenshots once it is retried
+  if (result.artifacts && Object.keys(result.artifacts).length > 0) {
+    summary.artifacts = result.artifacts;
+  }
+
+  if (result.screenshots && result.screenshots.length > 0) {
+    summary.screenshots = result.screenshots;
+  }
+
+  if (result.pageErrors && result.pageErrors.length > 0) {
+    summary.pageErrors = result.pageErrors;
+  }
+
+  return summary;
+}
+
+// Runs `runAttempt(attempt)` until it produces a non-failed result or the retries
+// are exhausted. The returned result is the last attempt's, with every attempt
+// recorded in `attempts`; a pass that needed a retry is reported as `flaky`.
+async function runWithRetries(runAttempt, { retries = 0, name = 'test' } = {}) {
+  const maxAttempts = retries + 1;
+  const attempts = [];
+  let result;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      result = await runAttempt(attempt);
+    } catch (error) {
+      attempts.push({
+        attempt,
+        status: 'failed',
+        error: error.message,
+        endTime: new Date().toISOString()
+      });
+
+      if (attempt === maxAttempts) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      logger.warn(`🔁 Retrying ${name} after error: ${error.message} (attempt ${attempt + 1}/${maxAttempts})`);
+      continue;
+    }
+
+    attempts.push(summarizeAttempt(result, attempt));
+
+    if (!RETRYABLE_STATUSES.includes(result.status)) {
+      break;
+    }
+
+    if (attempt < maxAttempts) {
+      logger.warn(`🔁 Retrying ${name} (attempt ${attempt + 1}/${maxAttempts})`);
+    }
+  }
+
+  result.attempts = attempts;
+  result.retries = attempts.length - 1;
+
+  if (result.status === 'passed' && attempts.length > 1) {
+    result.status = 'flaky';
+    logger.warn(`⚠️ ${name} is flaky: passed on attempt ${attempts.length}/${maxAttempts}`);
+  }
+
+  return result;
+}
+
+module.exports = { runWithRetries, resolveRetries };
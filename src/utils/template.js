@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+const PLACEHOLDER = /\{\{\s*([$\w.-]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([$\w.-]+)\s*\}\}$/;
+
+// Built-in values, available as {{$name}} in any template
+const BUILT_INS = {
+  $timestamp: () => Date.now(),
+  $isoDate: () => new Date().toISOString(),
+  $date: () => new Date().toISOString().slice(0, 10),
+  $randomId: () => crypto.randomBytes(4).toString('hex'),
+  $uuid: () => crypto.randomUUID(),
+  $randomInt: () => Math.floor(Math.random() * 1000000)
+};
+
+function lookup(scope, key) {
+  if (BUILT_INS[key]) {
+    return BUILT_INS[key]();
+  }
+
+  if (scope[key] !== undefined) {
+    return scope[key];
+  }
+
+  // Dotted paths such as {{env.API_TOKEN}} or {{loginResponse.data.token}}
+  return key.split('.').reduce((current, part) => {
+    return current != null && current[part] !== undefined ? current[part] : undefined;
+  }, scope);
+}
+
+// Replaces {{placeholders}} in strings, arrays and plain objects. A string that is
+// exactly one placeholder resolves to the raw value, so numbers and booleans keep
+// their type. Unknown placeholders are left untouched.
+function interpolate(value, scope = {}) {
+  if (typeof value === 'string') {
+    const single = SINGLE_PLACEHOLDER.exec(value);
+    if (single) {
+      const resolved = lookup(scope, single[1]);
+      return resolved !== undefined ? resolved : value;
+    }
+
+    return value.replace(PLACEHOLDER, (match, key) => {
+      const resolved = lookup(scope, key);
+      if (resolved === undefined) return match;
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, scope));
+  }
+
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, scope);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+// Lists the placeholders in a value that the scope cannot resolve
+function findUnresolved(value, scope = {}) {
+  const unresolved = new Set();
+
+  const visit = (item) => {
+    if (typeof item === 'string') {
+      for (const [, key] of item.matchAll(PLACEHOLDER)) {
+        if (lookup(scope, key) === undefined) unresolved.add(key);
+      }
+    } else if (Array.isArray(item)) {
+      item.forEach(visit);
+    } else if (item && Object.getPrototypeOf(item) === Object.prototype) {
+      Object.values(item).forEach(visit);
+    }
+  };
+
+  visit(value);
+  return Array.from(unresolved);
+}
+
+module.exports = { interpolate, findUnresolved, BUILT_INS };
@@ -0,0 +1,50 @@
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+class CancellationError extends Error {
+  constructor(message = 'Test cancelled') {
+    super(message);
+    this.name = 'CancellationError';
+  }
+}
+
+// Rejects with a TimeoutError if `promise` has not settled within `ms`.
+// A falsy or non-positive `ms` disables the timeout.
+function withTimeout(promise, ms, message) {
+  if (!ms || ms <= 0) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message || `Timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Rejects as soon as `signal` is aborted, with the error stored on `signal.error`
+// (falling back to a CancellationError).
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(signal.error || new CancellationError());
+  }
+
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.error || new CancellationError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+module.exports = { TimeoutError, CancellationError, withTimeout, abortable };
@@ -4,6 +4,8 @@ const { PNG } = require('pngjs');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { runWithRetries, resolveRetries } = require('../utils/retry');
+const { auditAccessibility } = require('../core/accessibility');
 
 class VisualTester {
   constructor(config = {}) {
@@ -33,21 +35,27 @@ class VisualTester {
     }
   }
 
-  async runTests(testSuite = []) {
+  async runTests(testSuite = [], options = {}) {
     logger.info('👁️ Running visual regression tests...');
     
     const results = [];
     
     for (const test of testSuite) {
       try {
-        const result = await this.runVisualTest(test);
+        const result = await runWithRetries(
+          () => this.runVisualTest(test),
+          { retries: resolveRetries(test.retries, options.retries), name: test.name || test.id }
+        );
+        result.environment = options.environment?.name;
         results.push(result);
       } catch (error) {
         results.push({
           id: test.id,
           name: test.name,
+          environment: options.environment?.name,
           status: 'failed',
           error: error.message,
+          attempts: error.attempts,
           timestamp: new Date().toISOString()
         });
       }
@@ -220,6 +228,7 @@ class VisualTester {
         total: results.length,
         passed: results.filter(r => r.status === 'passed').length,
         failed: results.filter(r => r.status === 'failed').length,
+        flaky: results.filter(r => r.status === 'flaky').length,
         baselineCreated: results.filter(r => r.status === 'baseline_created').length
       },
       tests: results.map(result => ({
@@ -227,6 +236,7 @@ class VisualTester {
         name: result.name,
         status: result.status,
         message: result.message,
+        attempts: result.attempts,
         screenshots: result.screenshots,
         comparisons: result.comparisons
       }))
@@ -288,14 +298,16 @@ class VisualTester {
     };
   }
 
-  async analyzeColorContrast(screenshot) {
-    // Implement color contrast analysis for accessibility
+  // Contrast of the page's text, computed from its styles; contrastRatio is the lowest ratio found
+  async analyzeColorContrast(page) {
     logger.info('🎨 Analyzing color contrast...');
-    
+
+    const audit = await auditAccessibility(page, { rules: ['color-contrast'], standards: ['wcag2aa'] });
+
     return {
-      contrastRatio: 4.5,
-      wcagCompliant: true,
-      issues: []
+      contrastRatio: audit.lowestContrast,
+      wcagCompliant: audit.violations.length === 0,
+      issues: audit.violations
     };
   }
 
@@ -0,0 +1,479 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const { baseTestId } = require('../core/sharding');
+
+const STATUS_ICONS = {
+  passed: '✅',
+  failed: '❌',
+  flaky: '⚠️',
+  skipped: '⏭️',
+  cancelled: '🛑',
+  running: '⏳',
+  queued: '·'
+};
+
+// Local modules a suite or plugin pulls in through require(), itself included
+function requiredFiles(file, seen = new Set()) {
+  if (seen.has(file)) return seen;
+  seen.add(file);
+
+  const cached = require.cache[file];
+  for (const child of cached ? cached.children : []) {
+    if (!child.filename.includes(`${path.sep}node_modules${path.sep}`)) {
+      requiredFiles(child.filename, seen);
+    }
+  }
+
+  return seen;
+}
+
+// Dataset files the suite's tests read: paths, or names from config.data.testData
+function datasetFiles(suite, testData = {}) {
+  const files = new Set();
+  const tests = [...(suite.tests || []), ...(suite.visualTests || []), ...(suite.apiTests || [])];
+
+  for (const test of tests) {
+    if (typeof test.dataset !== 'string') continue;
+    const [source] = test.dataset.split('#');
+    if (suite.testData && suite.testData[source] !== undefined) continue;
+    files.add(path.resolve(testData[source] || source));
+  }
+
+  return files;
+}
+
+// True for `dir` itself and anything below it; ./tests-data is not inside ./tests
+function isInside(file, dir) {
+  const relative = path.relative(dir, file);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+function pluginPaths(plugins = []) {
+  return plugins
+    .filter(plugin => plugin.startsWith('.') || path.isAbsolute(plugin))
+    .map(plugin => require.resolve(path.resolve(plugin)));
+}
+
+// Keeps the hub's browsers open and re-runs the suites whose files, required
+// modules or dataset files change. A changed plugin reloads the plugins and
+// re-runs every suite.
+class SuiteWatcher {
+  // `options` are passed on to runTestSuite for every run
+  constructor(hub, suiteName, options = {}, io = {}) {
+    this.hub = hub;
+    this.suiteName = suiteName;
+    this.options = options;
+    this.io = io;
+    this.settings = { debounce: 300, ...hub.config.watch };
+    this.suites = new Map();
+    this.states = new Map();
+    this.watchers = new Map();
+    this.changed = new Set();
+    this.timer = null;
+    this.running = null;
+    this.queued = null;
+    this.filter = null;
+    this.filterInput = null;
+    this.lastRun = null;
+    this.done = null;
+    this.stopped = false;
+    this.quit = () => {};
+    this.consoleLevel = null;
+  }
+
+  async start() {
+    this.done = new Promise(resolve => {
+      this.quit = resolve;
+    });
+
+    // The live summary replaces the per-step console log
+    const consoleTransport = logger.transports.find(transport => transport.name === 'console');
+    if (consoleTransport) {
+      this.consoleLevel = consoleTransport.level;
+      consoleTransport.level = 'error';
+    }
+
+    this.onTestCompleted = (result) => this.progress(result);
+    this.hub.core.on('testCompleted', this.onTestCompleted);
+
+    await this.refresh();
+    this.watch();
+    this.listenForKeys();
+    this.schedule([...this.suites.keys()]);
+
+    await this.done;
+    this.stop();
+
+    // The hub shuts down after this returns: end the run that is still going first
+    if (this.running) {
+      await this.hub.core.cancelAll('Watch mode ended');
+      await this.running;
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    this.queued = null;
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) watcher.close();
+    this.watchers.clear();
+    this.hub.core.off('testCompleted', this.onTestCompleted);
+
+    if (this.input) {
+      if (this.input.isTTY) this.input.setRawMode(false);
+      this.input.pause();
+    }
+    if (this.rl) this.rl.close();
+
+    const consoleTransport = logger.transports.find(transport => transport.name === 'console');
+    if (consoleTransport && this.consoleLevel !== null) consoleTransport.level = this.consoleLevel;
+  }
+
+  // Rediscovers the suites and what each depends on
+  async refresh() {
+    const { suites, errors } = await this.hub.suiteLoader.loadAll();
+    const target = this.suiteName ? String(this.suiteName).toLowerCase() : null;
+    const testData = this.hub.config.data?.testData || {};
+
+    this.suites.clear();
+    for (const suite of suites) {
+      if (target && !this.hub.suiteLoader.getSuiteAliases(suite).includes(target)) continue;
+
+      const files = /\.c?js$/i.test(suite.file) ? requiredFiles(suite.file) : new Set([suite.file]);
+      for (const file of datasetFiles(suite, testData)) files.add(file);
+      this.suites.set(suite.file, { suite, files });
+    }
+
+    this.loadErrors = errors;
+    this.plugins = new Set(pluginPaths(this.hub.config.plugins).flatMap(file => [...requiredFiles(file)]));
+
+    if (target && this.suites.size === 0) {
+      throw new Error(`Suite not found: "${this.suiteName}"`);
+    }
+  }
+
+  // The suites directory recursively, plus the directories of files outside it.
+  // Called again after every refresh, since suites can start or stop using files elsewhere.
+  watch() {
+    const suitesDir = path.resolve(this.hub.suiteLoader.config.dir);
+    const dirs = new Map([[suitesDir, true]]);
+
+    for (const file of [...this.plugins, ...[...this.suites.values()].flatMap(({ files }) => [...files])]) {
+      const dir = path.dirname(file);
+      if (!isInside(dir, suitesDir)) dirs.set(dir, false);
+    }
+
+    for (const [dir, watcher] of this.watchers) {
+      if (dirs.has(dir)) continue;
+      watcher.close();
+      this.watchers.delete(dir);
+    }
+
+    for (const [dir, recursive] of dirs) {
+      if (this.watchers.has(dir)) continue;
+
+      try {
+        const watcher = fs.watch(dir, { recursive }, (event, filename) => {
+          if (filename) this.onChange(path.join(dir, filename.toString()));
+        });
+        watcher.on('error', (error) => logger.warn(`👀 Stopped watching ${dir}: ${error.message}`));
+        this.watchers.set(dir, watcher);
+      } catch (error) {
+        logger.warn(`👀 Cannot watch ${dir}: ${error.message}`);
+      }
+    }
+  }
+
+  onChange(file) {
+    this.changed.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.flush().catch((error) => {
+        this.message = `❌ ${error.message}`;
+        this.render();
+      });
+    }, this.settings.debounce);
+  }
+
+  isWatched(file) {
+    return this.plugins.has(file) ||
+      this.suites.has(file) ||
+      [...this.suites.values()].some(({ files }) => files.has(file));
+  }
+
+  async flush() {
+    const pending = [...this.changed];
+    this.changed.clear();
+
+    // New suite files are the ones the loader would now discover
+    const discovered = new Set(await this.hub.suiteLoader.discover());
+    const changed = pending.filter(file => this.isWatched(file) || discovered.has(file));
+    if (changed.length === 0) return;
+
+    // Forget the old modules so suites and plugins are required afresh
+    for (const file of changed) delete require.cache[file];
+
+    let affected;
+    if (changed.some(file => this.plugins.has(file))) {
+      for (const file of this.plugins) delete require.cache[file];
+      this.hub.plugins.clear();
+      try {
+        this.hub.loadPlugins();
+      } catch (error) {
+        this.message = `❌ ${error.message}`;
+        this.render();
+        return;
+      }
+      affected = null;
+    } else {
+      affected = [...this.suites.entries()]
+        .filter(([, { files }]) => changed.some(file => files.has(file)))
+        .map(([file]) => file);
+      for (const file of affected) {
+        for (const dependency of this.suites.get(file).files) delete require.cache[dependency];
+      }
+    }
+
+    const known = new Set(this.suites.keys());
+    await this.refresh();
+    this.watch();
+
+    // New suite files run too; deleted ones drop out of the summary
+    const added = [...this.suites.keys()].filter(file => !known.has(file));
+    for (const file of this.states.keys()) {
+      if (!this.suites.has(file)) this.states.delete(file);
+    }
+
+    this.message = `Changed: ${changed.map(file => path.relative(process.cwd(), file)).join(', ')}`;
+    this.schedule(affected === null ? [...this.suites.keys()] : [...affected, ...added]);
+  }
+
+  // Runs one batch at a time; batches requested meanwhile are merged and run next
+  schedule(files, mode = 'all') {
+    if (this.stopped) return;
+
+    const batch = { files: new Set(files.filter(file => this.suites.has(file))), mode };
+    if (batch.files.size === 0) {
+      this.render();
+      return;
+    }
+
+    if (this.running) {
+      if (this.queued) {
+        for (const file of batch.files) this.queued.files.add(file);
+        if (batch.mode === 'all') this.queued.mode = 'all';
+      } else {
+        this.queued = batch;
+      }
+      return;
+    }
+
+    this.running = this.run(batch).finally(() => {
+      this.running = null;
+      const next = this.queued;
+      this.queued = null;
+      if (next) this.schedule([...next.files], next.mode);
+    });
+  }
+
+  async run({ files, mode }) {
+    const startTime = Date.now();
+    for (const file of files) {
+      const state = this.stateFor(file);
+      if (mode !== 'failed' || state.failed.length > 0) state.status = 'queued';
+    }
+    this.render();
+
+    for (const file of files) {
+      if (this.stopped) break;
+
+      const entry = this.suites.get(file);
+      const state = this.stateFor(file);
+      if (!entry || state.status !== 'queued') continue;
+
+      const only = mode === 'failed' ? state.failed : undefined;
+      state.status = 'running';
+      state.completed = 0;
+      this.render();
+
+      try {
+        const results = await this.hub.runTestSuite(entry.suite.id, {
+          ...this.options,
+          ...(only ? { only } : {}),
+          ...(this.filter ? { grep: [this.filter] } : {})
+        });
+        this.record(state, results.tests);
+        state.error = null;
+      } catch (error) {
+        state.status = 'failed';
+        state.error = error.message;
+      }
+      this.render();
+    }
+
+    this.lastRun = { at: new Date(), duration: Date.now() - startTime };
+    this.render();
+  }
+
+  stateFor(file) {
+    if (!this.states.has(file)) {
+      this.states.set(file, { status: 'queued', results: new Map(), failed: [], completed: 0, error: null });
+    }
+    return this.states.get(file);
+  }
+
+  // A test left out by a filter keeps the result of its last real run
+  record(state, results) {
+    for (const result of results) {
+      const key = `${result.id}|${result.browser || ''}`;
+      if (result.status === 'skipped' && state.results.has(key)) continue;
+      state.results.set(key, result);
+    }
+
+    const latest = [...state.results.values()];
+    state.failed = [...new Set(latest.filter(result => result.status === 'failed').map(result => baseTestId(result.id)))];
+    state.status = latest.some(result => result.status === 'failed') ? 'failed'
+      : latest.some(result => result.status === 'flaky') ? 'flaky'
+        : 'passed';
+  }
+
+  progress() {
+    const running = [...this.states.values()].find(state => state.status === 'running');
+    if (running) {
+      running.completed++;
+      this.render();
+    }
+  }
+
+  summaryLines() {
+    const lines = [];
+    const runTime = this.lastRun ? ` · last run ${this.lastRun.at.toLocaleTimeString()} (${(this.lastRun.duration / 1000).toFixed(1)}s)` : '';
+    lines.push(`👀 SmartQA watch · ${this.suites.size} suite(s)${runTime}`);
+    lines.push('');
+
+    for (const [file, { suite }] of this.suites) {
+      const state = this.states.get(file);
+      const status = state ? state.status : 'queued';
+      const results = state ? [...state.results.values()] : [];
+      const counts = ['passed', 'failed', 'flaky', 'skipped', 'cancelled']
+        .map(name => [name, results.filter(result => result.status === name).length])
+        .filter(([, count]) => count > 0)
+        .map(([name, count]) => `${count} ${name}`);
+      const detail = status === 'running' ? `running… ${state.completed} done` : counts.join(', ');
+
+      lines.push(`${STATUS_ICONS[status] || ' '} ${suite.name || suite.id}${detail ? `  ${detail}` : ''}`);
+      if (state?.error) lines.push(`     ${state.error}`);
+      for (const result of results.filter(candidate => candidate.status === 'failed').slice(0, 5)) {
+        lines.push(`     ✗ ${result.name || result.id} [${result.browser || result.type || ''}]: ${String(result.error || '').split('\n')[0].slice(0, 120)}`);
+      }
+    }
+
+    for (const { file, error } of this.loadErrors || []) {
+      lines.push(`⚠️ ${path.relative(process.cwd(), file)}: ${error}`);
+    }
+
+    lines.push('');
+    if (this.message) lines.push(this.message);
+    if (this.filter) lines.push(`Filter: ${this.filter}`);
+    lines.push(this.filterInput !== null
+      ? `Filter by name › ${this.filterInput}_`
+      : '› f re-run failed · a run all · p filter by name · c clear filter · q quit');
+
+    return lines;
+  }
+
+  render() {
+    const output = this.io.output || process.stdout;
+    if (output.isTTY) output.write('\x1b[2J\x1b[H');
+    output.write(`${this.summaryLines().join('\n')}\n`);
+  }
+
+  rerunFailed() {
+    const files = [...this.states.entries()].filter(([, state]) => state.failed.length > 0).map(([file]) => file);
+    this.message = files.length > 0 ? 'Re-running failed tests' : 'No failed tests to re-run';
+    this.schedule(files, 'failed');
+  }
+
+  rerunAll() {
+    this.message = 'Re-running every suite';
+    this.schedule([...this.suites.keys()]);
+  }
+
+  setFilter(filter) {
+    this.filter = filter || null;
+    this.message = this.filter ? `Running tests matching ${this.filter}` : 'Filter cleared';
+    this.schedule([...this.suites.keys()]);
+  }
+
+  // Single keys on a terminal; one command per line ("p <name>" to filter) otherwise
+  listenForKeys() {
+    this.input = this.io.input || process.stdin;
+
+    if (!this.input.isTTY) {
+      this.rl = readline.createInterface({ input: this.input });
+      this.rl.on('line', (line) => {
+        const [key, ...rest] = line.trim().split(/\s+/);
+        if (key === 'p') this.setFilter(rest.join(' '));
+        else this.onKey(key);
+      });
+      return;
+    }
+
+    readline.emitKeypressEvents(this.input);
+    this.input.setRawMode(true);
+    this.input.resume();
+    this.input.on('keypress', (text, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        this.quit();
+        return;
+      }
+
+      if (this.filterInput === null) {
+        this.onKey(key.name || text);
+        return;
+      }
+
+      if (key.name === 'return') {
+        const filter = this.filterInput;
+        this.filterInput = null;
+        this.setFilter(filter);
+      } else if (key.name === 'escape') {
+        this.filterInput = null;
+        this.render();
+      } else if (key.name === 'backspace') {
+        this.filterInput = this.filterInput.slice(0, -1);
+        this.render();
+      } else if (text && !key.ctrl && !key.meta) {
+        this.filterInput += text;
+        this.render();
+      }
+    });
+  }
+
+  onKey(key) {
+    switch (key) {
+      case 'f':
+        this.rerunFailed();
+        break;
+      case 'a':
+        this.rerunAll();
+        break;
+      case 'p':
+        this.filterInput = '';
+        this.render();
+        break;
+      case 'c':
+        this.setFilter(null);
+        break;
+      case 'q':
+        this.quit();
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+module.exports = { SuiteWatcher, requiredFiles, datasetFiles, isInside };
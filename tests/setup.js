@@ -0,0 +1,13 @@
+// Unit tests never write to logs/ or the console
+jest.mock('../src/utils/logger', () => {
+  const logger = {};
+  for (const level of ['error', 'warn', 'info', 'debug', 'testStart', 'testEnd', 'testStep', 'apiRequest', 'visualDiff', 'performance']) {
+    logger[level] = jest.fn();
+  }
+  logger.ai = { generated: jest.fn(), confidence: jest.fn() };
+  logger.dashboard = { clientConnected: jest.fn(), clientDisconnected: jest.fn(), broadcast: jest.fn() };
+  logger.transports = [];
+  logger.withRequestId = () => logger;
+  logger.withSession = () => logger;
+  return logger;
+});
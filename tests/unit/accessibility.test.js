@@ -0,0 +1,32 @@
+const { RULES, resolveRules } = require('../../src/core/accessibility');
+
+const rulesAt = level => Object.keys(RULES).filter(rule => RULES[rule].level === level);
+
+describe('resolveRules', () => {
+  test('wcag2aa alone checks the A rules too', () => {
+    const rules = resolveRules({ standards: ['wcag2aa'] });
+
+    expect(rules).toEqual(expect.arrayContaining([...rulesAt('A'), ...rulesAt('AA')]));
+    expect(rules).toContain('image-alt');
+    expect(rules).toContain('color-contrast');
+  });
+
+  test('wcag2a leaves out the AA rules, wcag2aaa keeps everything', () => {
+    expect(resolveRules({ standards: ['wcag2a'] })).not.toContain('color-contrast');
+    expect(resolveRules({ standards: ['wcag2aaa'] })).toEqual(Object.keys(RULES));
+    expect(resolveRules({})).toEqual(Object.keys(RULES));
+  });
+
+  test('drops ignored rules and warnings, and narrows to the given rules', () => {
+    const settings = { standards: ['wcag2aa'], ignoreRules: ['label'], includeWarnings: false };
+
+    expect(resolveRules(settings)).not.toContain('label');
+    expect(resolveRules(settings)).not.toContain('heading-order');
+    expect(resolveRules({ ...settings, rules: ['color-contrast', 'label', 'tabindex'] })).toEqual(['color-contrast']);
+  });
+
+  test('rejects unknown standards and an empty list instead of checking nothing', () => {
+    expect(() => resolveRules({ standards: ['wcag21aa'] })).toThrow('Invalid accessibility standards: "wcag21aa" (expected wcag2a, wcag2aa, wcag2aaa)');
+    expect(() => resolveRules({ standards: [] })).toThrow('Invalid accessibility standards: none given');
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ArtifactManager, ArtifactRecorder } = require('../../src/core/artifacts');
+const { SmartQACore } = require('../../src/core/engine');
+
+describe('ArtifactManager.createRecorder', () => {
+  const manager = new ArtifactManager({ outputDir: 'out', artifacts: { video: 'on-failure' } });
+
+  test('layers test settings over suite settings over the config', () => {
+    const recorder = manager.createRecorder({ id: 'checkout', artifacts: { har: 'always' } }, 'firefox', 2, { video: 'always', trace: 'off' });
+
+    expect(recorder.settings).toEqual({ trace: 'off', video: 'always', har: 'always' });
+    expect(recorder.dir).toBe(path.join('out', 'artifacts', 'checkout-firefox-attempt2'));
+  });
+
+  test('makes test ids safe for file names', () => {
+    expect(manager.createRecorder({ id: 'login[2]@mobile/de-DE' }, 'webkit').dir)
+      .toBe(path.join('out', 'artifacts', 'login_2_mobile_de-DE-webkit-attempt1'));
+  });
+
+  test('rejects unknown capture modes', () => {
+    expect(() => manager.createRecorder({ id: 'x', artifacts: { trace: 'sometimes' } }, 'chromium'))
+      .toThrow('Invalid trace capture mode: "sometimes"');
+  });
+});
+
+describe('ArtifactRecorder', () => {
+  const recorder = (settings, attempt = 1) => new ArtifactRecorder('dir', { trace: 'off', video: 'off', har: 'off', ...settings }, attempt);
+
+  test('on-first-retry records only the second attempt', () => {
+    expect(recorder({ trace: 'on-first-retry' }, 1).isRecording('trace')).toBe(false);
+    expect(recorder({ trace: 'on-first-retry' }, 2).isRecording('trace')).toBe(true);
+    expect(recorder({ trace: 'on-first-retry' }, 3).isRecording('trace')).toBe(false);
+  });
+
+  test('on-failure records every attempt but keeps only failed and cancelled ones', () => {
+    const onFailure = recorder({ video: 'on-failure' });
+
+    expect(onFailure.isRecording('video')).toBe(true);
+    expect(onFailure.shouldKeep('video', 'passed')).toBe(false);
+    expect(onFailure.shouldKeep('video', 'failed')).toBe(true);
+    expect(onFailure.shouldKeep('video', 'cancelled')).toBe(true);
+    expect(recorder({ video: 'always' }).shouldKeep('video', 'passed')).toBe(true);
+  });
+
+  test('asks the context for video and HAR only when they are recorded', () => {
+    expect(recorder({}).contextOptions()).toEqual({});
+    expect(recorder({ video: 'always', har: 'on-failure' }).contextOptions()).toEqual({
+      recordVideo: { dir: 'dir' },
+      recordHar: { path: path.join('dir', 'network.har') }
+    });
+  });
+
+  test('stops the trace with a file only when it is kept', async () => {
+    const context = { tracing: { stop: jest.fn() } };
+    const traced = recorder({ trace: 'on-failure' });
+
+    await traced.stopTrace(context, 'passed');
+    expect(context.tracing.stop).toHaveBeenLastCalledWith();
+    expect(traced.files.trace).toBeUndefined();
+
+    await traced.stopTrace(context, 'failed');
+    expect(context.tracing.stop).toHaveBeenLastCalledWith({ path: path.join('dir', 'trace.zip') });
+    expect(traced.files.trace).toBe(path.join('dir', 'trace.zip'));
+  });
+
+  test('deletes a video that is not kept', async () => {
+    const video = { path: jest.fn(async () => 'dir/video.webm'), delete: jest.fn(async () => {}) };
+
+    await expect(recorder({ video: 'on-failure' }).finalize(video, 'passed')).resolves.toEqual({});
+    expect(video.delete).toHaveBeenCalled();
+    await expect(recorder({ video: 'on-failure' }).finalize(video, 'failed')).resolves.toEqual({ video: 'dir/video.webm' });
+  });
+
+  test('numbers screenshots so equally named steps do not overwrite each other', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-artifacts-'));
+    const screenshots = new ArtifactRecorder(dir, {}, 1);
+
+    try {
+      const first = await screenshots.saveScreenshot(Buffer.from('a'), 'Click: Save');
+      const second = await screenshots.saveScreenshot(Buffer.from('b'), 'Click: Save');
+
+      expect(path.basename(first)).toBe('01-Click_Save.png');
+      expect(path.basename(second)).toBe('02-Click_Save.png');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('setting up a test\'s page', () => {
+  test('an invalid capture mode fails the test before a context is opened', async () => {
+    const core = new SmartQACore({ timeout: 1000 });
+    const browser = { newContext: jest.fn() };
+
+    const result = await core.executeTest(browser, 'chromium', { id: 'checkout', name: 'Checkout', artifacts: { trace: 'on-fail' } });
+
+    expect(result).toMatchObject({ id: 'checkout', name: 'Checkout', browser: 'chromium', status: 'failed' });
+    expect(result.error).toMatch(/^Invalid trace capture mode: "on-fail"/);
+    expect(browser.newContext).not.toHaveBeenCalled();
+  });
+
+  test('a context that cannot be set up fails the test and is closed', async () => {
+    const core = new SmartQACore({ timeout: 1000, reporting: { artifacts: { trace: 'off' } } });
+    const context = { setDefaultTimeout: jest.fn(), on: jest.fn(), newPage: jest.fn(async () => { throw new Error('Target closed'); }), close: jest.fn(async () => {}) };
+
+    const result = await core.executeTest({ newContext: async () => context }, 'firefox', { id: 'search' });
+
+    expect(result).toMatchObject({ id: 'search', browser: 'firefox', status: 'failed', error: 'Target closed' });
+    expect(context.close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+const { OPERATORS, evaluateAssertion, pollAssertion, validateAssertion } = require('../../src/core/assertions');
+
+// Just enough of a Playwright page for the targets used below
+function fakePage({ url = 'https://shop.test/', title = 'Shop', elements = {} } = {}) {
+  const locator = selector => {
+    const element = elements[selector];
+    const api = {
+      first: () => api,
+      count: async () => (element ? 1 : 0),
+      textContent: async () => element.text,
+      isVisible: async () => Boolean(element && element.visible !== false),
+      getAttribute: async name => element.attributes?.[name] ?? null
+    };
+    return api;
+  };
+
+  return { url: () => url, title: async () => title, locator };
+}
+
+describe('OPERATORS', () => {
+  test.each([
+    ['equals', { a: [1] }, { a: [1] }, true],
+    ['equals', '1', 1, false],
+    ['contains', 'Welcome back', 'back', true],
+    ['contains', ['a', 'b'], 'b', true],
+    ['contains', null, 'x', false],
+    ['matches', 'Order #1234', '/#\\d{4}$/', true],
+    ['matches', 'ORDER', '/order/i', true],
+    ['matches', 'abc', '^b', false],
+    ['startsWith', 'https://shop.test/cart', 'https://', true],
+    ['endsWith', 'report.pdf', '.pdf', true],
+    ['gt', '5', 4, true],
+    ['gte', 4, 4, true],
+    ['lt', 3, 3, false],
+    ['lte', '3', 3, true]
+  ])('%s(%p, %p) is %p', (operator, actual, expected, result) => {
+    expect(OPERATORS[operator].test(actual, expected)).toBe(result);
+  });
+});
+
+describe('validateAssertion', () => {
+  test('rejects unknown types and operators and missing fields', () => {
+    expect(() => validateAssertion({ type: 'smell' })).toThrow('Unknown assertion type: smell');
+    expect(() => validateAssertion({ type: 'title', operator: 'near' })).toThrow('Unknown assertion operator: near');
+    expect(() => validateAssertion({ type: 'attribute', selector: 'a' })).toThrow('Attribute assertion requires "attribute"');
+  });
+});
+
+describe('evaluateAssertion', () => {
+  const page = fakePage({
+    title: 'Checkout - Shop',
+    elements: {
+      '#total': { text: '42.00' },
+      '#banner': { text: 'Sale', visible: false },
+      'a.help': { text: 'Help', attributes: { href: '/help' } }
+    }
+  });
+
+  test('returns the actual value when the assertion holds', async () => {
+    await expect(evaluateAssertion(page, { type: 'text', selector: '#total', expected: '42.00' })).resolves.toBe('42.00');
+    await expect(evaluateAssertion(page, { type: 'attribute', selector: 'a.help', attribute: 'href', operator: 'startsWith', expected: '/' })).resolves.toBe('/help');
+  });
+
+  test('uses the target\'s default expectation', async () => {
+    await expect(evaluateAssertion(page, { type: 'visible', selector: '#banner' })).rejects.toThrow('Visibility assertion failed. Expected: true, Got: false');
+  });
+
+  test('negates with not', async () => {
+    await expect(evaluateAssertion(page, { type: 'title', operator: 'contains', expected: 'Cart', not: true })).resolves.toBe('Checkout - Shop');
+    await expect(evaluateAssertion(page, { type: 'title', operator: 'contains', expected: 'Shop', not: true }))
+      .rejects.toThrow('Title assertion failed. Expected not to contain: "Shop", Got: "Checkout - Shop"');
+  });
+
+  test('fails clearly when the element is missing', async () => {
+    await expect(evaluateAssertion(page, { type: 'text', selector: '#nope', expected: 'x' })).rejects.toThrow('No element matches selector: #nope');
+  });
+});
+
+describe('pollAssertion', () => {
+  test('retries until the assertion holds', async () => {
+    let count = 0;
+    const page = { ...fakePage(), title: async () => (++count < 3 ? 'Loading' : 'Ready') };
+
+    await expect(pollAssertion(page, { type: 'title', expected: 'Ready' }, 2000)).resolves.toBe('Ready');
+    expect(count).toBe(3);
+  });
+
+  test('gives up after the timeout with the last failure', async () => {
+    await expect(pollAssertion(fakePage(), { type: 'title', expected: 'Never' }, 150)).rejects.toThrow('Title assertion failed');
+  });
+
+  test('fails configuration errors immediately', async () => {
+    const page = fakePage();
+    page.title = jest.fn();
+
+    await expect(pollAssertion(page, { type: 'title', operator: 'near' }, 5000)).rejects.toThrow('Unknown assertion operator');
+    expect(page.title).not.toHaveBeenCalled();
+  });
+});
+
+describe('url assertions with a base URL', () => {
+  const context = { baseUrl: 'https://shop.test' };
+  const page = fakePage({ url: 'https://shop.test/orders/1234?tab=items#summary' });
+  const assertUrl = (operator, expected, extra = {}) => evaluateAssertion(page, { type: 'url', operator, expected, ...extra }, context);
+
+  test('equals resolves a relative URL and ignores what it does not specify', async () => {
+    await expect(assertUrl('equals', '/orders/1234')).resolves.toBe('https://shop.test/orders/1234');
+    await expect(assertUrl('equals', 'https://shop.test/orders/1234')).resolves.toBe('https://shop.test/orders/1234');
+    await expect(assertUrl('equals', '/orders/1234?tab=items')).resolves.toBe('https://shop.test/orders/1234?tab=items');
+  });
+
+  test('equals with not resolves the same way', async () => {
+    await expect(assertUrl('equals', '/cart', { not: true })).resolves.toBeDefined();
+    await expect(assertUrl('equals', '/orders/1234', { not: true })).rejects.toThrow('URL assertion failed. Expected not: "https://shop.test/orders/1234"');
+  });
+
+  test('contains matches a substring of the full URL', async () => {
+    await expect(assertUrl('contains', '/orders/')).resolves.toBe('https://shop.test/orders/1234?tab=items#summary');
+    await expect(assertUrl('contains', 'tab=items')).resolves.toBeDefined();
+  });
+
+  test('matches takes the pattern as written', async () => {
+    await expect(assertUrl('matches', '/\\/orders\\/\\d+/')).resolves.toBeDefined();
+    await expect(assertUrl('matches', '^https://shop\\.test/orders')).resolves.toBeDefined();
+    await expect(assertUrl('matches', '/\\/cart$/')).rejects.toThrow('URL assertion failed. Expected to match: "/\\/cart$/"');
+  });
+
+  test('startsWith and endsWith use the full URL', async () => {
+    await expect(assertUrl('startsWith', 'https://shop.test/orders')).resolves.toBeDefined();
+    await expect(assertUrl('endsWith', '#summary')).resolves.toBeDefined();
+    await expect(assertUrl('startsWith', '/orders')).rejects.toThrow('URL assertion failed');
+  });
+});
@@ -0,0 +1,135 @@
+const { AuthManager, normalizeAuth, computeExpiry } = require('../../src/core/auth');
+const { SmartQACore } = require('../../src/core/engine');
+
+const signInSteps = [{ action: 'navigate', url: '/login' }];
+
+describe('normalizeAuth', () => {
+  test('the steps shorthand declares a default role every test uses', () => {
+    expect(normalizeAuth({ steps: signInSteps })).toMatchObject({ defaultRole: 'default', roles: { default: { steps: signInSteps } } });
+  });
+
+  test('rejects roles without steps', () => {
+    expect(() => normalizeAuth({ roles: {} })).toThrow('Suite "auth" must declare "steps" or at least one entry in "roles"');
+    expect(() => normalizeAuth({ roles: { admin: { steps: [] } } })).toThrow('Auth role "admin" must declare a non-empty "steps" array');
+  });
+});
+
+describe('computeExpiry', () => {
+  test('takes the earliest of the first expiring cookie and the ttl', () => {
+    const now = Date.now();
+    const state = { cookies: [{ expires: -1 }, { expires: (now + 60000) / 1000 }] };
+
+    expect(computeExpiry(state)).toBe(now + 60000);
+    expect(computeExpiry(state, 1000)).toBeLessThanOrEqual(Date.now() + 1000);
+    expect(computeExpiry({ cookies: [] })).toBeNull();
+  });
+});
+
+describe('AuthManager', () => {
+  let auth;
+
+  beforeEach(() => {
+    auth = new AuthManager();
+    auth.configure({
+      defaultRole: 'viewer',
+      roles: {
+        admin: { steps: signInSteps },
+        viewer: { steps: signInSteps }
+      }
+    });
+  });
+
+  test('roleFor applies the default role and honours role: false', () => {
+    expect(auth.roleFor({})).toBe('viewer');
+    expect(auth.roleFor({ role: 'admin' })).toBe('admin');
+    expect(auth.roleFor({ role: false })).toBeNull();
+    expect(() => auth.roleFor({ role: 'owner' })).toThrow('Unknown auth role: "owner" (defined: admin, viewer)');
+  });
+
+  test('signs in once per browser and role and reuses the state', async () => {
+    const runSetup = jest.fn(async () => ({ status: 'passed', storageState: { cookies: [] } }));
+
+    const [first, second] = await Promise.all([
+      auth.acquire('chromium', 'admin', runSetup),
+      auth.acquire('chromium', 'admin', runSetup)
+    ]);
+    await auth.acquire('firefox', 'admin', runSetup);
+
+    expect(runSetup).toHaveBeenCalledTimes(2);
+    expect([first.reused, second.reused]).toEqual([false, true]);
+  });
+
+  test('drops a failed sign-in so the next test signs in again', async () => {
+    const runSetup = jest.fn()
+      .mockResolvedValueOnce({ status: 'failed', error: 'bad password' })
+      .mockResolvedValueOnce({ status: 'passed', storageState: { cookies: [] } });
+
+    const failed = await auth.acquire('chromium', 'admin', runSetup);
+    const retried = await auth.acquire('chromium', 'admin', runSetup);
+
+    expect(failed.error.message).toBe('bad password');
+    expect(retried).toMatchObject({ reused: false, state: { cookies: [] } });
+  });
+});
+
+describe('role variables', () => {
+  const credentials = {
+    admin: { username: 'ada@shop.test' },
+    viewer: { username: 'vic@shop.test', password: 'viewer-pw' }
+  };
+  const authSection = {
+    roles: {
+      admin: {
+        variables: { user: '{{credentials.admin.username}}', password: '{{env.SMARTQA_ADMIN_PASSWORD}}' },
+        steps: signInSteps
+      },
+      viewer: {
+        variables: { user: '{{credentials.viewer.username}}', password: '{{credentials.viewer.password}}', manager: '{{roles.admin.user}}' },
+        steps: signInSteps
+      }
+    }
+  };
+
+  beforeEach(() => {
+    process.env.SMARTQA_ADMIN_PASSWORD = 'admin-pw';
+  });
+
+  afterEach(() => {
+    delete process.env.SMARTQA_ADMIN_PASSWORD;
+  });
+
+  test('are filled from credentials, env and other roles before the sign-in runs', async () => {
+    const core = new SmartQACore({ timeout: 1000 });
+    core.auth.configure(authSection);
+    core.runHookInContext = jest.fn(async () => ({ phase: 'auth', status: 'passed', steps: [], storageState: { cookies: [] } }));
+    core.executeTest = jest.fn(async () => ({ status: 'passed', hooks: [] }));
+    const options = { variables: { credentials, currency: 'EUR' } };
+
+    await core.executeWithSession({}, 'chromium', { id: 'delete_user', role: 'admin' }, options);
+    await core.executeWithSession({}, 'chromium', { id: 'delete_user_forbidden', role: 'viewer' }, options);
+
+    const [adminHook, viewerHook] = core.runHookInContext.mock.calls.map(call => call[4].variables);
+    expect(adminHook).toMatchObject({ role: 'admin', user: 'ada@shop.test', password: 'admin-pw', currency: 'EUR' });
+    expect(viewerHook).toMatchObject({ role: 'viewer', user: 'vic@shop.test', password: 'viewer-pw', manager: 'ada@shop.test' });
+    expect(viewerHook.roles.admin.password).toBe('admin-pw');
+    expect(core.executeTest).toHaveBeenCalledTimes(2);
+  });
+
+  test('a variable that cannot be filled fails the sign-in instead of being typed', async () => {
+    delete process.env.SMARTQA_ADMIN_PASSWORD;
+    const core = new SmartQACore({ timeout: 1000 });
+    core.auth.configure(authSection);
+    core.runHookInContext = jest.fn();
+    core.executeTest = jest.fn();
+
+    const result = await core.executeWithSession({}, 'chromium', { id: 'delete_user', role: 'admin' }, { variables: { credentials } });
+
+    expect(core.runHookInContext).not.toHaveBeenCalled();
+    expect(core.executeTest).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      status: 'failed',
+      failedPhase: 'auth',
+      error: 'auth hook failed: role "admin": Unresolved variable(s) in auth role "admin": env.SMARTQA_ADMIN_PASSWORD'
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCSV, loadDataset, expandDatasets } = require('../../src/core/dataset');
+
+describe('parseCSV', () => {
+  test('parses quoted fields, escaped quotes and CRLF line endings', () => {
+    const csv = 'name,comment\r\n"Smith, Jane","said ""hi"""\r\nBob,\r\n\r\n';
+
+    expect(parseCSV(csv)).toEqual([
+      { name: 'Smith, Jane', comment: 'said "hi"' },
+      { name: 'Bob', comment: '' }
+    ]);
+  });
+
+  test('returns no rows for an empty file', () => {
+    expect(parseCSV('')).toEqual([]);
+  });
+});
+
+describe('loadDataset', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-dataset-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('returns inline rows as they are', async () => {
+    await expect(loadDataset([{ a: 1 }])).resolves.toEqual([{ a: 1 }]);
+  });
+
+  test('looks up the suite\'s testData first', async () => {
+    await expect(loadDataset('users', { suiteData: { users: [{ id: 1 }] } })).resolves.toEqual([{ id: 1 }]);
+  });
+
+  test('reads a configured testData file and selects a nested array', async () => {
+    const file = path.join(dir, 'users.json');
+    fs.writeFileSync(file, JSON.stringify({ groups: { valid: [{ id: 2 }] } }));
+
+    await expect(loadDataset('users#groups.valid', { testData: { users: file } })).resolves.toEqual([{ id: 2 }]);
+  });
+
+  test('reads a CSV file by path', async () => {
+    const file = path.join(dir, 'logins.csv');
+    fs.writeFileSync(file, 'user,password\nada,pw1\n');
+
+    await expect(loadDataset(file)).resolves.toEqual([{ user: 'ada', password: 'pw1' }]);
+  });
+
+  test('rejects data that is not an array of rows', async () => {
+    await expect(loadDataset('users', { suiteData: { users: { id: 1 } } })).rejects.toThrow('Dataset "users" does not resolve to an array of rows');
+    await expect(loadDataset(42)).rejects.toThrow('Dataset must be an array of rows or a string reference');
+  });
+});
+
+describe('expandDatasets', () => {
+  test('turns each row into its own test with a readable name', async () => {
+    const tests = await expandDatasets([
+      { id: 'login', name: 'Login', dataset: [{ user: 'ada', role: 'admin' }, { _name: 'guest user' }, 'plain'] },
+      { id: 'logout' }
+    ]);
+
+    expect(tests.map(test => [test.id, test.name, test.dataRow])).toEqual([
+      ['login[0]', 'Login [user=ada, role=admin]', 0],
+      ['login[1]', 'Login [guest user]', 1],
+      ['login[2]', 'Login [plain]', 2],
+      ['logout', undefined, undefined]
+    ]);
+    expect(tests[2].data).toEqual({ value: 'plain' });
+    expect(tests[0]).not.toHaveProperty('dataset');
+  });
+
+  test('keeps a test whose dataset fails to load, marked with the error', async () => {
+    const [test] = await expandDatasets([{ id: 'x', dataset: 'missing' }], { suiteData: {}, testData: {} });
+
+    expect(test.id).toBe('x');
+    expect(test.datasetError).toMatch(/^Failed to load dataset: /);
+  });
+});
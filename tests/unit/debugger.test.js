@@ -0,0 +1,57 @@
+const { PassThrough } = require('stream');
+const { StepDebugger } = require('../../src/debug/debugger');
+
+// A terminal the test types into
+function fakeTerminal() {
+  const input = new PassThrough();
+  input.isTTY = true;
+  const output = new PassThrough();
+  output.resume();
+  return { input, output };
+}
+
+describe('StepDebugger', () => {
+  const context = { test: { id: 'login', name: 'Login' }, step: { action: 'click', selector: '#submit' }, index: 0, browserType: 'chromium' };
+
+  test('Ctrl+C at the prompt cancels the run and reaches the process SIGINT handler', async () => {
+    const core = { cancelAll: jest.fn() };
+    const terminal = fakeTerminal();
+    const debug = new StepDebugger(core, { breakpoints: ['1'] }, terminal);
+    const runStep = jest.fn();
+    const emit = process.emit;
+    const signals = [];
+    jest.spyOn(process, 'emit').mockImplementation(function (event, ...args) {
+      if (event !== 'SIGINT') return emit.call(this, event, ...args);
+      signals.push(event);
+      return true;
+    });
+
+    try {
+      const result = debug.runStep(context, runStep);
+      await new Promise(resolve => setImmediate(resolve));
+      terminal.input.write('\x03');
+
+      expect(await result).toMatchObject({ status: 'cancelled', error: 'Debug session ended' });
+      expect(runStep).not.toHaveBeenCalled();
+      expect(core.cancelAll).toHaveBeenCalledWith('Debug session ended');
+      expect(signals).toEqual(['SIGINT']);
+      expect(debug.closed).toBe(true);
+    } finally {
+      process.emit.mockRestore();
+    }
+  });
+
+  test('input running out carries on without pausing again', async () => {
+    const core = { cancelAll: jest.fn() };
+    const terminal = fakeTerminal();
+    terminal.input.isTTY = false;
+    const debug = new StepDebugger(core, { breakpoints: ['1'] }, terminal);
+    const runStep = jest.fn(async () => ({ status: 'passed' }));
+
+    const result = debug.runStep(context, runStep);
+    terminal.input.end();
+
+    expect(await result).toEqual({ status: 'passed' });
+    expect(core.cancelAll).not.toHaveBeenCalled();
+  });
+});
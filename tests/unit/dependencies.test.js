@@ -0,0 +1,80 @@
+const {
+  DependencyError,
+  buildDependencyGraph,
+  orderByDependencies,
+  groupByDependencies,
+  dependencySkipReason
+} = require('../../src/core/dependencies');
+
+const ids = tests => tests.map(test => test.id);
+
+describe('buildDependencyGraph', () => {
+  test('maps each declared test to its prerequisites, merging rows and matrix combinations', () => {
+    const graph = buildDependencyGraph([
+      { id: 'login' },
+      { id: 'checkout[0]', dependsOn: 'login' },
+      { id: 'checkout[1]', dependsOn: ['login', 'cart'] }
+    ]);
+
+    expect(Object.fromEntries([...graph].map(([id, edges]) => [id, [...edges]]))).toEqual({
+      login: [],
+      checkout: ['login', 'cart']
+    });
+  });
+
+  test('rejects cycles, naming the path', () => {
+    const tests = [{ id: 'a', dependsOn: 'b' }, { id: 'b', dependsOn: 'c' }, { id: 'c', dependsOn: 'a' }];
+
+    expect(() => buildDependencyGraph(tests)).toThrow(DependencyError);
+    expect(() => buildDependencyGraph(tests)).toThrow('Dependency cycle: a → b → c → a');
+    expect(() => buildDependencyGraph([{ id: 'self', dependsOn: 'self' }])).toThrow('Dependency cycle: self → self');
+  });
+
+  test('ignores prerequisites that are not in the list', () => {
+    expect(() => buildDependencyGraph([{ id: 'a', dependsOn: 'elsewhere' }])).not.toThrow();
+  });
+});
+
+describe('orderByDependencies', () => {
+  test('puts prerequisites first and otherwise keeps the declared order', () => {
+    const ordered = orderByDependencies([
+      { id: 'pay', dependsOn: 'cart' },
+      { id: 'search' },
+      { id: 'cart', dependsOn: 'login' },
+      { id: 'login' }
+    ]);
+
+    expect(ids(ordered)).toEqual(['search', 'login', 'cart', 'pay']);
+  });
+});
+
+describe('groupByDependencies', () => {
+  test('maps connected tests to the same group', () => {
+    const groups = groupByDependencies([
+      { id: 'login' },
+      { id: 'cart', dependsOn: 'login' },
+      { id: 'pay', dependsOn: ['cart', 'missing'] },
+      { id: 'search' }
+    ]);
+
+    expect(Object.fromEntries(groups)).toEqual({ login: 'cart', cart: 'cart', pay: 'cart', search: 'search' });
+  });
+});
+
+describe('dependencySkipReason', () => {
+  test('lets a test run when every prerequisite passed or was flaky', () => {
+    const outcomes = new Map([['login', ['passed', 'flaky']], ['cart', ['passed']]]);
+
+    expect(dependencySkipReason({ id: 'pay', dependsOn: ['login', 'cart'] }, outcomes)).toBeNull();
+    expect(dependencySkipReason({ id: 'search' }, outcomes)).toBeNull();
+  });
+
+  test('explains a missing, failed or skipped prerequisite', () => {
+    const outcomes = new Map([['login', ['passed', 'failed']], ['cart', ['skipped']], ['empty', []]]);
+
+    expect(dependencySkipReason({ dependsOn: 'login' }, outcomes)).toBe('Prerequisite "login" failed');
+    expect(dependencySkipReason({ dependsOn: 'cart' }, outcomes)).toBe('Prerequisite "cart" was skipped');
+    expect(dependencySkipReason({ dependsOn: 'empty' }, outcomes)).toBe('Prerequisite "empty" is not part of this run');
+    expect(dependencySkipReason({ dependsOn: 'wishlist' }, outcomes)).toBe('Prerequisite "wishlist" is not part of this run');
+  });
+});
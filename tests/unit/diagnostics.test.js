@@ -0,0 +1,98 @@
+const { EventEmitter } = require('events');
+const { DEFAULT_SETTINGS, PageMonitor, resolveDiagnostics, matchesText } = require('../../src/core/diagnostics');
+
+const consoleMessage = (type, text, location = {}) => ({ type: () => type, text: () => text, location: () => location });
+
+const failedRequest = (url, errorText = 'net::ERR_FAILED') => ({
+  url: () => url,
+  method: () => 'GET',
+  resourceType: () => 'fetch',
+  failure: () => ({ errorText })
+});
+
+// A page monitored while the test is on `step`
+function monitored(settings) {
+  const page = new EventEmitter();
+  let step = null;
+  const monitor = new PageMonitor(page, settings, () => step);
+  return { page, monitor, enter: (name) => { step = name; } };
+}
+
+describe('resolveDiagnostics', () => {
+  test('later sources override earlier ones, key by key', () => {
+    expect(resolveDiagnostics({ failOnPageError: true, allow: ['favicon'] }, undefined, { allow: [] })).toEqual({
+      ...DEFAULT_SETTINGS,
+      failOnPageError: true,
+      allow: []
+    });
+    expect(resolveDiagnostics({ unknown: true })).toEqual(DEFAULT_SETTINGS);
+  });
+});
+
+describe('matchesText', () => {
+  test('takes substrings, /regex/ strings and RegExp objects', () => {
+    expect(matchesText('favicon', 'GET /favicon.ico 404')).toBe(true);
+    expect(matchesText('/^ResizeObserver/i', 'resizeobserver loop limit exceeded')).toBe(true);
+    expect(matchesText(/chunk \d+/, 'Loading chunk 42 failed')).toBe(true);
+    expect(matchesText('checkout', 'Cart error')).toBe(false);
+  });
+});
+
+describe('PageMonitor', () => {
+  test('collects console messages, page errors and failed requests with the running step', () => {
+    const { page, monitor, enter } = monitored();
+
+    page.emit('console', consoleMessage('log', 'app started', { url: 'https://shop.test/app.js', lineNumber: 3, columnNumber: 7 }));
+    enter('Add to cart');
+    page.emit('pageerror', new Error('cart is undefined'));
+    page.emit('requestfailed', failedRequest('https://shop.test/api/cart'));
+
+    const { console: messages, pageErrors, failedRequests } = monitor.summary();
+    expect(messages).toEqual([{ type: 'log', text: 'app started', location: 'https://shop.test/app.js:3:7', step: undefined, timestamp: expect.any(String) }]);
+    expect(pageErrors[0]).toMatchObject({ message: 'cart is undefined', step: 'Add to cart' });
+    expect(failedRequests[0]).toMatchObject({ url: 'https://shop.test/api/cart', method: 'GET', failure: 'net::ERR_FAILED', step: 'Add to cart' });
+    // Nothing fails a test by default
+    expect(monitor.takeViolations()).toEqual([]);
+  });
+
+  test('failOnPageError turns uncaught errors into violations, once', () => {
+    const { page, monitor, enter } = monitored({ failOnPageError: true });
+
+    enter('Checkout');
+    page.emit('pageerror', new Error('boom'));
+
+    expect(monitor.takeViolations()).toEqual(['Uncaught page error: boom (during "Checkout")']);
+    expect(monitor.takeViolations()).toEqual([]);
+  });
+
+  test('failOnConsoleError: true fails on any console error, but not on warnings', () => {
+    const { page, monitor } = monitored({ failOnConsoleError: true });
+
+    page.emit('console', consoleMessage('warning', 'deprecated API'));
+    page.emit('console', consoleMessage('error', 'Failed to render'));
+
+    expect(monitor.takeViolations()).toEqual(['Console error: Failed to render']);
+  });
+
+  test('failOnConsoleError patterns only fail on matching errors', () => {
+    const { page, monitor } = monitored({ failOnConsoleError: ['/^TypeError/', 'checkout'] });
+
+    page.emit('console', consoleMessage('error', 'Analytics blocked'));
+    page.emit('console', consoleMessage('error', 'TypeError: x is null'));
+    page.emit('console', consoleMessage('error', 'checkout widget failed'));
+
+    expect(monitor.takeViolations()).toEqual(['Console error: TypeError: x is null', 'Console error: checkout widget failed']);
+  });
+
+  test('allowed entries are kept and marked but never fail the test', () => {
+    const { page, monitor } = monitored({ failOnPageError: true, failOnConsoleError: true, allow: ['ResizeObserver', '/favicon/'] });
+
+    page.emit('console', consoleMessage('error', 'GET /favicon.ico 404'));
+    page.emit('pageerror', new Error('ResizeObserver loop limit exceeded'));
+    page.emit('requestfailed', failedRequest('https://shop.test/favicon.ico'));
+
+    expect(monitor.takeViolations()).toEqual([]);
+    const { console: messages, pageErrors, failedRequests } = monitor.summary();
+    expect([messages[0].allowed, pageErrors[0].allowed, failedRequests[0].allowed]).toEqual([true, true, true]);
+  });
+});
@@ -0,0 +1,75 @@
+const { resolveDevice, resolveEmulation, buildContextOptions, expandMatrix, summarizeDimensions } = require('../../src/core/emulation');
+
+describe('resolveDevice', () => {
+  test('looks up custom devices, presets and Playwright device names', () => {
+    expect(resolveDevice('kiosk', { kiosk: { viewport: { width: 1080, height: 1920 } } })).toEqual({ viewport: { width: 1080, height: 1920 } });
+    expect(resolveDevice('laptop').viewport).toEqual({ width: 1366, height: 768 });
+    expect(resolveDevice('mobile')).toMatchObject({ isMobile: true, hasTouch: true });
+    expect(resolveDevice('Pixel 7')).not.toHaveProperty('defaultBrowserType');
+  });
+
+  test('rejects unknown devices', () => {
+    expect(() => resolveDevice('toaster')).toThrow(/^Unknown device: "toaster" \(presets: desktop, /);
+  });
+});
+
+describe('resolveEmulation', () => {
+  test('the test\'s settings override the suite\'s', () => {
+    expect(resolveEmulation({ locale: 'de-DE' }, { locale: 'en-US', timezoneId: 'UTC', retries: 2 }))
+      .toEqual({ locale: 'de-DE', timezoneId: 'UTC' });
+  });
+});
+
+describe('buildContextOptions', () => {
+  test('grants geolocation and keeps a default viewport', () => {
+    expect(buildContextOptions({ geolocation: { latitude: 52.5, longitude: 13.4 }, offline: true }, 'chromium')).toEqual({
+      geolocation: { latitude: 52.5, longitude: 13.4 },
+      permissions: ['geolocation'],
+      offline: true,
+      viewport: { width: 1920, height: 1080 }
+    });
+  });
+
+  test('drops isMobile on Firefox', () => {
+    expect(buildContextOptions({ device: 'mobile' }, 'firefox')).not.toHaveProperty('isMobile');
+    expect(buildContextOptions({ device: 'mobile' }, 'webkit').isMobile).toBe(true);
+  });
+});
+
+describe('expandMatrix', () => {
+  test('runs every device and locale combination as its own test', () => {
+    const tests = expandMatrix([{ id: 'checkout', name: 'Checkout', matrix: { devices: ['desktop', 'mobile'], locales: ['en-US', 'de-DE'], browsers: ['webkit'] } }]);
+
+    expect(tests.map(test => test.id)).toEqual([
+      'checkout@desktop/en-US',
+      'checkout@desktop/de-DE',
+      'checkout@mobile/en-US',
+      'checkout@mobile/de-DE'
+    ]);
+    expect(tests[3]).toMatchObject({ name: 'Checkout (mobile, de-DE)', device: 'mobile', locale: 'de-DE', browsers: ['webkit'] });
+    expect(tests[3]).not.toHaveProperty('matrix');
+  });
+
+  test('a test\'s matrix replaces the suite\'s, and tests without either are left alone', () => {
+    const tests = expandMatrix([{ id: 'a', matrix: { locales: ['fr-FR'] } }, { id: 'b', locale: 'en-GB' }], { devices: ['tablet'] });
+
+    expect(tests.map(test => test.id)).toEqual(['a@fr-FR', 'b@tablet']);
+    expect(expandMatrix([{ id: 'c' }])).toEqual([{ id: 'c' }]);
+  });
+});
+
+describe('summarizeDimensions', () => {
+  test('counts results per combination', () => {
+    const summary = summarizeDimensions([
+      { status: 'passed', dimensions: { browser: 'webkit', device: 'mobile', locale: 'de-DE' } },
+      { status: 'failed', dimensions: { browser: 'webkit', device: 'mobile', locale: 'de-DE' } },
+      { status: 'passed', dimensions: { browser: 'chromium' } },
+      { status: 'passed' }
+    ]);
+
+    expect(summary).toEqual({
+      'webkit · mobile · de-DE': { browser: 'webkit', device: 'mobile', locale: 'de-DE', total: 2, passed: 1, failed: 1, flaky: 0, skipped: 0, cancelled: 0 },
+      chromium: { browser: 'chromium', total: 1, passed: 1, failed: 0, flaky: 0, skipped: 0, cancelled: 0 }
+    });
+  });
+});
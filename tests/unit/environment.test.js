@@ -0,0 +1,83 @@
+const { resolveEnvironment, resolveUrl } = require('../../src/core/environment');
+
+describe('resolveEnvironment', () => {
+  const config = {
+    environment: { baseUrl: 'http://localhost:3000', timeout: 30000 },
+    defaultEnvironment: 'local',
+    environments: {
+      local: {},
+      staging: {
+        baseUrl: 'https://staging.shop.test',
+        apiUrl: 'https://api.staging.shop.test',
+        credentials: { username: 'qa', password: '{{env.STAGING_PASSWORD}}' },
+        variables: { currency: 'EUR' }
+      }
+    }
+  };
+
+  afterEach(() => {
+    delete process.env.STAGING_PASSWORD;
+  });
+
+  test('falls back to the default environment and the shared defaults', () => {
+    expect(resolveEnvironment(config)).toEqual({
+      name: 'local',
+      baseUrl: 'http://localhost:3000',
+      apiUrl: 'http://localhost:3000',
+      credentials: {},
+      variables: {},
+      readOnly: false
+    });
+  });
+
+  test('marks a profile read-only from its readOnly field', () => {
+    const environments = { prod: { readOnly: true } };
+
+    expect(resolveEnvironment({ environments }, 'prod').readOnly).toBe(true);
+  });
+
+  test('rejects a misspelled or misplaced readOnly instead of leaving the profile writable', () => {
+    const environments = {
+      typo: { readonly: true },
+      text: { readOnly: 'true' },
+      variable: { variables: { readOnly: true } }
+    };
+
+    expect(() => resolveEnvironment({ environments }, 'typo')).toThrow('Invalid environment "typo": "readonly" is not allowed');
+    expect(() => resolveEnvironment({ environments }, 'text')).toThrow('Invalid environment "text": "readOnly" must be a boolean');
+    expect(() => resolveEnvironment({ environments }, 'variable'))
+      .toThrow('Invalid environment "variable": "variables.readOnly" has no effect; set readOnly on the profile');
+  });
+
+  test('the shipped prod-readonly profile is read-only', () => {
+    const shipped = require('../../config/default.json');
+
+    expect(resolveEnvironment(shipped, 'prod-readonly').readOnly).toBe(true);
+  });
+
+  test('fills {{env.*}} placeholders from process.env', () => {
+    process.env.STAGING_PASSWORD = 's3cret';
+
+    const environment = resolveEnvironment(config, 'staging');
+
+    expect(environment).toMatchObject({ name: 'staging', apiUrl: 'https://api.staging.shop.test', variables: { currency: 'EUR' } });
+    expect(environment.credentials.password).toBe('s3cret');
+  });
+
+  test('rejects an unknown environment', () => {
+    expect(() => resolveEnvironment(config, 'prod')).toThrow('Unknown environment: "prod" (available: local, staging)');
+  });
+});
+
+describe('resolveUrl', () => {
+  test('resolves relative URLs against the base', () => {
+    expect(resolveUrl('/login', 'https://shop.test/app/')).toBe('https://shop.test/login');
+    expect(resolveUrl('login', 'https://shop.test/app/')).toBe('https://shop.test/app/login');
+  });
+
+  test('leaves absolute URLs, missing bases and non-strings alone', () => {
+    expect(resolveUrl('mailto:a@b.test', 'https://shop.test')).toBe('mailto:a@b.test');
+    expect(resolveUrl('/login')).toBe('/login');
+    expect(resolveUrl(/login/, 'https://shop.test')).toEqual(/login/);
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SelectorHealer, resolveHealing, candidateSelectors, similarity, fingerprintKey, DEFAULT_SETTINGS } = require('../../src/core/healing');
+
+const submitButton = {
+  tag: 'button',
+  type: 'submit',
+  testId: 'submit',
+  testIdAttribute: 'data-testid',
+  id: 'checkout-submit',
+  role: 'button',
+  name: 'Place order',
+  label: '',
+  text: 'Place order',
+  nameAttribute: '',
+  placeholder: '',
+  classes: ['btn', 'btn-primary'],
+  path: 'form#checkout > button'
+};
+
+// A page where `selectors` maps each selector that matches to the fingerprint of its element
+function fakePage(url, selectors) {
+  return {
+    url: () => url,
+    locator: (selector) => ({
+      first() {
+        return this;
+      },
+      waitFor: async () => {
+        if (!selectors[selector]) throw new Error('Timeout');
+      },
+      count: async () => (selectors[selector] ? 1 : 0),
+      evaluate: async () => selectors[selector]
+    })
+  };
+}
+
+describe('resolveHealing', () => {
+  test('merges config, suite and test settings; false anywhere turns it off', () => {
+    expect(resolveHealing({ minScore: 0.6 }, true, { waitTimeout: 500 })).toEqual({ ...DEFAULT_SETTINGS, minScore: 0.6, waitTimeout: 500 });
+    expect(resolveHealing({}, false, { minScore: 0.9 })).toBeNull();
+    expect(resolveHealing({ enabled: false })).toBeNull();
+  });
+});
+
+describe('candidateSelectors', () => {
+  test('tries the most specific attributes first', () => {
+    expect(candidateSelectors(submitButton).map(({ strategy, selector }) => `${strategy}: ${selector}`)).toEqual([
+      'testId: [data-testid="submit"]',
+      'id: [id="checkout-submit"]',
+      'role: role=button[name="Place order"]',
+      'text: button:text-is("Place order")',
+      'path: form#checkout > button'
+    ]);
+  });
+
+  test('uses labels, name and placeholder attributes for form fields', () => {
+    const email = { tag: 'input', label: 'Email', nameAttribute: 'email', placeholder: 'you@example.com', classes: [] };
+
+    expect(candidateSelectors(email).map(candidate => candidate.strategy)).toEqual(['label', 'name', 'placeholder']);
+    expect(candidateSelectors({ ...email, label: 'Say "hi"' }).map(candidate => candidate.strategy)).toEqual(['name', 'placeholder']);
+  });
+});
+
+describe('similarity', () => {
+  test('is 1 for the same element and weighs the fields that changed', () => {
+    expect(similarity(submitButton, submitButton)).toBe(1);
+
+    // Same test id, role and name; new id, classes and path
+    const restyled = { ...submitButton, id: 'submit-order', classes: ['button', 'button--primary'], path: 'main > form > button' };
+    expect(similarity(submitButton, restyled)).toBe(0.72);
+  });
+
+  test('counts shared classes in proportion', () => {
+    const stored = { tag: 'a', classes: ['nav', 'active'] };
+
+    expect(similarity(stored, { tag: 'a', classes: ['nav'] })).toBe(0.75);
+    expect(similarity(stored, { tag: 'span', classes: [] })).toBe(0);
+    expect(similarity({ classes: [] }, { classes: [] })).toBe(0);
+  });
+});
+
+describe('fingerprintKey', () => {
+  test('keys by page path and selector, whatever the host or query', () => {
+    expect(fingerprintKey('.btn-primary', 'https://staging.shop.test/checkout?step=2')).toBe('/checkout .btn-primary');
+    expect(fingerprintKey('.btn-primary', 'http://localhost:3000/checkout#pay')).toBe('/checkout .btn-primary');
+    expect(fingerprintKey('#q', 'about:blank')).toBe('blank #q');
+  });
+});
+
+describe('SelectorHealer', () => {
+  let dir;
+  let healer;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-healing-'));
+    healer = new SelectorHealer({ store: path.join(dir, 'fingerprints.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stores fingerprints in the reports directory, outside the suites', () => {
+    expect(new SelectorHealer().settings.store).toBe(path.join('reports', '.smartqa', 'fingerprints.json'));
+    expect(new SelectorHealer({}, { outputDir: dir }).settings.store).toBe(path.join(dir, '.smartqa', 'fingerprints.json'));
+    expect(new SelectorHealer({ store: 'fingerprints.json' }, { outputDir: dir }).settings.store).toBe('fingerprints.json');
+  });
+
+  test('keeps the same selector on different pages apart', () => {
+    const searchButton = { ...submitButton, testId: 'search', name: 'Search' };
+
+    healer.remember('.btn-primary', submitButton, 'https://shop.test/checkout');
+    healer.remember('.btn-primary', searchButton, 'https://shop.test/search');
+
+    expect(Object.keys(healer.fingerprints)).toEqual(['/checkout .btn-primary', '/search .btn-primary']);
+    expect(healer.fingerprints['/checkout .btn-primary']).toMatchObject({ selector: '.btn-primary', fingerprint: submitButton });
+  });
+
+  test('only rewrites the store when a fingerprint changes', async () => {
+    healer.remember('.btn-primary', submitButton, 'https://shop.test/checkout');
+    await healer.save();
+    const written = fs.statSync(healer.settings.store).mtimeMs;
+
+    healer.remember('.btn-primary', { ...submitButton }, 'https://shop.test/checkout?coupon=1');
+    expect(healer.dirty).toBe(false);
+    await healer.save();
+    expect(fs.statSync(healer.settings.store).mtimeMs).toBe(written);
+
+    healer.remember('.btn-primary', { ...submitButton, text: 'Pay now' }, 'https://shop.test/checkout');
+    expect(healer.dirty).toBe(true);
+  });
+
+  test('heals a selector from the fingerprint stored for that page', async () => {
+    healer.remember('.btn-primary', submitButton, 'https://shop.test/checkout');
+    const restyled = { ...submitButton, classes: ['button'] };
+    const page = fakePage('https://shop.test/checkout', { '[data-testid="submit"]': restyled });
+
+    const target = await healer.locate(page, { action: 'click', selector: '.btn-primary' }, { waitTimeout: 10, minScore: 0.5 });
+
+    expect(target).toMatchObject({
+      selector: '[data-testid="submit"]',
+      url: 'https://shop.test/checkout',
+      healed: { from: '.btn-primary', to: '[data-testid="submit"]', strategy: 'testId' }
+    });
+  });
+
+  test('does not heal with a fingerprint from another page, or a dissimilar element', async () => {
+    healer.remember('.btn-primary', submitButton, 'https://shop.test/checkout');
+    const settings = { waitTimeout: 10, minScore: 0.5 };
+    const step = { action: 'click', selector: '.btn-primary' };
+
+    const elsewhere = await healer.locate(fakePage('https://shop.test/cart', { '[data-testid="submit"]': submitButton }), step, settings);
+    expect(elsewhere).toEqual({ selector: '.btn-primary', url: 'https://shop.test/cart' });
+
+    const unrelated = { tag: 'div', classes: [], path: 'footer > div' };
+    const dissimilar = await healer.locate(fakePage('https://shop.test/checkout', { '[data-testid="submit"]': unrelated }), step, settings);
+    expect(dissimilar.healed).toBeUndefined();
+  });
+
+  test('loads stored fingerprints once', async () => {
+    healer.remember('#q', submitButton, 'https://shop.test/search');
+    await healer.save();
+
+    const reloaded = new SelectorHealer({ store: healer.settings.store });
+    await reloaded.load();
+
+    expect(reloaded.fingerprints['/search #q'].fingerprint).toEqual(submitButton);
+    expect(reloaded.dirty).toBe(false);
+  });
+});
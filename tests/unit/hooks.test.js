@@ -0,0 +1,103 @@
+const { HookError, resolveHooks, runHook, runBeforeHooks, runAfterHooks, applyAfterHookError } = require('../../src/core/hooks');
+
+// Steps pass unless they are named "fail" or "cancel"
+const executeStep = jest.fn(async step => ({
+  name: step.name,
+  status: step.name === 'fail' ? 'failed' : step.name === 'cancel' ? 'cancelled' : 'passed',
+  error: step.name === 'fail' ? 'step failed' : undefined
+}));
+
+beforeEach(() => executeStep.mockClear());
+
+describe('resolveHooks', () => {
+  test('combines suite hooks with the test\'s setup and cleanup', () => {
+    const hooks = resolveHooks({ beforeEach: [{ name: 'open' }] }, { cleanup: [{ name: 'logout' }] });
+
+    expect(hooks).toEqual({
+      beforeAll: [],
+      beforeEach: [{ name: 'open' }],
+      setup: [],
+      cleanup: [{ name: 'logout' }],
+      afterEach: [],
+      afterAll: []
+    });
+  });
+
+  test('accepts missing suite hooks', () => {
+    expect(resolveHooks(null, {}).beforeAll).toEqual([]);
+  });
+});
+
+describe('runHook', () => {
+  test('stops at the first failing step', async () => {
+    const result = await runHook('beforeEach', [{ name: 'a' }, { name: 'fail' }, { name: 'b' }], executeStep);
+
+    expect(result).toMatchObject({ phase: 'beforeEach', status: 'failed', error: 'step failed' });
+    expect(result.steps.map(step => step.name)).toEqual(['a', 'fail']);
+  });
+
+  test('continues past a step marked continueOnFailure', async () => {
+    const result = await runHook('setup', [{ name: 'fail', continueOnFailure: true }, { name: 'b' }], executeStep);
+
+    expect(result.status).toBe('passed');
+    expect(result.steps).toHaveLength(2);
+  });
+
+  test('reports a cancelled step as a cancelled hook', async () => {
+    const result = await runHook('setup', [{ name: 'cancel' }], executeStep);
+
+    expect(result.status).toBe('cancelled');
+  });
+});
+
+describe('runBeforeHooks', () => {
+  test('skips empty phases and throws a HookError for the first failing one', async () => {
+    const testResult = { hooks: [] };
+
+    const error = await runBeforeHooks(testResult, [
+      ['beforeEach', []],
+      ['setup', [{ name: 'fail' }]],
+      ['other', [{ name: 'a' }]]
+    ], executeStep).catch(e => e);
+
+    expect(error).toBeInstanceOf(HookError);
+    expect(error).toMatchObject({ phase: 'setup', message: 'setup hook failed: step failed' });
+    expect(testResult.hooks.map(hook => hook.phase)).toEqual(['setup']);
+  });
+});
+
+describe('runAfterHooks', () => {
+  test('runs every phase and returns the first failure', async () => {
+    const testResult = { hooks: [] };
+
+    const error = await runAfterHooks(testResult, [
+      ['cleanup', [{ name: 'fail' }]],
+      ['afterEach', [{ name: 'a' }]]
+    ], executeStep);
+
+    expect(error.phase).toBe('cleanup');
+    expect(testResult.hooks.map(hook => [hook.phase, hook.status])).toEqual([['cleanup', 'failed'], ['afterEach', 'passed']]);
+  });
+
+  test('returns null when every phase passed', async () => {
+    await expect(runAfterHooks({ hooks: [] }, [['afterEach', [{ name: 'a' }]]], executeStep)).resolves.toBeNull();
+  });
+});
+
+describe('applyAfterHookError', () => {
+  test('fails a passed test and keeps its body status', () => {
+    const testResult = { status: 'passed' };
+
+    applyAfterHookError(testResult, new HookError('afterEach', 'boom'));
+
+    expect(testResult).toEqual({ status: 'failed', bodyStatus: 'passed', error: 'afterEach hook failed: boom', failedPhase: 'afterEach' });
+  });
+
+  test('leaves an already failed test alone', () => {
+    const testResult = { status: 'failed', error: 'body failed' };
+
+    applyAfterHookError(testResult, new HookError('afterEach', 'boom'));
+
+    expect(testResult).toEqual({ status: 'failed', error: 'body failed' });
+  });
+});
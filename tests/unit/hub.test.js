@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Visual diffing is not exercised here; keep its native image library out of the run
+jest.mock('sharp', () => jest.fn());
+
+const { SmartQAHub } = require('../../src/index');
+
+describe('SmartQAHub.runTestSuite', () => {
+  let dir;
+  let hub;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-hub-'));
+    hub = new SmartQAHub({ suites: { dir: path.join(dir, 'tests') }, reporting: { outputDir: path.join(dir, 'reports') } });
+    hub.core.runTests = jest.fn(async tests => tests.map(test => ({ id: test.id, name: test.name, status: 'passed' })));
+    hub.aiGenerator.generateTests = jest.fn(async () => [{ id: 'ai_1', name: 'Generated', steps: [] }]);
+    hub.dashboard.broadcastResults = jest.fn();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeSuite = (name, content) => {
+    fs.mkdirSync(path.join(dir, 'tests'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'tests', name), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  test('runs the tests of a suite file', async () => {
+    writeSuite('login-test.json', { tests: [{ id: 't1', name: 'Login', steps: [] }] });
+
+    const results = await hub.runTestSuite('login');
+
+    expect(results.suiteId).toBe('login-test');
+    expect(results.tests.map(test => test.id)).toEqual(['t1']);
+    expect(hub.aiGenerator.generateTests).not.toHaveBeenCalled();
+  });
+
+  test('falls back to AI-generated tests for a URL with no suite file', async () => {
+    const results = await hub.runTestSuite('https://shop.example.com/cart', { generateAI: true });
+
+    expect(hub.aiGenerator.generateTests).toHaveBeenCalledWith('https://shop.example.com/cart');
+    expect(results.suiteId).toBe('shop.example.com-cart');
+    expect(results.tests.map(test => test.id)).toEqual(['ai_1']);
+    expect(fs.existsSync(path.join(dir, 'reports', 'results', 'shop.example.com-cart.json'))).toBe(true);
+  });
+
+  test('--ai tests are selected and sharded with the suite and run with its options', async () => {
+    writeSuite('login-test.json', { tests: [{ id: 't1', steps: [] }, { id: 't2', tags: ['smoke'], steps: [] }] });
+    hub.aiGenerator.generateTests = jest.fn(async () => [{ id: 'ai_1', steps: [] }, { id: 'ai_2', tags: ['smoke'], steps: [] }]);
+
+    const shards = [];
+    for (const shard of ['1/2', '2/2']) {
+      shards.push(await hub.runTestSuite('login', { generateAI: true, tag: 'smoke', shard, retries: 2 }));
+    }
+
+    const ran = shards.flatMap(results => results.tests.filter(test => test.status === 'passed').map(test => test.id));
+    expect(ran.sort()).toEqual(['ai_2', 't2']);
+    expect(hub.core.runTests).toHaveBeenCalledTimes(2);
+    for (const [, runOptions] of hub.core.runTests.mock.calls) {
+      expect(runOptions.retries).toBe(2);
+    }
+  });
+
+  test('runs every discovered suite without a suite name', async () => {
+    writeSuite('login-test.json', { tests: [{ id: 't1', steps: [] }] });
+    writeSuite('checkout-test.json', { tests: [{ id: 't2', steps: [] }] });
+
+    const results = await hub.runAllSuites();
+
+    expect(results.map(suite => suite.suiteId).sort()).toEqual(['checkout-test', 'login-test']);
+    await expect(hub.runAllSuites({ output: 'all.json' })).rejects.toThrow('--output needs a suite name: 2 suites would write the same file');
+  });
+
+  test('without a suite name, no loadable suite is an error', async () => {
+    writeSuite('checkout-test.json', '{ broken');
+
+    await expect(hub.runAllSuites()).rejects.toThrow(/^No suites found in .*tests; failed to load: .*checkout-test\.json: /);
+    expect(hub.core.runTests).not.toHaveBeenCalled();
+  });
+
+  test('without --ai a missing suite is an error that lists the files that failed to load', async () => {
+    writeSuite('checkout-test.json', '{ broken');
+
+    await expect(hub.runTestSuite('payment')).rejects.toThrow(/Suite not found: "payment".*failed to load: .*checkout-test\.json.*Pass --ai/);
+    expect(hub.core.runTests).not.toHaveBeenCalled();
+  });
+
+  test('a suite with a dependency cycle fails with the cycle before anything runs', async () => {
+    writeSuite('checkout-test.json', { tests: [{ id: 'pay', dependsOn: 'cart' }, { id: 'cart', dependsOn: 'pay' }] });
+    hub.core.initialize = jest.fn();
+
+    await expect(hub.findSuite('checkout')).rejects.toThrow(/failed to load from .*checkout-test\.json: Dependency cycle: pay → cart → pay/);
+    await expect(hub.runTestSuite('checkout')).rejects.toThrow('Dependency cycle: pay → cart → pay');
+    expect(hub.core.initialize).not.toHaveBeenCalled();
+    expect(hub.core.runTests).not.toHaveBeenCalled();
+  });
+
+  test('reports per-file load errors alongside the results', async () => {
+    writeSuite('login-test.json', { tests: [{ id: 't1', steps: [] }] });
+    writeSuite('broken-test.json', '{ broken');
+
+    const results = await hub.runTestSuite('login');
+
+    expect(results.loadErrors).toHaveLength(1);
+    expect(path.basename(results.loadErrors[0].file)).toBe('broken-test.json');
+  });
+
+  test('--retries overrides the suite config and is validated', async () => {
+    writeSuite('login-test.json', { config: { retries: 1 }, tests: [{ id: 't1', steps: [] }] });
+
+    await hub.runTestSuite('login');
+    expect(hub.core.runTests.mock.calls[0][1].retries).toBe(1);
+
+    await hub.runTestSuite('login', { retries: '2' });
+    expect(hub.core.runTests.mock.calls[1][1].retries).toBe(2);
+
+    await expect(hub.runTestSuite('login', { retries: 'many' })).rejects.toThrow('--retries must be a non-negative integer, got "many"');
+  });
+
+  test('UI tests are not retried by default', async () => {
+    writeSuite('login-test.json', { tests: [{ id: 't1', steps: [] }] });
+
+    await hub.runTestSuite('login');
+
+    expect(hub.core.runTests.mock.calls[0][1].retries).toBe(0);
+  });
+
+  test('shards ignore local result history and balance by an explicit durations file', async () => {
+    const tests = ['a', 'b', 'c', 'd'].map(id => ({ id, steps: [] }));
+    writeSuite('login-test.json', { tests });
+    const resultsDir = path.join(dir, 'reports', 'results');
+    fs.mkdirSync(resultsDir, { recursive: true });
+    fs.writeFileSync(path.join(resultsDir, 'old.json'), JSON.stringify({
+      tests: [{ id: 'a', startTime: '2026-01-01T00:00:00Z', endTime: '2026-01-01T00:10:00Z' }]
+    }));
+
+    const local = await hub.runTestSuite('login', { shard: '1/2' });
+    expect(local.shard).toEqual({ index: 1, total: 2, balancedBy: 'count' });
+
+    const durationsFile = path.join(dir, 'durations.json');
+    fs.writeFileSync(durationsFile, JSON.stringify({
+      tests: [
+        { id: 'a', startTime: '2026-01-01T00:00:00Z', endTime: '2026-01-01T00:10:00Z' },
+        ...['b', 'c', 'd'].map(id => ({ id, startTime: '2026-01-01T00:00:00Z', endTime: '2026-01-01T00:00:01Z' }))
+      ]
+    }));
+
+    const balanced = await hub.runTestSuite('login', { shard: '1/2', durations: durationsFile });
+    expect(balanced.shard.balancedBy).toBe('duration');
+    expect(balanced.tests.map(test => test.id)).toEqual(['a']);
+  });
+});
+
+describe('SmartQAHub.mergeResults', () => {
+  let dir;
+  let hub;
+  let resultsDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-merge-'));
+    hub = new SmartQAHub({ suites: { dir: path.join(dir, 'tests') }, reporting: { outputDir: path.join(dir, 'reports') } });
+    resultsDir = path.join(dir, 'reports', 'results');
+    fs.mkdirSync(resultsDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeShard = (suiteId, index, total, tests) => {
+    fs.writeFileSync(path.join(resultsDir, `${suiteId}.shard-${index}-of-${total}.json`), JSON.stringify({
+      suite: suiteId, suiteId, shard: { index, total }, tests
+    }));
+  };
+
+  test('merges the shard files of the one run in the results directory', async () => {
+    writeShard('login', 1, 2, [{ id: 'a', status: 'passed' }]);
+    writeShard('login', 2, 2, [{ id: 'b', status: 'failed' }]);
+
+    const merged = await hub.mergeResults();
+
+    expect(merged.tests.map(test => test.id)).toEqual(['a', 'b']);
+    expect(merged.outputFile).toBe(path.join(resultsDir, 'login.merged.json'));
+  });
+
+  test('without files, shard files of several suites or shard counts are an error', async () => {
+    writeShard('login', 1, 2, []);
+    writeShard('checkout', 1, 2, []);
+
+    await expect(hub.mergeResults()).rejects.toThrow(/Shard files of several runs in .*; pass the files to merge, one of: .*checkout\.shard-\*-of-2\.json, .*login\.shard-\*-of-2\.json/);
+
+    fs.rmSync(path.join(resultsDir, 'checkout.shard-1-of-2.json'));
+    writeShard('login', 1, 3, []);
+
+    await expect(hub.mergeResults()).rejects.toThrow(/login\.shard-\*-of-2\.json, .*login\.shard-\*-of-3\.json/);
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SuiteLoader, describeMissingSuite, generatedSuite } = require('../../src/core/loader');
+
+describe('SuiteLoader', () => {
+  let dir;
+
+  const write = (name, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-loader-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('discovers suite files matching the pattern, sorted', async () => {
+    write('b/checkout-test.json', { tests: [] });
+    write('a/login-test.yml', 'tests: []\n');
+    write('notes.json', { tests: [] });
+
+    const files = await new SuiteLoader({ dir }).discover();
+
+    expect(files.map(file => path.relative(dir, file))).toEqual(['a/login-test.yml', 'b/checkout-test.json']);
+  });
+
+  test('loads JSON, YAML and JS suites and fills in defaults', async () => {
+    write('login-test.json', { tests: [{ id: 'a', steps: [] }] });
+    write('search-test.yaml', 'id: search\nname: Search\napiTests:\n  - id: s1\n');
+    write('single-test.js', "module.exports = { id: 'one', name: 'One', steps: [] };");
+
+    const { suites, errors } = await new SuiteLoader({ dir }).loadAll();
+
+    expect(errors).toEqual([]);
+    expect(suites.map(suite => suite.id)).toEqual(['login-test', 'search', 'one']);
+    expect(suites[0]).toMatchObject({ name: 'login-test', visualTests: [], apiTests: [] });
+    expect(suites[1].apiTests).toEqual([{ id: 's1' }]);
+    // A file exporting a single test becomes a one-test suite
+    expect(suites[2].tests).toEqual([{ id: 'one', name: 'One', steps: [] }]);
+  });
+
+  test('collects per-file load errors without failing the other suites', async () => {
+    write('good-test.json', { tests: [] });
+    write('broken-test.json', '{ not json');
+    write('empty-test.json', { description: 'no sections' });
+
+    const { suites, errors } = await new SuiteLoader({ dir }).loadAll();
+
+    expect(suites.map(suite => suite.id)).toEqual(['good-test']);
+    expect(errors.map(error => path.basename(error.file))).toEqual(['broken-test.json', 'empty-test.json']);
+    expect(errors[1].error).toMatch(/at least one of: tests, visualTests, apiTests/);
+  });
+
+  test('resolves a suite by id, name, file name or file name without suffix', async () => {
+    write('login-test.json', { id: 'auth', name: 'User Login', tests: [] });
+    const loader = new SuiteLoader({ dir });
+
+    for (const name of ['auth', 'user login', 'login-test', 'LOGIN']) {
+      const { suite } = await loader.resolve(name);
+      expect(suite.id).toBe('auth');
+    }
+  });
+
+  test('find returns no suite instead of throwing', async () => {
+    write('login-test.json', { tests: [] });
+
+    const { suite, suites } = await new SuiteLoader({ dir }).find('checkout');
+
+    expect(suite).toBeNull();
+    expect(suites).toHaveLength(1);
+  });
+
+  test('resolve reports the available suites and the files that failed to load', async () => {
+    write('login-test.json', { tests: [] });
+    write('checkout-test.json', '{ broken');
+
+    await expect(new SuiteLoader({ dir }).resolve('checkout-flow'))
+      .rejects.toThrow(/Suite not found: "checkout-flow" \(available: login-test\); failed to load: .*checkout-test\.json/);
+  });
+
+  test('asking for a suite whose file failed to load reports that error, not "not found"', async () => {
+    write('checkout-test.json', { id: 'checkout', name: 'Checkout', tests: [{ id: 'a', dependsOn: 'b' }, { id: 'b', dependsOn: 'a' }] });
+    write('login-test.json', { tests: [] });
+    const loader = new SuiteLoader({ dir });
+
+    for (const name of ['checkout', 'Checkout', 'checkout-test']) {
+      await expect(loader.find(name)).rejects.toThrow(/^Suite "\w+(-test)?" failed to load from .*checkout-test\.json: Dependency cycle: a → b → a$/i);
+    }
+    await expect(loader.find('login')).resolves.toMatchObject({ suite: { id: 'login-test' } });
+  });
+});
+
+describe('describeMissingSuite', () => {
+  test('says "none" when nothing loaded', () => {
+    expect(describeMissingSuite('x', [])).toBe('Suite not found: "x" (available: none)');
+  });
+});
+
+describe('generatedSuite', () => {
+  test('turns a URL into a file-safe suite id and keeps the name', () => {
+    expect(generatedSuite('https://shop.example.com/cart?x=1')).toEqual({
+      id: 'shop.example.com-cart-x-1',
+      name: 'https://shop.example.com/cart?x=1',
+      tests: [],
+      visualTests: [],
+      apiTests: []
+    });
+  });
+
+  test('replaces spaces in plain names', () => {
+    expect(generatedSuite('user registration').id).toBe('user-registration');
+  });
+});
@@ -0,0 +1,141 @@
+const { EventEmitter } = require('events');
+const { NetworkMocker, matchesBody } = require('../../src/core/network');
+const { SmartQACore } = require('../../src/core/engine');
+
+// A browser context that hands its route handlers back to the test
+function fakeContext() {
+  const context = new EventEmitter();
+  context.handlers = [];
+  context.route = jest.fn(async (matcher, handler) => { context.handlers.push(handler); });
+  return context;
+}
+
+function fakeRoute(overrides = {}) {
+  return {
+    fulfill: jest.fn(async () => {}),
+    abort: jest.fn(async () => {}),
+    fallback: jest.fn(async () => {}),
+    fetch: jest.fn(),
+    ...overrides
+  };
+}
+
+const request = (method = 'GET', url = 'https://shop.test/api/users') => ({ method: () => method, url: () => url });
+
+describe('NetworkMocker routes', () => {
+  test('mocks a response with a JSON body and counts hits', async () => {
+    const context = fakeContext();
+    const mocker = new NetworkMocker(context);
+    await mocker.addRoute({ url: '**/api/users', body: [{ id: 1 }] });
+    const route = fakeRoute();
+
+    await context.handlers[0](route, request());
+
+    expect(route.fulfill).toHaveBeenCalledWith({ status: 200, headers: undefined, contentType: 'application/json', body: '[{"id":1}]' });
+    expect(mocker.summary()).toEqual([{ url: '**/api/users', method: undefined, action: 'mock', hits: 1 }]);
+  });
+
+  test('passes other methods on', async () => {
+    const context = fakeContext();
+    const mocker = new NetworkMocker(context);
+    await mocker.addRoute({ url: '**/api/users', method: 'POST', body: {} });
+    const route = fakeRoute();
+
+    await context.handlers[0](route, request('GET'));
+
+    expect(route.fallback).toHaveBeenCalled();
+    expect(mocker.summary()[0].hits).toBe(0);
+  });
+
+  test('aborts the request and records the error when the route cannot respond', async () => {
+    const context = fakeContext();
+    const mocker = new NetworkMocker(context);
+    await mocker.addRoute({ url: '**/api/users', fixture: 'missing.json' });
+    const route = fakeRoute({ fulfill: jest.fn(async () => { throw new Error('ENOENT: no such file'); }) });
+
+    await context.handlers[0](route, request());
+
+    expect(route.abort).toHaveBeenCalledWith('failed');
+    expect(mocker.takeErrors()).toEqual(['Route mock **/api/users failed for GET https://shop.test/api/users: ENOENT: no such file']);
+    expect(mocker.takeErrors()).toEqual([]);
+  });
+
+  test('a modifyResponse whose original body is not JSON fails the same way', async () => {
+    const context = fakeContext();
+    const mocker = new NetworkMocker(context);
+    await mocker.addRoute({ action: 'modifyResponse', url: '**/api/users', merge: { plan: 'pro' } });
+    const original = { status: () => 200, headers: () => ({}), json: async () => { throw new SyntaxError('Unexpected token <'); } };
+    const route = fakeRoute({ fetch: jest.fn(async () => original) });
+
+    await context.handlers[0](route, request());
+
+    expect(route.abort).toHaveBeenCalled();
+    expect(mocker.takeErrors()[0]).toMatch(/Route modifyResponse \*\*\/api\/users failed .*Unexpected token </);
+  });
+
+  test('ignores errors once the context has closed', async () => {
+    const context = fakeContext();
+    const mocker = new NetworkMocker(context);
+    await mocker.addRoute({ url: '**/api/users', body: {} });
+    const route = fakeRoute({ fulfill: jest.fn(async () => { context.emit('close'); throw new Error('Route failed'); }) });
+
+    await context.handlers[0](route, request());
+
+    expect(route.abort).not.toHaveBeenCalled();
+    expect(mocker.takeErrors()).toEqual([]);
+  });
+
+  test('ignores Playwright\'s closed-target errors', async () => {
+    const context = fakeContext();
+    const mocker = new NetworkMocker(context);
+    await mocker.addRoute({ url: '**/api/users', body: {} });
+    const route = fakeRoute({ fulfill: jest.fn(async () => { throw new Error('Target page, context or browser has been closed'); }) });
+
+    await context.handlers[0](route, request());
+
+    expect(mocker.takeErrors()).toEqual([]);
+  });
+
+  test('rejects unknown route actions', async () => {
+    await expect(new NetworkMocker(fakeContext()).addRoute({ action: 'rewrite', url: '*' })).rejects.toThrow('Invalid route action: "rewrite"');
+  });
+});
+
+describe('NetworkMocker request log', () => {
+  test('finds requests by URL, method and contained body', () => {
+    const context = fakeContext();
+    const mocker = new NetworkMocker(context);
+    const emit = (method, url, postData) => context.emit('request', {
+      url: () => url,
+      method: () => method,
+      resourceType: () => 'fetch',
+      postData: () => postData
+    });
+
+    emit('POST', 'https://shop.test/api/cart', '{"sku":"A1","qty":2}');
+    emit('POST', 'https://shop.test/api/cart', 'plain text');
+    emit('GET', 'https://shop.test/api/cart', null);
+
+    expect(mocker.findRequests({ url: '/api/cart', method: 'POST', body: { sku: 'A1' } })).toHaveLength(1);
+    expect(mocker.findRequests({ url: '/\\/api\\/cart$/', method: ['GET', 'POST'] })).toHaveLength(3);
+    expect(mocker.findRequests({ url: '/api/cart', body: 'plain text' })).toHaveLength(1);
+  });
+
+  test('matchesBody compares objects by containment and strings exactly', () => {
+    expect(matchesBody({ a: { b: 1 } }, { a: { b: 1, c: 2 }, d: 3 })).toBe(true);
+    expect(matchesBody([1, 2], [1, 2, 3])).toBe(false);
+    expect(matchesBody('1', 1)).toBe(false);
+    expect(matchesBody(1, 1)).toBe(true);
+  });
+});
+
+describe('route errors in steps', () => {
+  test('fail the step that was running', async () => {
+    const core = new SmartQACore({ timeout: 1000 });
+    const network = { addRoute: jest.fn(async () => {}), takeErrors: jest.fn(() => ['Route mock **/api failed for GET /api: boom']) };
+
+    const stepResult = await core.executeStep({}, { action: 'mock', url: '**/api', body: {} }, { network, timeout: 1000 });
+
+    expect(stepResult).toMatchObject({ status: 'failed', error: 'Route mock **/api failed for GET /api: boom' });
+  });
+});
@@ -0,0 +1,163 @@
+const {
+  collectPageMetrics,
+  resolveBudgets,
+  checkBudgets,
+  formatMetric,
+  measurePerformance,
+  performanceHistory
+} = require('../../src/core/performance');
+const { SmartQACore } = require('../../src/core/engine');
+
+describe('resolveBudgets', () => {
+  const config = { thresholds: { LCP: 2500, CLS: 0.1, TBT: 300 }, metrics: ['LCP', 'CLS'] };
+
+  test('takes the configured metrics\' thresholds, then the step\'s budgets', () => {
+    expect(resolveBudgets(config)).toEqual({ LCP: 2500, CLS: 0.1 });
+    expect(resolveBudgets(config, { metrics: ['TBT', 'FID'], budgets: { TBT: 200, transferSize: 500000 } }))
+      .toEqual({ TBT: 200, transferSize: 500000 });
+    expect(resolveBudgets({ thresholds: { LCP: 2500 } })).toEqual({ LCP: 2500 });
+  });
+
+  test('only the step\'s budgets apply when performance is disabled', () => {
+    expect(resolveBudgets({ ...config, enabled: false }, { budgets: { LCP: 4000 } })).toEqual({ LCP: 4000 });
+  });
+});
+
+describe('checkBudgets', () => {
+  test('passes metrics at or under budget and leaves unreported ones undecided', () => {
+    expect(checkBudgets({ LCP: 2500, CLS: 0.25, FID: null }, { LCP: 2500, CLS: 0.1, FID: 100, TTFB: 800 })).toEqual([
+      { metric: 'LCP', value: 2500, budget: 2500, passed: true },
+      { metric: 'CLS', value: 0.25, budget: 0.1, passed: false },
+      { metric: 'FID', value: null, budget: 100, passed: null },
+      { metric: 'TTFB', value: null, budget: 800, passed: null }
+    ]);
+  });
+});
+
+describe('formatMetric', () => {
+  test('uses each metric\'s unit and milliseconds for unknown ones', () => {
+    expect(formatMetric('LCP', 1200)).toBe('1200ms');
+    expect(formatMetric('CLS', 0.05)).toBe('0.05');
+    expect(formatMetric('transferSize', 2048)).toBe('2048B');
+    expect(formatMetric('customMark', 12)).toBe('12ms');
+  });
+});
+
+describe('collectPageMetrics', () => {
+  const original = { performance: global.performance, PerformanceObserver: global.PerformanceObserver, location: global.location };
+
+  // The browser globals the function reads, with the entries a page has buffered
+  const stubBrowser = (entries, observable = Object.keys(entries)) => {
+    global.location = { href: 'https://shop.test/cart' };
+    global.performance = {
+      getEntriesByType: (type) => entries[type] || []
+    };
+    global.PerformanceObserver = class {
+      observe({ type }) {
+        if (!observable.includes(type)) throw new TypeError(`Unsupported entry type: ${type}`);
+        this.type = type;
+      }
+
+      takeRecords() {
+        return entries[this.type] || [];
+      }
+
+      disconnect() {}
+    };
+  };
+
+  afterEach(() => {
+    Object.assign(global, original);
+  });
+
+  test('computes Web Vitals, long tasks and resource totals', () => {
+    stubBrowser({
+      navigation: [{ responseStart: 120.4, domContentLoadedEventEnd: 800, loadEventEnd: 1500, transferSize: 1000 }],
+      paint: [{ name: 'first-paint', startTime: 300 }, { name: 'first-contentful-paint', startTime: 350 }],
+      'largest-contentful-paint': [{ startTime: 900 }, { startTime: 1800 }],
+      'layout-shift': [{ value: 0.05, hadRecentInput: false }, { value: 0.3, hadRecentInput: true }, { value: 0.02, hadRecentInput: false }],
+      'first-input': [{ startTime: 2000, processingStart: 2040 }],
+      longtask: [{ duration: 120 }, { duration: 40 }, { duration: 80 }],
+      resource: [{ initiatorType: 'script', transferSize: 5000 }, { initiatorType: 'img', transferSize: 2000 }, { initiatorType: 'script' }]
+    });
+
+    expect(collectPageMetrics()).toEqual({
+      url: 'https://shop.test/cart',
+      TTFB: 120.4,
+      FCP: 350,
+      FP: 300,
+      LCP: 1800,
+      // Shifts right after user input do not count
+      CLS: 0.07,
+      FID: 40,
+      // Only the part of each task over 50ms blocks
+      TBT: 100,
+      longTasks: 3,
+      longestTask: 120,
+      domContentLoaded: 800,
+      load: 1500,
+      resourceCount: 3,
+      transferSize: 8000,
+      resourcesByType: { script: { count: 2, transferSize: 5000 }, img: { count: 1, transferSize: 2000 } }
+    });
+  });
+
+  test('reports null for what the browser does not support or has not recorded', () => {
+    stubBrowser({ navigation: [] }, ['layout-shift']);
+
+    expect(collectPageMetrics()).toMatchObject({
+      TTFB: null,
+      FCP: null,
+      LCP: null,
+      CLS: 0,
+      FID: null,
+      TBT: null,
+      longTasks: null,
+      longestTask: null,
+      resourceCount: 0,
+      transferSize: 0
+    });
+  });
+});
+
+describe('measurePerformance', () => {
+  test('collects the metrics in the page after settling and checks the budgets', async () => {
+    const page = {
+      waitForTimeout: jest.fn(async () => {}),
+      evaluate: jest.fn(async () => ({ url: 'https://shop.test/', LCP: 3100, CLS: null }))
+    };
+
+    const measurement = await measurePerformance(page, { settle: 500, budgets: { LCP: 2500, CLS: 0.1 } }, {});
+
+    expect(page.waitForTimeout).toHaveBeenCalledWith(500);
+    expect(page.evaluate).toHaveBeenCalledWith(collectPageMetrics);
+    expect(measurement).toMatchObject({
+      url: 'https://shop.test/',
+      budgets: [{ metric: 'LCP', passed: false }, { metric: 'CLS', passed: null }]
+    });
+  });
+
+  test('a measurePerformance step fails when a budget is exceeded and saves the metrics', async () => {
+    const core = new SmartQACore({ timeout: 1000, performance: { thresholds: { LCP: 2500, TBT: 300 } } });
+    const page = { evaluate: jest.fn(async () => ({ url: 'https://shop.test/', LCP: 3100, TBT: 120 })) };
+    const variables = {};
+
+    const stepResult = await core.executeStep(page, { action: 'measurePerformance', saveAs: 'vitals' }, { variables, timeout: 1000 });
+
+    expect(stepResult).toMatchObject({ status: 'failed', error: 'Performance budget exceeded: LCP 3100ms > 2500ms' });
+    expect(variables.vitals).toMatchObject({ LCP: 3100, TBT: 120 });
+  });
+});
+
+describe('performanceHistory', () => {
+  test('groups measurements by test, oldest first', () => {
+    const history = performanceHistory([
+      { id: 'home', name: 'Home', browser: 'chromium', status: 'passed', performance: [{ timestamp: '2026-02-01T00:00:00Z', metrics: { LCP: 1900 } }] },
+      { id: 'cart', status: 'failed' },
+      { id: 'home', name: 'Home', browser: 'chromium', status: 'failed', performance: [{ timestamp: '2026-01-01T00:00:00Z', metrics: { LCP: 2600 } }] }
+    ]);
+
+    expect(Object.keys(history)).toEqual(['home']);
+    expect(history.home.map(entry => [entry.status, entry.metrics.LCP])).toEqual([['failed', 2600], ['passed', 1900]]);
+  });
+});
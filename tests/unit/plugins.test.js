@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Joi = require('joi');
+const { PluginRegistry } = require('../../src/core/plugins');
+const { validateStep } = require('../../src/core/steps');
+const { evaluateAssertion } = require('../../src/core/assertions');
+
+describe('PluginRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new PluginRegistry();
+  });
+
+  test('registers and looks up each kind of extension', () => {
+    const handler = jest.fn();
+    const reporter = { onSuiteComplete: jest.fn() };
+
+    registry
+      .registerAction('addToCart', handler)
+      .registerAPIStep('graphql', handler)
+      .registerReporter('slack', reporter)
+      .registerAssertion('badge', { read: jest.fn() });
+
+    expect(registry.getAction('addToCart').handler).toBe(handler);
+    expect(registry.getAPIStep('graphql')).toBe(handler);
+    expect(registry.getReporter('slack')).toBe(reporter);
+    expect(registry.getAssertion('badge').label).toBe('badge');
+  });
+
+  test('an unknown name fails loudly and lists what is registered', () => {
+    registry.registerAction('login', jest.fn());
+
+    expect(() => registry.getAction('logout')).toThrow('Unknown action: "logout" (registered: login)');
+    expect(() => registry.getReporter('junit')).toThrow('Unknown reporter: "junit" (registered: none)');
+  });
+
+  test('rejects invalid registrations', () => {
+    expect(() => registry.registerAction('', jest.fn())).toThrow('must be registered under a non-empty name');
+    expect(() => registry.registerAction('x', 'not a function')).toThrow('Invalid action "x": expected a handler function');
+    expect(() => registry.registerAssertion('y', {})).toThrow('Assertion "y" must provide a read(page, assertion) function');
+  });
+
+  test('use accepts a function or an object with register', () => {
+    const config = { greeting: 'hi' };
+    const calls = [];
+    const functionPlugin = function cartPlugin(...args) { calls.push(args); };
+    const objectPlugin = { pluginName: 'object-plugin', register: jest.fn() };
+
+    registry.use(functionPlugin, config).use(objectPlugin, config);
+
+    expect(calls).toEqual([[registry, config]]);
+    expect(objectPlugin.register).toHaveBeenCalledWith(registry, config);
+    expect(registry.plugins).toEqual(['cartPlugin', 'object-plugin']);
+    expect(() => registry.use({})).toThrow('Plugin must be a function or expose a register(registry, config) function');
+  });
+
+  test('clear forgets every registration', () => {
+    registry.registerAction('login', jest.fn()).use(jest.fn());
+
+    registry.clear();
+
+    expect(registry.has('action', 'login')).toBe(false);
+    expect(registry.plugins).toEqual([]);
+  });
+
+  test('load requires plugins relative to the working directory and wraps failures', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-plugins-'));
+    const file = path.join(dir, 'cart-plugin.js');
+    fs.writeFileSync(file, "module.exports = registry => registry.registerAction('addToCart', () => 'added');");
+
+    try {
+      registry.load([file]);
+      expect(registry.getAction('addToCart').handler()).toBe('added');
+      expect(() => registry.load([path.join(dir, 'missing.js')])).toThrow(/^Failed to load plugin ".*missing\.js": /);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('plugin steps and assertions', () => {
+  const registry = new PluginRegistry()
+    .registerAction('addToCart', jest.fn(), { schema: Joi.object({ params: Joi.object({ sku: Joi.string().required() }).required() }) })
+    .registerAction('noSchema', jest.fn())
+    .registerAssertion('cartCount', { requires: ['selector'], read: async () => 3 });
+
+  test('plugin actions are validated against their own schema', () => {
+    expect(() => validateStep({ action: 'addToCart', params: { sku: 'A1' } }, registry)).not.toThrow();
+    expect(() => validateStep({ action: 'addToCart', params: {} }, registry)).toThrow('Invalid "addToCart" step');
+    expect(() => validateStep({ action: 'noSchema', anything: true }, registry)).not.toThrow();
+  });
+
+  test('plugin assertion targets work with the built-in operators', async () => {
+    const context = { plugins: registry };
+
+    await expect(evaluateAssertion({}, { type: 'cartCount', selector: '.cart', operator: 'gte', expected: 2 }, context)).resolves.toBe(3);
+    await expect(evaluateAssertion({}, { type: 'cartCount', expected: 3 }, context)).rejects.toThrow('cartCount assertion requires "selector"');
+  });
+});
@@ -0,0 +1,91 @@
+const { installRecorder, InteractionRecorder } = require('../../src/recorder/recorder');
+const { SmartQACore } = require('../../src/core/engine');
+
+// Just enough of a page for the recorder script: one field, and the events it listens to
+function fakeField({ type = 'text', autocomplete, name, value, tagName = 'INPUT' }) {
+  const attributes = { type, autocomplete, name };
+  return {
+    tagName,
+    type,
+    value,
+    selectedOptions: [{ value }],
+    isContentEditable: false,
+    labels: [],
+    getAttribute: attribute => attributes[attribute],
+    hasAttribute: attribute => attributes[attribute] !== undefined
+  };
+}
+
+describe('installRecorder', () => {
+  let listeners;
+  let recorded;
+
+  beforeEach(() => {
+    listeners = {};
+    recorded = [];
+    global.window = { __smartqaRecord: event => recorded.push(event) };
+    global.document = {
+      readyState: 'loading',
+      addEventListener: (type, listener) => { listeners[type] = listener; },
+      querySelectorAll: () => [{}]
+    };
+    installRecorder({ testIdAttributes: ['data-testid'] });
+  });
+
+  afterEach(() => {
+    delete global.window;
+    delete global.document;
+  });
+
+  const type = (field) => listeners.input({ isTrusted: true, target: field, composedPath: () => [] });
+  const change = (field) => listeners.change({ isTrusted: true, target: field, composedPath: () => [] });
+
+  test('records typed text as typed', () => {
+    type(fakeField({ name: 'username', value: 'ada@shop.test' }));
+
+    expect(recorded).toEqual([{ action: 'fill', value: 'ada@shop.test', selector: 'input[name="username"]', label: 'username' }]);
+  });
+
+  test('records password fields as one environment variable per field', () => {
+    type(fakeField({ type: 'password', name: 'password', value: 'hunter2' }));
+    type(fakeField({ type: 'password', autocomplete: 'current-password', name: 'old', value: 'hunter2' }));
+    type(fakeField({ type: 'password', autocomplete: 'new-password', name: 'new', value: 'hunter3' }));
+    type(fakeField({ type: 'password', name: 'confirmPassword', value: 'hunter3' }));
+
+    expect(recorded.map(event => event.value)).toEqual([
+      '{{env.SMARTQA_PASSWORD}}', '{{env.SMARTQA_PASSWORD}}', '{{env.SMARTQA_NEW_PASSWORD}}', '{{env.SMARTQA_CONFIRM_PASSWORD}}'
+    ]);
+    expect(JSON.stringify(recorded)).not.toMatch(/hunter/);
+  });
+
+  test('records card fields as card environment variables', () => {
+    type(fakeField({ autocomplete: 'cc-number', name: 'card', value: '4242424242424242' }));
+    type(fakeField({ autocomplete: 'billing cc-csc', name: 'cvc', value: '123' }));
+    change(fakeField({ tagName: 'SELECT', autocomplete: 'cc-exp-month', name: 'month', value: '09' }));
+
+    expect(recorded.map(event => event.value)).toEqual(['{{env.SMARTQA_CARD_NUMBER}}', '{{env.SMARTQA_CARD_CSC}}', '{{env.SMARTQA_CARD_EXP_MONTH}}']);
+  });
+});
+
+describe('InteractionRecorder', () => {
+  test('a suite with recorded secrets names the variables to set, and replays once they are set', () => {
+    const recorder = new InteractionRecorder();
+    recorder.steps = [
+      { name: 'Fill password', action: 'fill', selector: '#password', value: '{{env.SMARTQA_PASSWORD}}' },
+      { name: 'Fill Card number', action: 'fill', selector: '#card', value: '{{env.SMARTQA_CARD_NUMBER}}' }
+    ];
+
+    const suite = recorder.buildSuite('https://shop.example.com/checkout');
+
+    expect(suite.description).toMatch(/; set SMARTQA_PASSWORD, SMARTQA_CARD_NUMBER before replaying$/);
+
+    const core = new SmartQACore({ timeout: 1000 });
+    const original = process.env;
+    process.env = { ...original, SMARTQA_PASSWORD: 'hunter2', SMARTQA_CARD_NUMBER: '4242424242424242' };
+    try {
+      expect(suite.tests[0].steps.map(step => core.resolveStep(step, {}).value)).toEqual(['hunter2', '4242424242424242']);
+    } finally {
+      process.env = original;
+    }
+  });
+});
@@ -0,0 +1,76 @@
+const { runWithRetries, resolveRetries } = require('../../src/utils/retry');
+const config = require('../../config/default.json');
+
+describe('resolveRetries', () => {
+  test('takes the first number given', () => {
+    expect(resolveRetries(undefined, 2, 5)).toBe(2);
+    expect(resolveRetries(0, 2)).toBe(0);
+  });
+
+  test('defaults to no retries and never goes negative', () => {
+    expect(resolveRetries(undefined, null)).toBe(0);
+    expect(resolveRetries(-1)).toBe(0);
+  });
+
+  test('UI tests are not retried unless a suite or run opts in', () => {
+    expect(resolveRetries(undefined, undefined, config.retries)).toBe(0);
+  });
+});
+
+describe('runWithRetries', () => {
+  test('a first-attempt pass is reported as passed', async () => {
+    const runAttempt = jest.fn(async () => ({ status: 'passed' }));
+
+    const result = await runWithRetries(runAttempt, { retries: 2 });
+
+    expect(runAttempt).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ status: 'passed', retries: 0 });
+    expect(result.attempts).toHaveLength(1);
+  });
+
+  test('a pass after a failed attempt is reported as flaky', async () => {
+    const statuses = ['failed', 'passed'];
+    const result = await runWithRetries(async attempt => ({ status: statuses[attempt - 1], error: attempt === 1 ? 'boom' : undefined }), { retries: 3 });
+
+    expect(result.status).toBe('flaky');
+    expect(result.retries).toBe(1);
+    expect(result.attempts.map(attempt => [attempt.attempt, attempt.status, attempt.error])).toEqual([[1, 'failed', 'boom'], [2, 'passed', undefined]]);
+  });
+
+  test('stops after the last retry and keeps the failure', async () => {
+    const runAttempt = jest.fn(async () => ({ status: 'failed' }));
+
+    const result = await runWithRetries(runAttempt, { retries: 2 });
+
+    expect(runAttempt).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ status: 'failed', retries: 2 });
+  });
+
+  test('does not retry statuses other than failed', async () => {
+    const runAttempt = jest.fn(async () => ({ status: 'cancelled' }));
+
+    await runWithRetries(runAttempt, { retries: 2 });
+
+    expect(runAttempt).toHaveBeenCalledTimes(1);
+  });
+
+  test('rethrows the last error with every attempt attached', async () => {
+    const runAttempt = jest.fn(async attempt => { throw new Error(`crash ${attempt}`); });
+
+    const error = await runWithRetries(runAttempt, { retries: 1 }).catch(e => e);
+
+    expect(error.message).toBe('crash 2');
+    expect(error.attempts.map(attempt => attempt.error)).toEqual(['crash 1', 'crash 2']);
+  });
+
+  test('keeps the artifacts of a retried attempt', async () => {
+    const statuses = ['failed', 'passed'];
+    const result = await runWithRetries(async attempt => ({
+      status: statuses[attempt - 1],
+      artifacts: attempt === 1 ? { trace: 'trace-1.zip' } : {}
+    }), { retries: 1 });
+
+    expect(result.attempts[0].artifacts).toEqual({ trace: 'trace-1.zip' });
+    expect(result.attempts[1].artifacts).toBeUndefined();
+  });
+});
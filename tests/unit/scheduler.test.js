@@ -0,0 +1,134 @@
+const { TestScheduler } = require('../../src/core/scheduler');
+const { SmartQACore } = require('../../src/core/engine');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A worker whose jobs only finish when the test says so
+function controlledWorker() {
+  const started = [];
+  const finish = {};
+  const worker = job => new Promise((resolve, reject) => {
+    started.push(job.id);
+    finish[job.id] = { resolve, reject };
+  });
+  return { worker, started, finish };
+}
+
+describe('TestScheduler', () => {
+  test('never runs more jobs at once than maxConcurrency', async () => {
+    const scheduler = new TestScheduler({ maxConcurrency: 2 });
+    const { worker, started, finish } = controlledWorker();
+    const jobs = ['a', 'b', 'c', 'd'].map(id => ({ id, browserType: 'chromium', test: {} }));
+
+    const done = scheduler.run(jobs, worker);
+    await tick();
+    expect(started).toEqual(['a', 'b']);
+
+    finish.a.resolve('A');
+    await tick();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    finish.b.resolve('B');
+    finish.c.resolve('C');
+    await tick();
+    finish.d.resolve('D');
+
+    expect((await done).map(result => result.value)).toEqual(['A', 'B', 'C', 'D']);
+  });
+
+  test('parallel: false runs one job at a time', () => {
+    expect(new TestScheduler({ parallel: false, maxConcurrency: 8 }).maxConcurrency).toBe(1);
+  });
+
+  test('starts higher-priority tests first and keeps declared order within a priority', async () => {
+    const scheduler = new TestScheduler({ maxConcurrency: 1 });
+    const order = [];
+    const jobs = [
+      { id: 'low', test: { priority: 'low' } },
+      { id: 'medium1', test: {} },
+      { id: 'critical', test: { priority: 'critical' } },
+      { id: 'medium2', test: { priority: 'medium' } },
+      { id: 'high', test: { priority: 'high' } }
+    ].map(job => ({ ...job, browserType: 'chromium' }));
+
+    await scheduler.run(jobs, async job => order.push(job.id));
+
+    expect(order).toEqual(['critical', 'high', 'medium1', 'medium2', 'low']);
+  });
+
+  test('honours a per-browser limit', async () => {
+    const scheduler = new TestScheduler({ maxConcurrency: 4, maxConcurrencyPerBrowser: { webkit: 1 } });
+    const { worker, started, finish } = controlledWorker();
+    const jobs = [
+      { id: 'w1', browserType: 'webkit', test: {} },
+      { id: 'w2', browserType: 'webkit', test: {} },
+      { id: 'c1', browserType: 'chromium', test: {} }
+    ];
+
+    const done = scheduler.run(jobs, worker);
+    await tick();
+    expect(started).toEqual(['w1', 'c1']);
+
+    finish.w1.resolve();
+    finish.c1.resolve();
+    await tick();
+    expect(started).toEqual(['w1', 'c1', 'w2']);
+    finish.w2.resolve();
+    await done;
+  });
+
+  test('waits for prerequisites and hands over their settled results', async () => {
+    const scheduler = new TestScheduler({ maxConcurrency: 4 });
+    const seen = {};
+    const jobs = [
+      { id: 'login', browserType: 'chromium', test: {} },
+      { id: 'checkout', browserType: 'chromium', test: {}, waitFor: [0] }
+    ];
+
+    const results = await scheduler.run(jobs, async (job, prerequisites) => {
+      seen[job.id] = prerequisites;
+      if (job.id === 'login') throw new Error('login failed');
+      return 'ok';
+    });
+
+    expect(seen.checkout).toHaveLength(1);
+    expect(seen.checkout[0].job.id).toBe('login');
+    expect(seen.checkout[0].result).toMatchObject({ status: 'rejected', reason: new Error('login failed') });
+    expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+  });
+
+  test('resolves immediately with no jobs', async () => {
+    await expect(new TestScheduler().run([], jest.fn())).resolves.toEqual([]);
+  });
+
+  test.each([0, -1, { firefox: 0 }])('a per-browser limit of %p still runs one test at a time', async limit => {
+    const scheduler = new TestScheduler({ maxConcurrency: 4, maxConcurrencyPerBrowser: limit });
+    const jobs = [{ id: 'a', browserType: 'firefox', test: {} }, { id: 'b', browserType: 'firefox', test: {} }];
+
+    const results = await scheduler.run(jobs, async job => job.id);
+
+    expect(scheduler.getBrowserLimit('firefox')).toBe(1);
+    expect(results.map(result => result.value)).toEqual(['a', 'b']);
+  });
+});
+
+describe('SmartQACore.runTests', () => {
+  test('reports a test whose run throws as a failed result of that test', async () => {
+    const core = new SmartQACore({ timeout: 1000, healing: { store: '/nonexistent/fingerprints.json' } });
+    core.browsers = new Map([['chromium', {}], ['firefox', {}]]);
+    core.runTest = jest.fn(async (browser, browserType, test) => {
+      if (browserType === 'firefox') throw new Error('Browser closed unexpectedly');
+      return { id: test.id, browser: browserType, status: 'passed' };
+    });
+    const completed = [];
+    core.on('testCompleted', result => completed.push(result));
+
+    const results = await core.runTests([{ id: 'checkout', name: 'Checkout', steps: [] }]);
+
+    expect(results).toEqual([
+      { id: 'checkout', browser: 'chromium', status: 'passed' },
+      expect.objectContaining({ id: 'checkout', name: 'Checkout', browser: 'firefox', status: 'failed', error: 'Browser closed unexpectedly' })
+    ]);
+    expect(completed.map(result => result.browser)).toEqual(['firefox']);
+  });
+});
@@ -0,0 +1,85 @@
+const { auditPage, resolveSecurity } = require('../../src/core/security');
+const { SmartQACore } = require('../../src/core/engine');
+
+const MARKER = 'data-smartqa-xss';
+
+// A page with two forms, where neither the query parameters nor the forms reflect the probe
+function fakePage(url = 'https://shop.test/search?q=shoes') {
+  return {
+    url: () => url,
+    goto: jest.fn(async () => {}),
+    waitForLoadState: jest.fn(async () => {}),
+    waitForTimeout: jest.fn(async () => {}),
+    evaluate: jest.fn(async (fn, arg) => {
+      if (arg === undefined) return 2;
+      if (arg[0] === MARKER) return false;
+      return { name: String(arg[0]), fields: ['email'] };
+    }),
+    request: { get: jest.fn(async () => ({ headersArray: () => [] })) }
+  };
+}
+
+// Only the XSS probe, so the page needs no headers, cookies or CSP
+const xssOnly = (xss) => resolveSecurity({ scanHeaders: false, checkSSL: false, checkCSP: false, xss });
+
+// The forms the probe filled in, as the selectors (or form indexes) it was given
+const submittedForms = page => page.evaluate.mock.calls
+  .filter(([, arg]) => arg !== undefined && arg[0] !== MARKER)
+  .map(([, [form]]) => form);
+
+describe('XSS probe', () => {
+  test('probes query parameters but leaves forms alone by default', async () => {
+    const page = fakePage();
+
+    const report = await auditPage(page, null, xssOnly());
+
+    expect(page.goto).toHaveBeenCalledWith(expect.stringContaining('q=%27%22%3E%3Csvg'));
+    expect(submittedForms(page)).toEqual([]);
+    expect(report.findings).toEqual([]);
+  });
+
+  test('reloads the page only when something was probed', async () => {
+    const page = fakePage('https://shop.test/cart');
+
+    await auditPage(page, null, xssOnly());
+    expect(page.goto).not.toHaveBeenCalled();
+
+    await auditPage(page, null, xssOnly({ forms: ['#newsletter'] }));
+    expect(page.goto.mock.calls).toEqual([['https://shop.test/cart']]);
+  });
+
+  test('submits only the forms a step asks for', async () => {
+    const page = fakePage();
+
+    await auditPage(page, null, xssOnly({ forms: ['#newsletter'] }));
+    expect(submittedForms(page)).toEqual(['#newsletter']);
+
+    const everyForm = fakePage();
+    await auditPage(everyForm, null, xssOnly({ forms: true }));
+    expect(submittedForms(everyForm)).toEqual([0, 1]);
+  });
+
+  test('refuses form probing in a read-only environment', async () => {
+    const page = fakePage();
+    const environment = { name: 'prod-readonly', readOnly: true };
+
+    await expect(auditPage(page, null, xssOnly({ forms: ['#newsletter'] }), environment))
+      .rejects.toThrow('XSS form probing submits forms and is not allowed in read-only environment "prod-readonly"');
+    expect(page.goto).not.toHaveBeenCalled();
+
+    await expect(auditPage(fakePage(), null, xssOnly(), environment)).resolves.toMatchObject({ findings: [] });
+  });
+
+  test('a checkSecurity step fails in a read-only environment when it asks for form probing', async () => {
+    const core = new SmartQACore({ timeout: 1000, security: { scanHeaders: false, checkSSL: false, checkCSP: false } });
+    const page = fakePage();
+
+    const stepResult = await core.executeStep(page, { action: 'checkSecurity', xss: { forms: true } }, {
+      timeout: 1000,
+      environment: { name: 'prod-readonly', readOnly: true }
+    });
+
+    expect(stepResult).toMatchObject({ status: 'failed', error: expect.stringContaining('read-only environment "prod-readonly"') });
+    expect(submittedForms(page)).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+const { normalizeSelection, selectsKind, selectTests, createSkippedResult } = require('../../src/core/selection');
+
+const tests = [
+  { id: 'login_valid', name: 'Valid login', tags: ['smoke', 'auth'], priority: 'high', type: 'functional' },
+  { id: 'login_slow', name: 'Login under load', tags: ['auth', 'slow'], priority: 'low', type: 'performance' },
+  { id: 'search', name: 'Search products', tags: ['smoke'] },
+  { id: 'legacy', name: 'Legacy flow', skip: 'Replaced by checkout v2' }
+];
+
+const run = (options, sections = { ui: tests }) => {
+  const selected = selectTests(sections, options);
+  return Object.fromEntries(Object.entries(selected).map(([kind, { run: ids }]) => [kind, ids.map(test => test.id)]));
+};
+
+describe('normalizeSelection', () => {
+  test('accepts repeated and comma-separated values and splits negated tags', () => {
+    expect(normalizeSelection({ tags: ['smoke,auth', '!slow'], priority: 'high, critical' })).toMatchObject({
+      includeTags: ['smoke', 'auth'],
+      excludeTags: ['slow'],
+      priorities: ['high', 'critical']
+    });
+  });
+
+  test('grep is a case-insensitive substring unless written as /regex/', () => {
+    const [plain, regex] = normalizeSelection({ grep: ['login (', '/^search$/'] }).grep;
+
+    expect(plain.test('LOGIN (mobile)')).toBe(true);
+    expect(regex.test('search')).toBe(true);
+    expect(regex.test('search products')).toBe(false);
+  });
+
+  test('selectsKind is true for a whole-section --type', () => {
+    expect(selectsKind(normalizeSelection({ type: 'api' }), 'api')).toBe(true);
+    expect(selectsKind(normalizeSelection({ type: 'functional' }), 'api')).toBe(false);
+  });
+});
+
+describe('selectTests', () => {
+  test('runs everything but skipped tests by default', () => {
+    expect(run({})).toEqual({ ui: ['login_valid', 'login_slow', 'search'] });
+  });
+
+  test('filters by grep on id and name', () => {
+    expect(run({ grep: 'login' })).toEqual({ ui: ['login_valid', 'login_slow'] });
+  });
+
+  test('needs one of the included tags and none of the excluded ones', () => {
+    expect(run({ tags: ['auth', '!slow'] })).toEqual({ ui: ['login_valid'] });
+  });
+
+  test('treats a missing priority as medium', () => {
+    expect(run({ priority: 'medium' })).toEqual({ ui: ['search'] });
+  });
+
+  test('--type matches the section or the test type', () => {
+    const sections = { ui: tests, api: [{ id: 'users_api' }] };
+
+    expect(run({ type: 'performance' }, sections)).toEqual({ ui: ['login_slow'], api: [] });
+    expect(run({ type: 'api' }, sections)).toEqual({ ui: [], api: ['users_api'] });
+  });
+
+  test('--only picks tests by id', () => {
+    expect(run({ only: 'search,login_valid' })).toEqual({ ui: ['login_valid', 'search'] });
+  });
+
+  test('an only flag focuses the whole suite, across sections', () => {
+    const selected = selectTests({ ui: tests, api: [{ id: 'users_api', only: true }] });
+
+    expect(selected.api.run.map(test => test.id)).toEqual(['users_api']);
+    expect(selected.ui.run).toEqual([]);
+    expect(selected.ui.skipped[0].reason).toBe('Another test in the suite is marked only');
+  });
+
+  test('records why each test was skipped', () => {
+    const { skipped } = selectTests({ ui: tests }, { tags: '!slow', priority: 'high' }).ui;
+
+    expect(skipped.map(({ test, reason }) => [test.id, reason])).toEqual([
+      ['login_slow', 'Excluded by --tag !slow'],
+      ['search', 'Priority medium not selected (high)'],
+      ['legacy', 'Replaced by checkout v2']
+    ]);
+  });
+});
+
+describe('createSkippedResult', () => {
+  test('reports a skipped test with its reason', () => {
+    expect(createSkippedResult({ id: 'a', name: 'A' }, 'Marked skip in suite', 'api', { name: 'staging' })).toMatchObject({
+      id: 'a',
+      type: 'api',
+      environment: 'staging',
+      status: 'skipped',
+      reason: 'Marked skip in suite',
+      steps: []
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseShard, shardFileName, baseTestId, loadDurations, partitionTests, mergeResults } = require('../../src/core/sharding');
+const { summarizeResults } = require('../../src/core/summary');
+
+const entriesFor = (count, group = () => undefined) => Array.from({ length: count }, (_, i) => {
+  const key = `ui:test_${String(i).padStart(2, '0')}`;
+  return { key, group: group(i) };
+});
+
+// Every shard of a run, as the keys each one selects
+const allShards = (entries, total, durations) => Array.from({ length: total }, (_, i) =>
+  partitionTests(entries, { index: i + 1, total }, durations).selected.map(entry => entry.key));
+
+describe('parseShard', () => {
+  test('parses N/M', () => {
+    expect(parseShard('2/4')).toEqual({ index: 2, total: 4 });
+    expect(parseShard(undefined)).toBeNull();
+  });
+
+  test.each(['0/3', '4/3', '1-3', 'a/b'])('rejects %s', value => {
+    expect(() => parseShard(value)).toThrow(`Invalid shard "${value}": expected N/M with 1 <= N <= M`);
+  });
+});
+
+describe('shardFileName and baseTestId', () => {
+  test('name shard result files and strip rows and matrix combinations', () => {
+    expect(shardFileName('login', { index: 1, total: 3 })).toBe('login.shard-1-of-3.json');
+    expect(shardFileName('login', null)).toBe('login.json');
+    expect(baseTestId('checkout[2]@mobile/de-DE')).toBe('checkout');
+    expect(baseTestId('checkout@mobile')).toBe('checkout');
+  });
+});
+
+describe('partitionTests', () => {
+  test.each([1, 2, 3, 4, 7, 30])('puts every test in exactly one of %i shards', total => {
+    const entries = entriesFor(23);
+
+    const shards = allShards(entries, total);
+    const assigned = shards.flat();
+
+    expect(assigned).toHaveLength(entries.length);
+    expect(new Set(assigned)).toEqual(new Set(entries.map(entry => entry.key)));
+  });
+
+  test('puts every test in exactly one shard when balancing by duration with groups', () => {
+    const entries = entriesFor(40, i => (i % 5 === 0 ? `group_${i % 3}` : undefined));
+    const durations = new Map(entries.filter((_, i) => i % 2 === 0).map((entry, i) => [entry.key, (i * 37) % 500 + 10]));
+
+    const shards = allShards(entries, 6, durations);
+    const assigned = shards.flat();
+
+    expect(assigned.sort()).toEqual(entries.map(entry => entry.key).sort());
+    for (const group of ['group_0', 'group_1', 'group_2']) {
+      const members = entries.filter(entry => entry.group === group).map(entry => entry.key);
+      expect(shards.filter(keys => members.some(key => keys.includes(key)))).toHaveLength(1);
+    }
+  });
+
+  test('depends only on the test list, not the order it comes in', () => {
+    const entries = entriesFor(17);
+    const shuffled = [...entries].reverse();
+    shuffled.push(shuffled.shift());
+
+    expect(allShards(shuffled, 4).map(keys => [...keys].sort())).toEqual(allShards(entries, 4).map(keys => [...keys].sort()));
+  });
+
+  test('splits by count without durations', () => {
+    const result = partitionTests(entriesFor(10), { index: 1, total: 3 });
+
+    expect(result.balancedBy).toBe('count');
+    expect(result.loads.sort()).toEqual([3, 3, 4]);
+  });
+
+  test('balances by duration when given durations', () => {
+    const entries = entriesFor(4);
+    const durations = new Map([[entries[0].key, 900], [entries[1].key, 300], [entries[2].key, 300], [entries[3].key, 300]]);
+
+    const result = partitionTests(entries, { index: 1, total: 2 }, durations);
+
+    expect(result.balancedBy).toBe('duration');
+    expect(result.selected.map(entry => entry.key)).toEqual([entries[0].key]);
+    expect(result.loads).toEqual([900, 900]);
+  });
+});
+
+describe('loadDurations', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-shard-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads durations from the given results file, adding up rows and browsers', async () => {
+    const file = path.join(dir, 'login.merged.json');
+    fs.writeFileSync(file, JSON.stringify({
+      tests: [
+        { id: 'login[0]', startTime: '2026-01-01T00:00:00.000Z', endTime: '2026-01-01T00:00:02.000Z' },
+        { id: 'login[1]', startTime: '2026-01-01T00:00:00.000Z', endTime: '2026-01-01T00:00:01.000Z' },
+        { id: 'users', type: 'api', startTime: '2026-01-01T00:00:00.000Z', endTime: '2026-01-01T00:00:00.500Z' },
+        { id: 'later', status: 'skipped', startTime: '2026-01-01T00:00:00.000Z', endTime: '2026-01-01T00:00:00.000Z' }
+      ]
+    }));
+
+    const durations = await loadDurations(file);
+
+    expect(Object.fromEntries(durations)).toEqual({ 'ui:login': 3000, 'api:users': 500 });
+  });
+
+  test('fails when the file cannot be read', async () => {
+    await expect(loadDurations(path.join(dir, 'missing.json'))).rejects.toThrow(/^Cannot read shard durations from .*missing\.json: /);
+  });
+});
+
+describe('mergeResults', () => {
+  test('combines shards and recomputes the summary', () => {
+    const merged = mergeResults([
+      { suite: 'Login', suiteId: 'login', shard: { index: 1, total: 2 }, tests: [{ id: 'a', status: 'passed' }, { id: 'b', status: 'skipped' }], loadErrors: [{ file: 'x.json' }] },
+      { suite: 'Login', shard: { index: 2, total: 2 }, tests: [{ id: 'c', status: 'failed' }], loadErrors: [{ file: 'x.json' }] }
+    ]);
+
+    expect(merged).toMatchObject({ suite: 'Login', suiteId: 'login', mergedFrom: ['1/2', '2/2'], loadErrors: [{ file: 'x.json' }] });
+    expect(merged.summary).toEqual(summarizeResults([{ status: 'passed' }, { status: 'skipped' }, { status: 'failed' }]));
+  });
+
+  test('fails on other suites, other shard counts and repeated shards', () => {
+    const shard = (suiteId, index, total) => ({ suite: suiteId, suiteId, shard: { index, total }, tests: [] });
+
+    expect(() => mergeResults([shard('login', 1, 2), shard('checkout', 2, 2)])).toThrow('Cannot merge results of different suites: login, checkout');
+    expect(() => mergeResults([shard('login', 1, 2), shard('login', 2, 3)])).toThrow('Cannot merge results of different shard counts: 2 shards, 3 shards');
+    expect(() => mergeResults([shard('login', 1, 2), { suiteId: 'login', tests: [] }])).toThrow('Cannot merge results of different shard counts: 2 shards, unsharded');
+    expect(() => mergeResults([shard('login', 1, 2), shard('login', 1, 2)])).toThrow('Shard 1/2 appears more than once');
+  });
+});
+
+describe('summarizeResults', () => {
+  test('counts statuses and the pass rate', () => {
+    expect(summarizeResults([{ status: 'passed' }, { status: 'flaky' }, { status: 'cancelled' }, { status: 'passed' }])).toEqual({
+      total: 4, passed: 2, failed: 0, flaky: 1, skipped: 0, cancelled: 1, passRate: '50.00'
+    });
+    expect(summarizeResults([]).passRate).toBe(0);
+  });
+});
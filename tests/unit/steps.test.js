@@ -0,0 +1,53 @@
+const { STEP_SCHEMAS, validateStep, toUrlMatcher } = require('../../src/core/steps');
+
+describe('validateStep', () => {
+  test.each([
+    { action: 'navigate', url: '/login' },
+    { action: 'select', selector: '#country', label: ['Germany'] },
+    { action: 'check', selector: '#terms' },
+    { action: 'press', key: 'Enter' },
+    { action: 'upload', selector: 'input[type=file]', files: 'fixtures/avatar.png' },
+    { action: 'dragAndDrop', source: '#card', target: '#done' },
+    { action: 'scroll', y: 400 },
+    { action: 'goBack' },
+    { action: 'evaluate', script: 'document.title', saveAs: 'title' },
+    { action: 'waitForURL', url: '**/dashboard' },
+    { action: 'fill', selector: '#q', value: '', name: 'Clear search', continueOnFailure: true }
+  ])('accepts a valid $action step', step => {
+    expect(() => validateStep(step)).not.toThrow();
+  });
+
+  test.each([
+    [{ action: 'click' }, /"selector" is required/],
+    [{ action: 'select', selector: '#c', value: 'de', label: 'Germany' }, /Invalid "select" step/],
+    [{ action: 'scroll' }, /must contain at least one of \[selector, x, y\]/],
+    [{ action: 'navigate', url: '/', waitUntil: 'idle' }, /"waitUntil" must be one of/],
+    [{ action: 'mock', url: '/api', body: {}, fixture: 'a.json' }, /Invalid "mock" step/]
+  ])('rejects %o', (step, message) => {
+    expect(() => validateStep(step)).toThrow(message);
+  });
+
+  test('rejects an unknown action', () => {
+    expect(() => validateStep({ action: 'teleport' })).toThrow('Unknown action: teleport');
+  });
+
+  test('has a schema for every action of the expanded vocabulary', () => {
+    for (const action of ['select', 'check', 'uncheck', 'hover', 'press', 'upload', 'dragAndDrop', 'scroll', 'goBack', 'reload', 'evaluate', 'waitForResponse', 'waitForURL']) {
+      expect(STEP_SCHEMAS).toHaveProperty(action);
+    }
+  });
+});
+
+describe('toUrlMatcher', () => {
+  test('turns /pattern/flags into a RegExp', () => {
+    const matcher = toUrlMatcher('/\\/api\\/users\\/\\d+/i');
+
+    expect(matcher).toBeInstanceOf(RegExp);
+    expect(matcher.test('https://x.test/API/users/42')).toBe(true);
+  });
+
+  test('leaves globs and plain URLs alone', () => {
+    expect(toUrlMatcher('**/api/users')).toBe('**/api/users');
+    expect(toUrlMatcher('https://x.test/')).toBe('https://x.test/');
+  });
+});
@@ -0,0 +1,48 @@
+const { interpolate, findUnresolved } = require('../../src/utils/template');
+
+describe('interpolate', () => {
+  const scope = {
+    user: { name: 'Ada', age: 36 },
+    env: { API_TOKEN: 'secret' },
+    'order.id': 'flat-key'
+  };
+
+  test('fills placeholders inside strings', () => {
+    expect(interpolate('Hello {{ user.name }}, token {{env.API_TOKEN}}', scope)).toBe('Hello Ada, token secret');
+  });
+
+  test('a string that is a single placeholder keeps the value\'s type', () => {
+    expect(interpolate('{{user.age}}', scope)).toBe(36);
+    expect(interpolate('{{user}}', scope)).toEqual({ name: 'Ada', age: 36 });
+  });
+
+  test('embeds objects as JSON', () => {
+    expect(interpolate('user={{user}}', scope)).toBe('user={"name":"Ada","age":36}');
+  });
+
+  test('prefers a flat key over a dotted path', () => {
+    expect(interpolate('{{order.id}}', scope)).toBe('flat-key');
+  });
+
+  test('leaves unknown placeholders untouched', () => {
+    expect(interpolate('{{missing}} and {{user.email}}', scope)).toBe('{{missing}} and {{user.email}}');
+  });
+
+  test('walks arrays and plain objects but not other instances', () => {
+    const date = new Date(0);
+
+    expect(interpolate({ steps: [{ value: '{{user.name}}' }], when: date }, scope)).toEqual({ steps: [{ value: 'Ada' }], when: date });
+  });
+
+  test('resolves built-ins', () => {
+    expect(interpolate('{{$uuid}}')).toMatch(/^[0-9a-f-]{36}$/);
+    expect(interpolate('{{$date}}')).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(typeof interpolate('{{$timestamp}}')).toBe('number');
+  });
+});
+
+describe('findUnresolved', () => {
+  test('lists each unresolved placeholder once', () => {
+    expect(findUnresolved({ a: '{{x}} {{y}}', b: ['{{x}}', '{{ok}}'] }, { ok: 1 })).toEqual(['x', 'y']);
+  });
+});
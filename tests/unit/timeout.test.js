@@ -0,0 +1,73 @@
+const { TimeoutError, CancellationError, withTimeout, abortable } = require('../../src/utils/timeout');
+
+describe('withTimeout', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('resolves with the value when the promise settles in time', async () => {
+    await expect(withTimeout(Promise.resolve('done'), 100)).resolves.toBe('done');
+  });
+
+  test('rejects with a TimeoutError once the time is up', async () => {
+    const pending = withTimeout(new Promise(() => {}), 100, 'Step timed out');
+    jest.advanceTimersByTime(100);
+
+    const error = await pending.catch(e => e);
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.message).toBe('Step timed out');
+  });
+
+  test('uses a default message', async () => {
+    const pending = withTimeout(new Promise(() => {}), 50);
+    jest.advanceTimersByTime(50);
+
+    await expect(pending).rejects.toThrow('Timed out after 50ms');
+  });
+
+  test('a missing or non-positive timeout disables it', () => {
+    const promise = new Promise(() => {});
+
+    expect(withTimeout(promise, 0)).toBe(promise);
+    expect(withTimeout(promise, undefined)).toBe(promise);
+    expect(withTimeout(promise, -1)).toBe(promise);
+  });
+
+  test('clears its timer when the promise settles first', async () => {
+    await withTimeout(Promise.resolve(), 1000);
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+describe('abortable', () => {
+  test('passes the promise through without a signal', () => {
+    const promise = Promise.resolve(1);
+
+    expect(abortable(promise)).toBe(promise);
+  });
+
+  test('rejects as soon as the signal aborts, with the error stored on it', async () => {
+    const controller = new AbortController();
+    const pending = abortable(new Promise(() => {}), controller.signal);
+
+    controller.signal.error = new TimeoutError('Test timed out after 10ms');
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(TimeoutError);
+  });
+
+  test('falls back to a CancellationError', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await abortable(Promise.resolve(), controller.signal).catch(e => e);
+    expect(error).toBeInstanceOf(CancellationError);
+    expect(error.message).toBe('Test cancelled');
+  });
+
+  test('resolves normally when the signal never aborts', async () => {
+    const controller = new AbortController();
+
+    await expect(abortable(Promise.resolve('ok'), controller.signal)).resolves.toBe('ok');
+  });
+});
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { SuiteWatcher, datasetFiles, isInside } = require('../../src/watch/watcher');
+const { SuiteLoader } = require('../../src/core/loader');
+
+describe('isInside', () => {
+  test('compares whole path segments', () => {
+    expect(isInside('/repo/tests/login', '/repo/tests')).toBe(true);
+    expect(isInside('/repo/tests', '/repo/tests')).toBe(true);
+    expect(isInside('/repo/tests-data', '/repo/tests')).toBe(false);
+    expect(isInside('/repo', '/repo/tests')).toBe(false);
+  });
+});
+
+describe('datasetFiles', () => {
+  test('resolves dataset paths and names, and skips inline suite data', () => {
+    const suite = {
+      testData: { inline: [{ user: 'a' }] },
+      tests: [{ dataset: 'users.csv' }, { dataset: 'named#admins' }, { dataset: 'inline' }, { dataset: [{ user: 'b' }] }]
+    };
+
+    expect([...datasetFiles(suite, { named: 'data/named.json' })]).toEqual([path.resolve('users.csv'), path.resolve('data/named.json')]);
+  });
+});
+
+describe('SuiteWatcher', () => {
+  let dir;
+  let hub;
+  let watcher;
+
+  const write = (name, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    return path.join(dir, name);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartqa-watch-'));
+    const core = new EventEmitter();
+    core.cancelAll = jest.fn(async () => {});
+    hub = {
+      config: { watch: { debounce: 10 } },
+      suiteLoader: new SuiteLoader({ dir: path.join(dir, 'tests') }),
+      core,
+      runTestSuite: jest.fn(async () => ({ tests: [] }))
+    };
+    const output = new PassThrough();
+    output.resume();
+    watcher = new SuiteWatcher(hub, undefined, {}, { input: new PassThrough(), output });
+  });
+
+  afterEach(() => {
+    for (const fsWatcher of watcher.watchers.values()) fsWatcher.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const watchedDirs = () => [...watcher.watchers.keys()].map(watched => path.relative(dir, watched)).sort();
+
+  test('watches a data directory next to the suites directory', async () => {
+    const users = write('tests-data/users.json', [{ user: 'a' }]);
+    write('tests/login-test.json', { tests: [{ id: 'login', dataset: users, steps: [] }] });
+
+    await watcher.refresh();
+    watcher.watch();
+
+    expect(watchedDirs()).toEqual(['tests', 'tests-data']);
+  });
+
+  test('re-runs only the suites a change affects', async () => {
+    const users = write('tests-data/users.json', [{ user: 'a' }]);
+    const login = write('tests/login-test.json', { tests: [{ id: 'login', dataset: users, steps: [] }] });
+    write('tests/search-test.json', { tests: [{ id: 'search', steps: [] }] });
+    await watcher.refresh();
+    watcher.schedule = jest.fn();
+
+    watcher.changed.add(users);
+    watcher.changed.add(path.join(dir, 'tests-data', 'notes.txt'));
+    await watcher.flush();
+
+    expect(watcher.schedule).toHaveBeenCalledWith([login]);
+  });
+
+  test('runs new suite files and watches the files they use after a refresh', async () => {
+    write('tests/login-test.json', { tests: [{ id: 'login', steps: [] }] });
+    await watcher.refresh();
+    watcher.watch();
+    watcher.schedule = jest.fn();
+    expect(watchedDirs()).toEqual(['tests']);
+
+    const products = write('fixtures/products.json', [{ sku: 'A1' }]);
+    const search = write('tests/search-test.json', { tests: [{ id: 'search', dataset: products, steps: [] }] });
+    watcher.changed.add(search);
+    await watcher.flush();
+
+    expect(watcher.schedule).toHaveBeenCalledWith([search]);
+    expect(watchedDirs()).toEqual(['fixtures', 'tests']);
+    expect(watcher.isWatched(products)).toBe(true);
+  });
+
+  test('stops watching directories no suite uses any more', async () => {
+    const users = write('tests-data/users.json', [{ user: 'a' }]);
+    const login = write('tests/login-test.json', { tests: [{ id: 'login', dataset: users, steps: [] }] });
+    await watcher.refresh();
+    watcher.watch();
+    watcher.schedule = jest.fn();
+
+    write('tests/login-test.json', { tests: [{ id: 'login', steps: [] }] });
+    watcher.changed.add(login);
+    await watcher.flush();
+
+    expect(watchedDirs()).toEqual(['tests']);
+  });
+
+  test('quitting cancels the run in progress before returning', async () => {
+    write('tests/login-test.json', { tests: [{ id: 'login', steps: [] }] });
+    write('tests/search-test.json', { tests: [{ id: 'search', steps: [] }] });
+    let finishRun;
+    hub.runTestSuite = jest.fn(() => new Promise(resolve => { finishRun = resolve; }));
+    hub.core.cancelAll = jest.fn(async () => finishRun({ tests: [{ id: 'login', status: 'cancelled' }] }));
+
+    const started = watcher.start();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(hub.runTestSuite).toHaveBeenCalledTimes(1);
+
+    watcher.quit();
+    await started;
+
+    expect(hub.core.cancelAll).toHaveBeenCalledWith('Watch mode ended');
+    expect(watcher.running).toBeNull();
+    // The other suite of the batch does not start after quitting
+    expect(hub.runTestSuite).toHaveBeenCalledTimes(1);
+  });
+});